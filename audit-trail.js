@@ -0,0 +1,314 @@
+/**
+ * Audit Trail for FLEX-FORM
+ * Ships SecureSupabaseConnector's security events to the append-only
+ * security_audit_log table. Events are buffered in the browser, uploaded in
+ * batches once someone is signed in, and kept until the upload succeeds, so
+ * nothing is lost offline or when a request fails.
+ *
+ * Each page load writes one hash chain. Every entry carries its position and
+ * the hash of the entry before it:
+ *
+ *   { chain_id, seq, prev_hash, entry_hash, event, occurred_at, details }
+ *
+ * entry_hash is the SHA-256 of the entry's other columns, so verify() finds
+ * entries that were edited, removed from the middle of a chain, or relinked.
+ * The chain is computed in the browser: it shows a chain is complete and in
+ * order, not who wrote it. The database records who stored each entry in
+ * received_by. Submissions to gemba_requests are logged by a database trigger
+ * in its own chain, server:gemba_requests, so anonymous ones are covered too.
+ */
+class AuditTrail {
+    static get TABLE() {
+        return 'security_audit_log';
+    }
+
+    static get BUFFER_PREFIX() {
+        return 'flexform_audit_buffer_';
+    }
+
+    static get GENESIS_HASH() {
+        return '0'.repeat(64);
+    }
+
+    static get BATCH_SIZE() {
+        return 50;
+    }
+
+    static get FLUSH_DELAY() {
+        return 2000;
+    }
+
+    static get MAX_RETRY_DELAY() {
+        return 5 * 60 * 1000;
+    }
+
+    constructor(connector) {
+        this.connector = connector;
+        this.chainId = `chain_${Date.now().toString(36)}${crypto.getRandomValues(new Uint32Array(1))[0].toString(36)}`;
+        this.seq = 0;
+        this.head = AuditTrail.GENESIS_HASH;
+        // Entries are hashed one after another so the chain follows the order events were logged in
+        this.pending = Promise.resolve();
+        this.memoryBuffer = [];
+        this.flushTimer = null;
+        this.flushing = null;
+        this.failures = 0;
+
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('online', () => this.flush());
+        }
+    }
+
+    /**
+     * JSON with object keys sorted at every level, so the same entry always hashes the same
+     */
+    static canonical(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => AuditTrail.canonical(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${AuditTrail.canonical(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    static async hashEntry(entry) {
+        const { entry_hash, ...content } = entry;
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(AuditTrail.canonical(content)));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Add a logSecurityEvent() entry to this page's chain and schedule an upload
+     */
+    record(logEntry) {
+        this.pending = this.pending.then(async () => {
+            const entry = {
+                chain_id: this.chainId,
+                seq: this.seq + 1,
+                prev_hash: this.head,
+                event: logEntry.event,
+                occurred_at: logEntry.timestamp,
+                // Round-trip so the hash covers exactly what the database will store
+                details: JSON.parse(JSON.stringify({ ...logEntry.details, userAgent: logEntry.userAgent }))
+            };
+            entry.entry_hash = await AuditTrail.hashEntry(entry);
+
+            this.seq = entry.seq;
+            this.head = entry.entry_hash;
+            this.buffer(entry);
+            this.scheduleFlush(AuditTrail.FLUSH_DELAY);
+        }).catch(error => console.error('❌ Audit entry could not be chained:', error));
+        return this.pending;
+    }
+
+    bufferKey(chainId = this.chainId) {
+        return `${AuditTrail.BUFFER_PREFIX}${chainId}`;
+    }
+
+    readBuffer(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    buffer(entry) {
+        const key = this.bufferKey();
+        const entries = this.readBuffer(key).concat(this.memoryBuffer, entry);
+        try {
+            localStorage.setItem(key, JSON.stringify(entries));
+            this.memoryBuffer = [];
+        } catch (error) {
+            // Storage is full; keep the entries for this page rather than drop any
+            console.warn('Audit buffer is full, keeping entries in memory until they upload:', error);
+            this.memoryBuffer.push(entry);
+        }
+    }
+
+    /**
+     * Buffers waiting for upload: this page's chain and any left by pages that closed before uploading
+     */
+    bufferKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(AuditTrail.BUFFER_PREFIX)) keys.push(key);
+        }
+        return keys;
+    }
+
+    pendingCount() {
+        return this.bufferKeys().reduce((count, key) => count + this.readBuffer(key).length, 0) + this.memoryBuffer.length;
+    }
+
+    scheduleFlush(delay) {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, delay);
+    }
+
+    /**
+     * Upload buffered entries. Failures are retried with backoff; entries stay buffered until they are stored.
+     * Resolves to { uploaded, pending }.
+     */
+    async flush() {
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            await this.pending;
+            let uploaded = 0;
+
+            // Only signed-in users may append; signing in logs an event, which flushes again
+            if (!this.connector.connected || !this.connector.accessToken) {
+                return { uploaded: 0, pending: this.pendingCount() };
+            }
+
+            try {
+                if (this.memoryBuffer.length > 0) {
+                    const entries = this.memoryBuffer.slice();
+                    await this.upload(entries);
+                    this.memoryBuffer = this.memoryBuffer.filter(entry => !entries.includes(entry));
+                    uploaded += entries.length;
+                }
+
+                for (const key of this.bufferKeys()) {
+                    let entries = this.readBuffer(key);
+                    while (entries.length > 0) {
+                        const batch = entries.slice(0, AuditTrail.BATCH_SIZE);
+                        await this.upload(batch);
+                        uploaded += batch.length;
+
+                        // Entries may have been added while the batch was uploading
+                        const lastSeq = batch[batch.length - 1].seq;
+                        entries = this.readBuffer(key).filter(entry => entry.seq > lastSeq);
+                        if (entries.length > 0) {
+                            localStorage.setItem(key, JSON.stringify(entries));
+                        } else {
+                            localStorage.removeItem(key);
+                        }
+                    }
+                }
+
+                this.failures = 0;
+            } catch (error) {
+                this.failures++;
+                const delay = Math.min(AuditTrail.FLUSH_DELAY * 2 ** this.failures, AuditTrail.MAX_RETRY_DELAY);
+                console.warn(`Audit upload failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+                this.scheduleFlush(delay);
+            }
+
+            return { uploaded: uploaded, pending: this.pendingCount() };
+        })();
+
+        try {
+            return await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    /**
+     * Insert entries; ones already stored (from a retry or another tab) are left as they are
+     */
+    async upload(entries) {
+        await this.connector.rest(`${AuditTrail.TABLE}?on_conflict=chain_id,seq`, {
+            method: 'POST',
+            body: entries,
+            prefer: 'resolution=ignore-duplicates,return=minimal'
+        });
+    }
+
+    /**
+     * Check stored entries. Returns { valid, chains, entries, problems } where each problem is
+     * { type, chainId, seq, message } and type is 'edited', 'gap', 'broken_link' or 'bad_start'.
+     */
+    static async verify(rows) {
+        const problems = [];
+        const chains = new Map();
+        rows.forEach(row => {
+            if (!chains.has(row.chain_id)) chains.set(row.chain_id, []);
+            chains.get(row.chain_id).push(row);
+        });
+
+        for (const [chainId, entries] of chains) {
+            entries.sort((a, b) => a.seq - b.seq);
+            let previous = null;
+
+            for (const entry of entries) {
+                const expectedSeq = previous ? previous.seq + 1 : 1;
+                if (entry.seq !== expectedSeq) {
+                    const missing = entry.seq - expectedSeq;
+                    problems.push({
+                        type: 'gap',
+                        chainId: chainId,
+                        seq: expectedSeq,
+                        message: `${missing} entr${missing === 1 ? 'y' : 'ies'} missing before #${entry.seq}`
+                    });
+                } else if (!previous && entry.prev_hash !== AuditTrail.GENESIS_HASH) {
+                    problems.push({ type: 'bad_start', chainId: chainId, seq: entry.seq, message: 'The first entry does not start the chain' });
+                } else if (previous && entry.prev_hash !== previous.entry_hash) {
+                    problems.push({ type: 'broken_link', chainId: chainId, seq: entry.seq, message: `#${entry.seq} does not follow #${previous.seq}` });
+                }
+
+                if (await AuditTrail.hashEntry(AuditTrail.stored(entry)) !== entry.entry_hash) {
+                    problems.push({ type: 'edited', chainId: chainId, seq: entry.seq, message: `#${entry.seq} (${entry.event}) was changed after it was logged` });
+                }
+                previous = entry;
+            }
+        }
+
+        return { valid: problems.length === 0, chains: chains.size, entries: rows.length, problems: problems };
+    }
+
+    /**
+     * The columns a row was hashed with; columns the database adds on arrival are not part of it.
+     * Tables made before entries stopped carrying user_email return it as null for newer entries.
+     */
+    static stored(row) {
+        const { received_at, received_by, ...entry } = row;
+        if (entry.user_email === null) delete entry.user_email;
+        return entry;
+    }
+
+    /**
+     * Verify the whole table. With submissionTable, also lists record ids in that table that have no
+     * DATA_SUBMITTED entry, as { ...verify(), unaudited }.
+     */
+    async verifyStored(options = {}) {
+        const pageSize = options.pageSize || 1000;
+        const rows = await this.readAll(`${AuditTrail.TABLE}?select=*&order=chain_id.asc,seq.asc`, pageSize);
+        const result = await AuditTrail.verify(rows);
+
+        if (options.submissionTable) {
+            const audited = new Set(rows
+                .filter(row => row.event === 'DATA_SUBMITTED' && row.details && row.details.tableName === options.submissionTable)
+                .map(row => String(row.details.recordId)));
+            const records = await this.readAll(`${options.submissionTable}?select=id&order=id.asc`, pageSize);
+            result.unaudited = records.map(record => record.id).filter(id => !audited.has(String(id)));
+            result.valid = result.valid && result.unaudited.length === 0;
+        }
+
+        return result;
+    }
+
+    async readAll(path, pageSize) {
+        let rows = [];
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.connector.rest(`${path}&limit=${pageSize}&offset=${offset}`);
+            if (!Array.isArray(page) || page.length === 0) break;
+            rows = rows.concat(page);
+            if (page.length < pageSize) break;
+        }
+        return rows;
+    }
+}
+
+// Export for use in other modules
+window.AuditTrail = AuditTrail;
@@ -0,0 +1,239 @@
+/**
+ * Auth Session for FLEX-FORM
+ * Sign-in for the builder and the portal with Supabase Auth (GoTrue): email and
+ * password, or a magic link emailed to the user. The session is kept in the
+ * browser and refreshed before it expires.
+ *
+ * The signed-in identity is read from the access token. Role and department
+ * are app_metadata claims, which only the service key can set:
+ *
+ *   { email, role: app_metadata.role || 'user', department: app_metadata.department || 'general' }
+ *
+ * Set AUTH_URL in the config to GoTrueMock.URL to sign in against the
+ * in-browser mock (gotrue-mock.js) instead of the project's Auth server.
+ */
+class AuthSession {
+    static get STORAGE_KEY() {
+        return 'flexform_auth_session';
+    }
+
+    /**
+     * Refresh this many seconds before the access token expires
+     */
+    static get REFRESH_MARGIN() {
+        return 60;
+    }
+
+    constructor(authUrl, anonKey) {
+        this.authUrl = authUrl.replace(/\/$/, '');
+        this.anonKey = anonKey;
+        this.session = null;
+        this.listeners = [];
+        this.refreshTimer = null;
+        this.mock = null;
+    }
+
+    /**
+     * Session for a Supabase project, honouring AUTH_URL in the config
+     */
+    static forProject(supabaseUrl, anonKey) {
+        const config = window.FLEXFORM_CONFIG || window.EMBEDDED_CONFIG || {};
+        return new AuthSession(config.AUTH_URL || `${supabaseUrl.replace(/\/$/, '')}/auth/v1`, anonKey);
+    }
+
+    static isMock(url) {
+        return typeof GoTrueMock !== 'undefined' && url === GoTrueMock.URL;
+    }
+
+    /**
+     * Payload of a JWT; the signature is checked by the server, not here
+     */
+    static decodeToken(token) {
+        try {
+            const payload = String(token).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')), char => char.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static identityOf(accessToken) {
+        const claims = AuthSession.decodeToken(accessToken);
+        if (!claims || !claims.email) return null;
+
+        const appMetadata = claims.app_metadata || {};
+        return {
+            id: claims.sub,
+            email: claims.email,
+            role: appMetadata.role || 'user',
+            department: appMetadata.department || 'general',
+            authenticated: true
+        };
+    }
+
+    /**
+     * The signed-in identity, or null
+     */
+    get user() {
+        return this.session ? AuthSession.identityOf(this.session.access_token) : null;
+    }
+
+    get accessToken() {
+        return this.session ? this.session.access_token : null;
+    }
+
+    /**
+     * Token for database requests. Tokens from the mock are not signed with the project's
+     * secret, so the database keeps seeing the anon key and only the page uses the identity.
+     */
+    get apiToken() {
+        return AuthSession.isMock(this.authUrl) ? null : this.accessToken;
+    }
+
+    async request(path, options = {}) {
+        const url = `${this.authUrl}${path}`;
+        const init = {
+            method: options.method || 'GET',
+            headers: {
+                'apikey': this.anonKey,
+                'Authorization': `Bearer ${options.token || this.anonKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: options.body === undefined ? undefined : JSON.stringify(options.body)
+        };
+
+        let response;
+        if (AuthSession.isMock(this.authUrl)) {
+            this.mock = this.mock || new GoTrueMock();
+            response = await this.mock.fetch(url, init);
+        } else {
+            response = await fetch(url, init);
+        }
+
+        const text = await response.text();
+        const result = text ? JSON.parse(text) : null;
+        if (!response.ok) {
+            throw new Error((result && (result.error_description || result.msg || result.message || result.error)) || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setSession(session) {
+        clearTimeout(this.refreshTimer);
+        this.session = session ? {
+            access_token: session.access_token,
+            refresh_token: session.refresh_token,
+            expires_at: Number(session.expires_at) || Math.floor(Date.now() / 1000) + Number(session.expires_in || 3600)
+        } : null;
+
+        try {
+            if (this.session) {
+                localStorage.setItem(AuthSession.STORAGE_KEY, JSON.stringify(this.session));
+            } else {
+                localStorage.removeItem(AuthSession.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not keep the sign-in session:', error);
+        }
+
+        if (this.session) {
+            const delay = (this.session.expires_at - AuthSession.REFRESH_MARGIN) * 1000 - Date.now();
+            this.refreshTimer = setTimeout(() => {
+                this.refresh().catch(error => console.warn('Session refresh failed:', error.message));
+            }, Math.max(delay, 0));
+        }
+
+        this.listeners.forEach(listener => listener(this.user));
+        return this.user;
+    }
+
+    /**
+     * Pick up a magic link's tokens from the URL, or the stored session. Resolves to the identity or null.
+     */
+    async restore() {
+        let session = null;
+
+        const fragment = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        if (fragment.get('access_token')) {
+            session = Object.fromEntries(fragment);
+            // Keep the tokens out of the address bar and history
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        } else if (fragment.get('error_description')) {
+            console.warn('Sign-in link failed:', fragment.get('error_description'));
+        } else {
+            try {
+                session = JSON.parse(localStorage.getItem(AuthSession.STORAGE_KEY) || 'null');
+            } catch (error) {
+                session = null;
+            }
+        }
+
+        if (!session) return null;
+
+        try {
+            if (Number(session.expires_at) - AuthSession.REFRESH_MARGIN < Date.now() / 1000) {
+                this.session = session;
+                return await this.refresh();
+            }
+            // The server confirms the token before its claims are trusted
+            await this.request('/user', { token: session.access_token });
+            return this.setSession(session);
+        } catch (error) {
+            console.warn('Stored sign-in is no longer valid:', error.message);
+            return this.setSession(null);
+        }
+    }
+
+    async signInWithPassword(email, password) {
+        const session = await this.request('/token?grant_type=password', {
+            method: 'POST',
+            body: { email: email, password: password }
+        });
+        return this.setSession(session);
+    }
+
+    /**
+     * Email a sign-in link that returns to redirectTo; only existing users get one
+     */
+    async sendMagicLink(email, redirectTo = window.location.href.split('#')[0]) {
+        await this.request(`/otp?redirect_to=${encodeURIComponent(redirectTo)}`, {
+            method: 'POST',
+            body: { email: email, create_user: false }
+        });
+    }
+
+    async refresh() {
+        if (!this.session || !this.session.refresh_token) return this.setSession(null);
+
+        try {
+            const session = await this.request('/token?grant_type=refresh_token', {
+                method: 'POST',
+                body: { refresh_token: this.session.refresh_token }
+            });
+            return this.setSession(session);
+        } catch (error) {
+            this.setSession(null);
+            throw error;
+        }
+    }
+
+    async signOut() {
+        const token = this.accessToken;
+        this.setSession(null);
+        if (!token) return;
+
+        try {
+            await this.request('/logout', { method: 'POST', token: token });
+        } catch (error) {
+            console.warn('Sign-out request failed; the session was still cleared here:', error.message);
+        }
+    }
+}
+
+// Export for use in other modules
+window.AuthSession = AuthSession;
@@ -0,0 +1,127 @@
+/**
+ * Blind Index for FLEX-FORM
+ * Searchable <field>_hash columns for encrypted fields. The index is an
+ * HMAC-SHA-256 of the field name and the normalized value, keyed with a secret
+ * that never leaves the database. Clients cannot compute indexes: they send
+ * the normalized values in the search_terms column, which a trigger turns
+ * into <field>_hash and clears before the row is stored, and they search
+ * through the find_by_blind_index() function, which only returns rows the
+ * caller may read.
+ *
+ * Values are normalized by field before indexing, so lookups match the way
+ * people type them:
+ *
+ *   email  ' Jane.Doe@Company.com ' -> 'jane.doe@company.com'
+ *   phone  '(555) 123-4567'         -> '5551234567'
+ *   text   '  Jane   Doe '          -> 'Jane Doe'
+ */
+class BlindIndex {
+    static get SEARCH_RPC() {
+        return 'find_by_blind_index';
+    }
+
+    /**
+     * Write-only column the trigger reads the values to index from
+     */
+    static get TERMS_COLUMN() {
+        return 'search_terms';
+    }
+
+    /**
+     * Normalization for a field, chosen by its name so storing and searching always agree
+     */
+    static kind(field) {
+        if (/email/i.test(field)) return 'email';
+        if (/phone|tel|mobile|fax/i.test(field)) return 'phone';
+        return 'text';
+    }
+
+    static normalize(value, field) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        switch (BlindIndex.kind(field)) {
+            case 'email':
+                return text.toLowerCase();
+            case 'phone':
+                return text.replace(/\D/g, '');
+            default:
+                return text.replace(/\s+/g, ' ');
+        }
+    }
+
+    /**
+     * The value to send in search_terms for a field, or null when nothing is left after normalization
+     */
+    static term(field, value) {
+        return BlindIndex.normalize(value, field) || null;
+    }
+
+    /**
+     * Rows of a table whose field matches value, as far as the table's row level security lets the caller see
+     */
+    static async find(connector, tableName, field, value) {
+        const term = BlindIndex.term(field, value);
+        if (!term) return [];
+
+        const rows = await connector.rest(`rpc/${BlindIndex.SEARCH_RPC}`, {
+            method: 'POST',
+            body: { table_name: tableName, field: field, value: term }
+        });
+        return Array.isArray(rows) ? rows : [];
+    }
+
+    /**
+     * Send every row's decrypted values back as search_terms, a page at a time, so the database
+     * rewrites its <field>_hash columns; needs unlocked keys. Used after setting up blind indexes
+     * on a table written with the old hashes. Returns { scanned, updated, failed }.
+     */
+    static async reindexTable(connector, tableName, options = {}) {
+        const pageSize = options.pageSize || 100;
+        const onProgress = options.onProgress || (() => {});
+        const summary = { scanned: 0, updated: 0, failed: 0 };
+
+        for (let offset = 0; ; offset += pageSize) {
+            const rows = await connector.rest(`${tableName}?select=*&order=id.asc&limit=${pageSize}&offset=${offset}`);
+            if (!Array.isArray(rows) || rows.length === 0) break;
+
+            for (const row of rows) {
+                summary.scanned++;
+                const terms = {};
+                let rowFailed = false;
+
+                for (const [column, stored] of Object.entries(row)) {
+                    if (!column.endsWith('_encrypted') || !stored) continue;
+
+                    const field = column.slice(0, -'_encrypted'.length);
+                    try {
+                        const term = BlindIndex.term(field, await connector.keyManager.decrypt(stored, field));
+                        if (term) terms[field] = term;
+                    } catch (error) {
+                        rowFailed = true;
+                    }
+                }
+
+                // The page cannot tell whether a stored index is current, so every row with values is rewritten.
+                // Rows written with client-side hashes had them in data_hash, so it is recomputed without them.
+                if (Object.keys(terms).length > 0) {
+                    await connector.rest(`${tableName}?id=eq.${encodeURIComponent(row.id)}`, {
+                        method: 'PATCH',
+                        body: {
+                            [BlindIndex.TERMS_COLUMN]: terms,
+                            data_hash: await connector.generateDataHash(connector.hashedContent(row))
+                        }
+                    });
+                    summary.updated++;
+                }
+                if (rowFailed) summary.failed++;
+            }
+
+            onProgress(summary);
+            if (rows.length < pageSize) break;
+        }
+
+        return summary;
+    }
+}
+
+// Export for use in other modules
+window.BlindIndex = BlindIndex;
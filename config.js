@@ -13,10 +13,10 @@ window.FLEXFORM_CONFIG = {
     // SUPABASE_SERVICE_KEY: 'your-service-key-here', // Only for server-side usage
     
     AUTO_CONNECT: true,
-    DEFAULT_USER: {
-        email: 'user@company.com',
-        department: 'general'
-    }
+
+    // Users sign in with Supabase Auth; role and department come from their app_metadata.
+    // For development without a project, sign in against the in-browser mock (gotrue-mock.js):
+    // AUTH_URL: 'mock://gotrue',
 };
 
 // Instructions:
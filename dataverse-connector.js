@@ -0,0 +1,371 @@
+/**
+ * Dataverse Connector for FLEX-FORM
+ * Creates a Dataverse table from a template's fields and posts submissions
+ * to it through the Power Platform Web API (OData v4).
+ *
+ * Columns are named <prefix>_<field name>, where prefix is the publisher's
+ * customization prefix ("new" for the default publisher). Choice fields are
+ * stored as text so lookup-driven options need no option set changes.
+ *
+ * Connecting to DataverseMock.URL routes every request to an in-memory
+ * DataverseMock. Without an access token requests carry the browser's
+ * session, which works when the page is hosted as a Dataverse web resource.
+ */
+class DataverseConnector {
+    static get API_PATH() {
+        return '/api/data/v9.2/';
+    }
+
+    static get LANGUAGE_CODE() {
+        return 1033;
+    }
+
+    constructor() {
+        this.environmentUrl = '';
+        this.accessToken = '';
+        this.prefix = 'new';
+        this.connected = false;
+        this.mock = null;
+    }
+
+    static isMock(url) {
+        return typeof DataverseMock !== 'undefined' && url === DataverseMock.URL;
+    }
+
+    isValidEnvironmentUrl(url) {
+        return DataverseConnector.isMock(url) || /^https:\/\/[a-z0-9-]+(\.api)?\.crm\d*\.dynamics\.com$/i.test(url);
+    }
+
+    /**
+     * Connect and check the token with a WhoAmI call
+     */
+    async connect(url, accessToken = '', options = {}) {
+        try {
+            url = String(url || '').trim().replace(/\/+$/, '');
+            if (!this.isValidEnvironmentUrl(url)) {
+                throw new Error('Invalid environment URL, expected https://<org>.crm.dynamics.com');
+            }
+
+            const prefix = options.prefix || 'new';
+            if (!/^[a-z][a-z0-9]{1,7}$/i.test(prefix)) {
+                throw new Error('Publisher prefix must be 2-8 letters or digits, starting with a letter');
+            }
+
+            this.environmentUrl = url;
+            this.accessToken = accessToken;
+            this.prefix = prefix.toLowerCase();
+            if (DataverseConnector.isMock(url)) {
+                this.mock = this.mock || new DataverseMock();
+            }
+
+            const whoAmI = await this.request('GET', 'WhoAmI');
+            this.connected = true;
+
+            console.log(`✅ Connected to Dataverse${this.mock ? ' (mock)' : ''}`);
+            return { success: true, userId: whoAmI.UserId, mock: !!this.mock };
+        } catch (error) {
+            this.connected = false;
+            console.error('❌ Dataverse connection failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async request(method, path, body = null) {
+        const headers = {
+            'Accept': 'application/json',
+            'OData-MaxVersion': '4.0',
+            'OData-Version': '4.0'
+        };
+        if (body) {
+            headers['Content-Type'] = 'application/json; charset=utf-8';
+        }
+        if (this.accessToken) {
+            headers['Authorization'] = `Bearer ${this.accessToken}`;
+        }
+
+        const url = this.environmentUrl + DataverseConnector.API_PATH + path;
+        const init = {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined,
+            credentials: this.accessToken ? 'omit' : 'include'
+        };
+        const response = this.mock ? await this.mock.fetch(url, init) : await fetch(url, init);
+
+        if (!response.ok) {
+            let message = `HTTP ${response.status}: ${response.statusText}`;
+            try {
+                const error = await response.json();
+                message = (error.error && error.error.message) || message;
+            } catch (e) {
+                // Not JSON, keep the status line
+            }
+            const error = new Error(message);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (response.status === 204) {
+            return { entityId: DataverseConnector.parseEntityId(response.headers.get('OData-EntityId')) };
+        }
+        return response.json();
+    }
+
+    /**
+     * Record id from an OData-EntityId header such as .../accounts(00000000-0000-0000-0000-000000000001)
+     */
+    static parseEntityId(header) {
+        const match = String(header || '').match(/\(([0-9a-f-]{36})\)$/i);
+        return match ? match[1] : null;
+    }
+
+    schemaName(name) {
+        return `${this.prefix}_${String(name).replace(/[^a-zA-Z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '')}`.toLowerCase();
+    }
+
+    columnName(field) {
+        return this.schemaName(field.name);
+    }
+
+    primaryNameColumn() {
+        return this.schemaName('submission_title');
+    }
+
+    static label(text) {
+        return {
+            '@odata.type': 'Microsoft.Dynamics.CRM.Label',
+            LocalizedLabels: [{
+                '@odata.type': 'Microsoft.Dynamics.CRM.LocalizedLabel',
+                Label: String(text),
+                LanguageCode: DataverseConnector.LANGUAGE_CODE
+            }]
+        };
+    }
+
+    isLayoutField(field) {
+        return ['section', 'info'].includes(field.type);
+    }
+
+    /**
+     * Kind of Dataverse column a field is stored in
+     */
+    columnKind(field) {
+        const kinds = {
+            'text': 'string',
+            'email': 'string',
+            'tel': 'string',
+            'url': 'string',
+            'select': 'string',
+            'radio': 'string',
+            'yesno': 'string',
+            'time': 'string',
+            'month': 'string',
+            'week': 'string',
+            'file': 'string',
+            'calculated': 'string',
+            'textarea': 'memo',
+            'multiselect': 'memo',
+            'group': 'memo',
+            'number': 'decimal',
+            'rating': 'integer',
+            'date': 'date',
+            'datetime-local': 'datetime'
+        };
+
+        if (field.type === 'checkbox') {
+            return field.options && field.options.length > 0 ? 'memo' : 'boolean';
+        }
+        return kinds[field.type] || 'string';
+    }
+
+    /**
+     * AttributeMetadata for a field's column
+     */
+    attributeFor(field) {
+        const attribute = {
+            SchemaName: this.columnName(field),
+            DisplayName: DataverseConnector.label(field.label || field.name),
+            RequiredLevel: { Value: 'None', CanBeChanged: true, ManagedPropertyLogicalName: 'canmodifyrequirementlevelsettings' }
+        };
+        const formats = { email: 'Email', tel: 'Phone', url: 'Url' };
+
+        switch (this.columnKind(field)) {
+            case 'memo':
+                return { ...attribute, '@odata.type': 'Microsoft.Dynamics.CRM.MemoAttributeMetadata',
+                    AttributeType: 'Memo', AttributeTypeName: { Value: 'MemoType' }, Format: 'TextArea', MaxLength: 1048576 };
+            case 'decimal':
+                return { ...attribute, '@odata.type': 'Microsoft.Dynamics.CRM.DecimalAttributeMetadata',
+                    AttributeType: 'Decimal', AttributeTypeName: { Value: 'DecimalType' }, Precision: 2, MinValue: -100000000000, MaxValue: 100000000000 };
+            case 'integer':
+                return { ...attribute, '@odata.type': 'Microsoft.Dynamics.CRM.IntegerAttributeMetadata',
+                    AttributeType: 'Integer', AttributeTypeName: { Value: 'IntegerType' }, Format: 'None', MinValue: 0, MaxValue: FormWidgets.ratingMax(field) };
+            case 'date':
+            case 'datetime': {
+                const dateOnly = this.columnKind(field) === 'date';
+                return { ...attribute, '@odata.type': 'Microsoft.Dynamics.CRM.DateTimeAttributeMetadata',
+                    AttributeType: 'DateTime', AttributeTypeName: { Value: 'DateTimeType' },
+                    Format: dateOnly ? 'DateOnly' : 'DateAndTime', DateTimeBehavior: { Value: dateOnly ? 'DateOnly' : 'UserLocal' } };
+            }
+            case 'boolean':
+                return { ...attribute, '@odata.type': 'Microsoft.Dynamics.CRM.BooleanAttributeMetadata',
+                    AttributeType: 'Boolean', AttributeTypeName: { Value: 'BooleanType' }, DefaultValue: false,
+                    OptionSet: {
+                        TrueOption: { Value: 1, Label: DataverseConnector.label('Yes') },
+                        FalseOption: { Value: 0, Label: DataverseConnector.label('No') }
+                    } };
+            default:
+                return { ...attribute, '@odata.type': 'Microsoft.Dynamics.CRM.StringAttributeMetadata',
+                    AttributeType: 'String', AttributeTypeName: { Value: 'StringType' },
+                    FormatName: { Value: formats[field.type] || 'Text' }, MaxLength: field.type === 'url' ? 2000 : 4000 };
+        }
+    }
+
+    /**
+     * Create the table, or add the columns it is missing when it already exists
+     */
+    async createTable(tableName, displayName, fields) {
+        try {
+            if (!this.connected) {
+                throw new Error('Not connected to Dataverse. Please connect first.');
+            }
+            if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(tableName || '')) {
+                throw new Error('Invalid table name. Use only letters, numbers, and underscores.');
+            }
+
+            const logicalName = this.schemaName(tableName);
+            let definition = await this.getTable(logicalName);
+            const created = !definition;
+
+            if (created) {
+                await this.request('POST', 'EntityDefinitions', {
+                    '@odata.type': 'Microsoft.Dynamics.CRM.EntityMetadata',
+                    SchemaName: logicalName,
+                    DisplayName: DataverseConnector.label(displayName),
+                    DisplayCollectionName: DataverseConnector.label(displayName),
+                    Description: DataverseConnector.label(`Submissions of the ${displayName} form`),
+                    OwnershipType: 'UserOwned',
+                    IsActivity: false,
+                    HasActivities: false,
+                    HasNotes: false,
+                    Attributes: [{
+                        '@odata.type': 'Microsoft.Dynamics.CRM.StringAttributeMetadata',
+                        SchemaName: this.primaryNameColumn(),
+                        AttributeType: 'String',
+                        AttributeTypeName: { Value: 'StringType' },
+                        FormatName: { Value: 'Text' },
+                        MaxLength: 200,
+                        IsPrimaryName: true,
+                        DisplayName: DataverseConnector.label('Submission'),
+                        RequiredLevel: { Value: 'None', CanBeChanged: true, ManagedPropertyLogicalName: 'canmodifyrequirementlevelsettings' }
+                    }]
+                });
+                definition = await this.getTable(logicalName);
+            }
+
+            // Columns can only be added one at a time, after the table exists
+            const existing = await this.request('GET', `EntityDefinitions(LogicalName='${logicalName}')/Attributes?$select=LogicalName`);
+            const existingNames = new Set(existing.value.map(attribute => attribute.LogicalName));
+            const added = [];
+
+            for (const field of fields.filter(f => !this.isLayoutField(f))) {
+                const attribute = this.attributeFor(field);
+                if (existingNames.has(attribute.SchemaName)) continue;
+
+                await this.request('POST', `EntityDefinitions(LogicalName='${logicalName}')/Attributes`, attribute);
+                existingNames.add(attribute.SchemaName);
+                added.push(attribute.SchemaName);
+            }
+
+            console.log(`✅ Dataverse table '${logicalName}' ${created ? 'created' : 'updated'} (${added.length} column(s) added)`);
+            return {
+                success: true,
+                created: created,
+                logicalName: logicalName,
+                entitySetName: definition.EntitySetName,
+                added: added
+            };
+        } catch (error) {
+            console.error('❌ Dataverse table creation failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getTable(logicalName) {
+        try {
+            return await this.request('GET', `EntityDefinitions(LogicalName='${logicalName}')?$select=LogicalName,EntitySetName,PrimaryIdAttribute`);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Submission values converted to the column types from attributeFor
+     */
+    toRecord(fields, data, title) {
+        const record = {
+            [this.primaryNameColumn()]: `${title} - ${new Date().toISOString()}`.slice(0, 200)
+        };
+
+        fields.filter(f => !this.isLayoutField(f)).forEach(field => {
+            const value = data[field.name];
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return;
+
+            const column = this.columnName(field);
+            switch (this.columnKind(field)) {
+                case 'decimal':
+                case 'integer': {
+                    const number = Number(value);
+                    if (isFinite(number)) {
+                        record[column] = this.columnKind(field) === 'integer' ? Math.round(number) : number;
+                    }
+                    break;
+                }
+                case 'boolean':
+                    record[column] = value === true || ['1', 'on', 'true', 'yes'].includes(String(value).toLowerCase());
+                    break;
+                case 'datetime':
+                    record[column] = new Date(value).toISOString();
+                    break;
+                case 'memo':
+                    record[column] = Array.isArray(value) && value.some(item => item !== null && typeof item === 'object')
+                        ? JSON.stringify(value)
+                        : Array.isArray(value) ? value.join('; ') : String(value);
+                    break;
+                default:
+                    record[column] = Array.isArray(value) ? value.join('; ') : String(value);
+            }
+        });
+
+        return record;
+    }
+
+    /**
+     * Post one submission; the new record's id comes back in the OData-EntityId header
+     */
+    async submit(entitySetName, fields, data, title) {
+        try {
+            if (!this.connected) {
+                throw new Error('Not connected to Dataverse. Please connect first.');
+            }
+
+            const result = await this.request('POST', entitySetName, this.toRecord(fields, data, title));
+
+            console.log('✅ Submitted to Dataverse:', result.entityId);
+            return { success: true, recordId: result.entityId };
+        } catch (error) {
+            console.error('❌ Dataverse submission failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    disconnect() {
+        this.connected = false;
+        this.environmentUrl = '';
+        this.accessToken = '';
+        this.mock = null;
+    }
+}
+
+// Export for use in other modules
+window.DataverseConnector = DataverseConnector;
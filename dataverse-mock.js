@@ -0,0 +1,235 @@
+/**
+ * Dataverse Mock for FLEX-FORM
+ * An in-memory stand-in for the Dataverse Web API, so tables and submissions
+ * can be developed and tested without a Power Platform tenant. Connect to
+ * DataverseMock.URL and DataverseConnector sends its requests here instead
+ * of over the network.
+ *
+ * Covers what the connector uses: WhoAmI, EntityDefinitions (read, create,
+ * add attribute) and creating and reading records. Errors use the Web API's
+ * { error: { code, message } } shape; values are checked against each
+ * attribute's type the way the service does.
+ */
+class DataverseMock {
+    static get URL() {
+        return 'mock://dataverse';
+    }
+
+    constructor() {
+        this.entities = new Map(); // logical name -> { definition, attributes: Map, records: [] }
+        this.requests = [];
+    }
+
+    static newGuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * Drop-in replacement for window.fetch
+     */
+    async fetch(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const path = String(url).replace(DataverseMock.URL, '').replace(/^\/api\/data\/v[\d.]+\//, '');
+        const body = init.body ? JSON.parse(init.body) : null;
+        this.requests.push({ method: method, path: path, body: body });
+
+        try {
+            const { status, json, headers } = this.handle(method, decodeURIComponent(path.split('?')[0]), body);
+            return new Response(json === undefined ? null : JSON.stringify(json), {
+                status: status,
+                headers: { 'Content-Type': 'application/json; odata.metadata=minimal', 'OData-Version': '4.0', ...headers }
+            });
+        } catch (error) {
+            return new Response(JSON.stringify({ error: { code: error.code || '0x80040216', message: error.message } }), {
+                status: error.status || 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+
+    handle(method, path, body) {
+        let match;
+
+        if (method === 'GET' && path === 'WhoAmI') {
+            return { status: 200, json: { UserId: this.userId(), BusinessUnitId: this.userId(), OrganizationId: this.userId() } };
+        }
+
+        if ((match = path.match(/^EntityDefinitions\(LogicalName='([^']+)'\)(\/Attributes)?$/))) {
+            const entity = this.entity(match[1]);
+            if (!match[2] && method === 'GET') {
+                return { status: 200, json: entity.definition };
+            }
+            if (match[2] && method === 'GET') {
+                return { status: 200, json: { value: Array.from(entity.attributes.values()) } };
+            }
+            if (match[2] && method === 'POST') {
+                const attribute = this.addAttribute(entity, body);
+                return { status: 204, headers: this.entityIdHeader(`EntityDefinitions(${entity.definition.MetadataId})/Attributes(${attribute.MetadataId})`) };
+            }
+        }
+
+        if (path === 'EntityDefinitions' && method === 'POST') {
+            const entity = this.createEntity(body);
+            return { status: 204, headers: this.entityIdHeader(`EntityDefinitions(${entity.definition.MetadataId})`) };
+        }
+
+        if ((match = path.match(/^([a-z0-9_]+)(?:\(([0-9a-f-]{36})\))?$/i))) {
+            const entity = this.entityBySet(match[1]);
+            if (method === 'POST' && !match[2]) {
+                const id = this.createRecord(entity, body);
+                return { status: 204, headers: this.entityIdHeader(`${match[1]}(${id})`) };
+            }
+            if (method === 'GET' && match[2]) {
+                const record = entity.records.find(r => r[`${entity.definition.LogicalName}id`] === match[2]);
+                if (!record) throw this.error(404, '0x80040217', `${entity.definition.LogicalName} With Id = ${match[2]} Does Not Exist`);
+                return { status: 200, json: record };
+            }
+            if (method === 'GET') {
+                return { status: 200, json: { value: entity.records.slice() } };
+            }
+        }
+
+        throw this.error(404, '0x80060888', `Resource not found for the segment '${path}'.`);
+    }
+
+    createEntity(body) {
+        if (!body || !body.SchemaName || !/^[A-Za-z0-9]+_[A-Za-z0-9_]+$/.test(body.SchemaName)) {
+            throw this.error(400, '0x80044363', 'SchemaName must start with a publisher prefix, e.g. new_formsubmission');
+        }
+
+        const logicalName = body.SchemaName.toLowerCase();
+        if (this.entities.has(logicalName)) {
+            throw this.error(400, '0x80044363', `An entity with the specified name ${logicalName} already exists.`);
+        }
+
+        const primary = (body.Attributes || []).filter(a => a.IsPrimaryName);
+        if (primary.length !== 1 || primary[0].AttributeType !== 'String') {
+            throw this.error(400, '0x80044331', 'A table needs exactly one primary name column of type String.');
+        }
+
+        const entity = {
+            definition: {
+                MetadataId: DataverseMock.newGuid(),
+                LogicalName: logicalName,
+                SchemaName: body.SchemaName,
+                EntitySetName: `${logicalName}s`,
+                PrimaryIdAttribute: `${logicalName}id`,
+                PrimaryNameAttribute: primary[0].SchemaName.toLowerCase(),
+                DisplayName: body.DisplayName
+            },
+            attributes: new Map(),
+            records: []
+        };
+        this.entities.set(logicalName, entity);
+        this.addAttribute(entity, primary[0]);
+        return entity;
+    }
+
+    addAttribute(entity, body) {
+        if (!body || !body.SchemaName || !body.AttributeType) {
+            throw this.error(400, '0x80044331', 'Attribute metadata needs a SchemaName and an AttributeType.');
+        }
+
+        const logicalName = body.SchemaName.toLowerCase();
+        if (entity.attributes.has(logicalName)) {
+            throw this.error(400, '0x80047013', `An attribute with the specified name ${logicalName} already exists.`);
+        }
+
+        const attribute = { ...body, LogicalName: logicalName, MetadataId: DataverseMock.newGuid() };
+        entity.attributes.set(logicalName, attribute);
+        return attribute;
+    }
+
+    createRecord(entity, body) {
+        const record = {};
+
+        Object.entries(body || {}).forEach(([key, value]) => {
+            const attribute = entity.attributes.get(key);
+            if (!attribute) {
+                throw this.error(400, '0x80060888', `Invalid property '${key}' was found in entity 'Microsoft.Dynamics.CRM.${entity.definition.LogicalName}'.`);
+            }
+            this.checkValue(attribute, value);
+            record[key] = value;
+        });
+
+        const id = DataverseMock.newGuid();
+        record[entity.definition.PrimaryIdAttribute] = id;
+        record.createdon = new Date().toISOString();
+        entity.records.push(record);
+        return id;
+    }
+
+    checkValue(attribute, value) {
+        if (value === null) return;
+
+        const invalid = () => this.error(400, '0x80048d19', `Cannot convert the literal '${value}' to the expected type for ${attribute.LogicalName}.`);
+        switch (attribute.AttributeType) {
+            case 'String':
+            case 'Memo':
+                if (typeof value !== 'string') throw invalid();
+                if (attribute.MaxLength && value.length > attribute.MaxLength) {
+                    throw this.error(400, '0x80044331', `A validation error occurred. The length of the '${attribute.LogicalName}' attribute exceeded the maximum allowed length of '${attribute.MaxLength}'.`);
+                }
+                break;
+            case 'Integer':
+                if (!Number.isInteger(value)) throw invalid();
+                break;
+            case 'Decimal':
+                if (typeof value !== 'number' || !isFinite(value)) throw invalid();
+                break;
+            case 'Boolean':
+                if (typeof value !== 'boolean') throw invalid();
+                break;
+            case 'DateTime':
+                if (typeof value !== 'string' || isNaN(Date.parse(value))) throw invalid();
+                break;
+        }
+
+        const outOfRange = (attribute.MinValue !== undefined && value < attribute.MinValue) ||
+            (attribute.MaxValue !== undefined && value > attribute.MaxValue);
+        if (typeof value === 'number' && outOfRange) {
+            throw this.error(400, '0x80044331', `A validation error occurred. The value ${value} of '${attribute.LogicalName}' is outside the valid range (${attribute.MinValue} to ${attribute.MaxValue}).`);
+        }
+    }
+
+    entity(logicalName) {
+        const entity = this.entities.get(logicalName);
+        if (!entity) {
+            throw this.error(404, '0x80040217', `Could not find an entity with the name ${logicalName}.`);
+        }
+        return entity;
+    }
+
+    entityBySet(entitySetName) {
+        const entity = Array.from(this.entities.values()).find(e => e.definition.EntitySetName === entitySetName);
+        if (!entity) {
+            throw this.error(404, '0x80060888', `Resource not found for the segment '${entitySetName}'.`);
+        }
+        return entity;
+    }
+
+    entityIdHeader(path) {
+        return { 'OData-EntityId': `${DataverseMock.URL}/api/data/v9.2/${path}` };
+    }
+
+    userId() {
+        this.currentUserId = this.currentUserId || DataverseMock.newGuid();
+        return this.currentUserId;
+    }
+
+    error(status, code, message) {
+        const error = new Error(message);
+        error.status = status;
+        error.code = code;
+        return error;
+    }
+}
+
+// Export for use in other modules
+window.DataverseMock = DataverseMock;
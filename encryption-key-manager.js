@@ -0,0 +1,359 @@
+/**
+ * Encryption Key Manager for FLEX-FORM
+ * Persistent encryption keys for SecureSupabaseConnector. Each key id is an
+ * RSA-OAEP key pair kept in the encryption_keys table:
+ *
+ *   { key_id, public_key, wrapped_private_key, wrap_iv, kek_type, kdf_salt, kdf_iterations, status, created_at }
+ *
+ * Everyone reads keys through the encryption_public_keys view, which has no
+ * wrapped key material; only admins and auditors may read the table itself.
+ *
+ * Submitters only need the active public key. Every value gets its own
+ * AES-GCM content key, wrapped with that public key and stored with the key id:
+ *
+ *   v1:<key_id>:<wrapped content key>:<iv + ciphertext>
+ *
+ * The private keys are wrapped with a key-encryption key (KEK): one derived
+ * from an admin passphrase (PBKDF2), or a raw key handed out by a server
+ * endpoint to authorized users. Unlocking unwraps them for this page only;
+ * they are never stored unwrapped. Rotating creates a new active key, and
+ * reencryptTable() moves existing rows onto it.
+ */
+class EncryptionKeyManager {
+    static get TABLE() {
+        return 'encryption_keys';
+    }
+
+    /**
+     * key_id, public_key, kek_type, status and created_at of every key, readable by submitters
+     */
+    static get PUBLIC_VIEW() {
+        return 'encryption_public_keys';
+    }
+
+    static get FORMAT() {
+        return 'v1';
+    }
+
+    static get KDF_ITERATIONS() {
+        return 310000;
+    }
+
+    static get RSA_PARAMS() {
+        return { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+    }
+
+    constructor(connector) {
+        this.connector = connector;
+        this.keys = [];
+        this.publicKeys = new Map();
+        this.privateKeys = new Map();
+    }
+
+    static toBase64(bytes) {
+        const array = new Uint8Array(bytes);
+        let binary = '';
+        for (let i = 0; i < array.length; i += 0x8000) {
+            binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    static generateKeyId() {
+        const random = Math.random().toString(36).substring(2, 6);
+        return `key_${Date.now().toString(36)}${random}`;
+    }
+
+    /**
+     * KEK derived from a passphrase; the salt and iteration count are stored with each key
+     */
+    static async passphraseKek(passphrase, salt, iterations = EncryptionKeyManager.KDF_ITERATIONS) {
+        if (!passphrase || passphrase.length < 12) {
+            throw new Error('The key passphrase must be at least 12 characters');
+        }
+
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * KEK from a server endpoint, e.g. a Supabase Edge Function that only answers
+     * authorized users with { key: <base64 of 32 random bytes> }
+     */
+    static async serverKek(url, accessToken) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`The key server refused the request (HTTP ${response.status})`);
+        }
+
+        const { key } = await response.json();
+        const raw = EncryptionKeyManager.fromBase64(key || '');
+        if (raw.length !== 32) {
+            throw new Error('The key server returned an invalid key');
+        }
+        return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['wrapKey', 'unwrapKey']);
+    }
+
+    /**
+     * KEK for a key record, from { passphrase } or { serverKek } (a CryptoKey from serverKek())
+     */
+    static async kekFor(record, secret) {
+        if (record.kek_type === 'server') {
+            if (!secret.serverKek) throw new Error(`Key ${record.key_id} is wrapped with the server key`);
+            return secret.serverKek;
+        }
+        if (!secret.passphrase) throw new Error(`Key ${record.key_id} is wrapped with a passphrase`);
+        return EncryptionKeyManager.passphraseKek(secret.passphrase, EncryptionKeyManager.fromBase64(record.kdf_salt), record.kdf_iterations);
+    }
+
+    async load() {
+        const rows = await this.connector.rest(`${EncryptionKeyManager.PUBLIC_VIEW}?select=*&order=created_at.asc`);
+        this.keys = Array.isArray(rows) ? rows : [];
+        return this.keys;
+    }
+
+    activeKey() {
+        return this.keys.filter(key => key.status === 'active').pop() || null;
+    }
+
+    hasActiveKey() {
+        return this.activeKey() !== null;
+    }
+
+    isUnlocked(keyId) {
+        return this.privateKeys.has(keyId);
+    }
+
+    /**
+     * Unwrap every private key the secret opens. Returns { unlocked, failed } key ids.
+     * The wrapped keys come from the table, so only admins and auditors unlock anything.
+     */
+    async unlock(secret) {
+        const unlocked = [];
+        const failed = [];
+        const rows = await this.connector.rest(`${EncryptionKeyManager.TABLE}?select=*&order=created_at.asc`);
+        const wrapped = new Map((Array.isArray(rows) ? rows : []).map(row => [row.key_id, row]));
+
+        for (const key of this.keys) {
+            const record = wrapped.get(key.key_id);
+            if (!record) {
+                failed.push(key.key_id);
+                continue;
+            }
+            try {
+                const kek = await EncryptionKeyManager.kekFor(record, secret);
+                const privateKey = await crypto.subtle.unwrapKey(
+                    'pkcs8',
+                    EncryptionKeyManager.fromBase64(record.wrapped_private_key),
+                    kek,
+                    { name: 'AES-GCM', iv: EncryptionKeyManager.fromBase64(record.wrap_iv) },
+                    { name: 'RSA-OAEP', hash: 'SHA-256' },
+                    false,
+                    ['unwrapKey']
+                );
+                this.privateKeys.set(record.key_id, privateKey);
+                unlocked.push(record.key_id);
+            } catch (error) {
+                // A wrong passphrase fails the AES-GCM tag check
+                failed.push(record.key_id);
+            }
+        }
+
+        return { unlocked: unlocked, failed: failed };
+    }
+
+    lock() {
+        this.privateKeys.clear();
+    }
+
+    /**
+     * Create a key pair wrapped with the secret and make it the active key; older keys stay for decryption
+     */
+    async createKey(secret) {
+        const keyPair = await crypto.subtle.generateKey(EncryptionKeyManager.RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+        const record = {
+            key_id: EncryptionKeyManager.generateKeyId(),
+            public_key: EncryptionKeyManager.toBase64(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+            kek_type: secret.serverKek ? 'server' : 'passphrase',
+            kdf_salt: null,
+            kdf_iterations: null,
+            status: 'active',
+            created_at: new Date().toISOString()
+        };
+        if (record.kek_type === 'passphrase') {
+            record.kdf_salt = EncryptionKeyManager.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+            record.kdf_iterations = EncryptionKeyManager.KDF_ITERATIONS;
+        }
+
+        const kek = await EncryptionKeyManager.kekFor(record, secret);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        record.wrap_iv = EncryptionKeyManager.toBase64(iv);
+        record.wrapped_private_key = EncryptionKeyManager.toBase64(await crypto.subtle.wrapKey('pkcs8', keyPair.privateKey, kek, { name: 'AES-GCM', iv: iv }));
+
+        // Insert first so there is never a moment without an active key
+        const previous = this.keys.filter(key => key.status === 'active');
+        await this.connector.rest(EncryptionKeyManager.TABLE, { method: 'POST', body: [record] });
+        for (const key of previous) {
+            await this.connector.rest(`${EncryptionKeyManager.TABLE}?key_id=eq.${encodeURIComponent(key.key_id)}`, {
+                method: 'PATCH',
+                body: { status: 'retired' }
+            });
+            key.status = 'retired';
+        }
+
+        this.keys.push(record);
+        this.privateKeys.set(record.key_id, keyPair.privateKey);
+        return record;
+    }
+
+    async publicKeyFor(record) {
+        if (!this.publicKeys.has(record.key_id)) {
+            const key = await crypto.subtle.importKey(
+                'spki',
+                EncryptionKeyManager.fromBase64(record.public_key),
+                { name: 'RSA-OAEP', hash: 'SHA-256' },
+                false,
+                ['wrapKey']
+            );
+            this.publicKeys.set(record.key_id, key);
+        }
+        return this.publicKeys.get(record.key_id);
+    }
+
+    /**
+     * Encrypt a value for the active key. field is bound into the ciphertext, so a value
+     * copied into another column does not decrypt.
+     */
+    async encrypt(value, field) {
+        const record = this.activeKey();
+        if (!record) {
+            throw new Error('No active encryption key. An admin must create one before sensitive fields can be saved.');
+        }
+
+        const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(field) },
+            contentKey,
+            new TextEncoder().encode(String(value))
+        );
+        const wrapped = await crypto.subtle.wrapKey('raw', contentKey, await this.publicKeyFor(record), { name: 'RSA-OAEP' });
+
+        const payload = new Uint8Array(iv.length + ciphertext.byteLength);
+        payload.set(iv);
+        payload.set(new Uint8Array(ciphertext), iv.length);
+
+        return [EncryptionKeyManager.FORMAT, record.key_id, EncryptionKeyManager.toBase64(wrapped), EncryptionKeyManager.toBase64(payload)].join(':');
+    }
+
+    /**
+     * Key id of a stored value, or null for values written before key management
+     */
+    static keyIdOf(stored) {
+        const parts = String(stored || '').split(':');
+        return parts.length === 4 && parts[0] === EncryptionKeyManager.FORMAT ? parts[1] : null;
+    }
+
+    async decrypt(stored, field) {
+        const keyId = EncryptionKeyManager.keyIdOf(stored);
+        if (!keyId) {
+            throw new Error('Value was encrypted with a temporary key and cannot be recovered');
+        }
+        if (!this.privateKeys.has(keyId)) {
+            const known = this.keys.some(key => key.key_id === keyId);
+            throw new Error(known ? `Key ${keyId} is locked` : `Unknown key ${keyId}`);
+        }
+
+        const [, , wrapped, payload] = String(stored).split(':');
+        const bytes = EncryptionKeyManager.fromBase64(payload);
+        const contentKey = await crypto.subtle.unwrapKey(
+            'raw',
+            EncryptionKeyManager.fromBase64(wrapped),
+            this.privateKeys.get(keyId),
+            { name: 'RSA-OAEP' },
+            { name: 'AES-GCM' },
+            false,
+            ['decrypt']
+        );
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.subarray(0, 12), additionalData: new TextEncoder().encode(field) },
+            contentKey,
+            bytes.subarray(12)
+        );
+        return new TextDecoder().decode(plaintext);
+    }
+
+    /**
+     * Re-encryption job: move every *_encrypted value in a table onto the active key, a page at a time.
+     * Returns { scanned, updated, failed, unrecoverable, remaining } where remaining counts the values
+     * per key id that could not be moved, e.g. because that key is locked. A retired key can be
+     * deleted once no table has values left on it.
+     */
+    async reencryptTable(tableName, options = {}) {
+        const pageSize = options.pageSize || 100;
+        const onProgress = options.onProgress || (() => {});
+        const active = this.activeKey();
+        if (!active) throw new Error('No active encryption key to re-encrypt onto');
+
+        const summary = { scanned: 0, updated: 0, failed: 0, unrecoverable: 0, remaining: {} };
+
+        for (let offset = 0; ; offset += pageSize) {
+            const rows = await this.connector.rest(`${tableName}?select=*&order=id.asc&limit=${pageSize}&offset=${offset}`);
+            if (!Array.isArray(rows) || rows.length === 0) break;
+
+            for (const row of rows) {
+                summary.scanned++;
+                const changes = {};
+                let rowFailed = false;
+
+                for (const [column, stored] of Object.entries(row)) {
+                    if (!column.endsWith('_encrypted') || !stored) continue;
+
+                    const keyId = EncryptionKeyManager.keyIdOf(stored);
+                    if (keyId === active.key_id) continue;
+                    if (!keyId) {
+                        summary.unrecoverable++;
+                        continue;
+                    }
+
+                    try {
+                        const field = column.slice(0, -'_encrypted'.length);
+                        changes[column] = await this.encrypt(await this.decrypt(stored, field), field);
+                    } catch (error) {
+                        rowFailed = true;
+                        summary.remaining[keyId] = (summary.remaining[keyId] || 0) + 1;
+                    }
+                }
+
+                if (Object.keys(changes).length > 0) {
+                    // data_hash covers the ciphertext, so it changes with it
+                    changes.data_hash = await this.connector.generateDataHash(this.connector.hashedContent({ ...row, ...changes }));
+                    await this.connector.rest(`${tableName}?id=eq.${encodeURIComponent(row.id)}`, { method: 'PATCH', body: changes });
+                    summary.updated++;
+                }
+                if (rowFailed) summary.failed++;
+            }
+
+            onProgress(summary);
+            if (rows.length < pageSize) break;
+        }
+
+        return summary;
+    }
+}
+
+// Export for use in other modules
+window.EncryptionKeyManager = EncryptionKeyManager;
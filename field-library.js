@@ -0,0 +1,315 @@
+/**
+ * Field Library for FLEX-FORM
+ * Named snippets of one or more fields that admins insert into any template,
+ * such as Building/Room or the Action Items group. Snippets live in the
+ * field_snippets table so the whole team shares them; the last read is cached
+ * for offline use, and snippets saved without a connection are uploaded the
+ * next time the library loads. Only admins may write to the table; a snippet
+ * the database refuses stays in this browser, marked local.
+ *
+ *   { name, description, fields, created_by, updated_at }
+ *
+ * Inserting a snippet gives its fields new ids and, where a name is already
+ * taken, a new name; rules, lookups and formulas inside the snippet follow
+ * the rename.
+ */
+class FieldLibrary {
+    static get TABLE() {
+        return 'field_snippets';
+    }
+
+    static get CACHE_KEY() {
+        return 'flexform_field_library';
+    }
+
+    /**
+     * Blocks every Gemba template repeats; a database snippet with the same name replaces one
+     */
+    static get BUNDLED() {
+        return [
+            {
+                name: 'Building / Room',
+                description: 'Building, then a room filtered by the building',
+                fields: [
+                    { type: 'select', label: 'Building', name: 'building', placeholder: 'Select building where event took place', required: true, options: [], lookup: { table: 'buildings', column: 'name' } },
+                    { type: 'select', label: 'Room', name: 'room', placeholder: 'Select room where event took place', required: true, options: [], lookup: { table: 'rooms', column: 'name', filterColumn: 'building', dependsOn: 'building' } }
+                ]
+            },
+            {
+                name: 'Product / Batch',
+                description: 'Part number and batch code(s)',
+                fields: [
+                    { type: 'text', label: 'Product (Part Number)', name: 'product', placeholder: 'Part Number for product; use DS part number if not specific step related', required: false, options: [] },
+                    { type: 'text', label: 'Batch', name: 'batch', placeholder: 'Batch code(s)', required: false, options: [] }
+                ]
+            },
+            {
+                name: 'Action Items',
+                description: 'Repeatable action items with an owner and a due date',
+                fields: [
+                    {
+                        type: 'group', label: 'Action Items', name: 'action_items', placeholder: '', required: false, options: [],
+                        addLabel: 'Add action item', minItems: 0, maxItems: 10,
+                        children: [
+                            { type: 'textarea', label: 'Description', name: 'description', placeholder: 'Describe required action', required: true, options: [] },
+                            { type: 'text', label: 'Owner', name: 'owner', placeholder: 'Assign owner', required: true, options: [] },
+                            { type: 'date', label: 'Due Date', name: 'due_date', placeholder: '', required: false, options: [] }
+                        ]
+                    }
+                ]
+            }
+        ].map(snippet => ({ ...snippet, bundled: true }));
+    }
+
+    static fieldsOf(row) {
+        if (Array.isArray(row.fields)) return row.fields;
+        try {
+            const fields = JSON.parse(row.fields || '[]');
+            return Array.isArray(fields) ? fields : [];
+        } catch (error) {
+            console.warn(`Snippet ${row.name} has invalid fields`);
+            return [];
+        }
+    }
+
+    static toSnippet(row) {
+        return {
+            name: row.name,
+            description: row.description || '',
+            fields: FieldLibrary.fieldsOf(row),
+            createdBy: row.created_by || '',
+            updatedAt: row.updated_at || null,
+            bundled: !!row.bundled,
+            local: !!row.local
+        };
+    }
+
+    static toRow(snippet) {
+        return {
+            name: snippet.name,
+            description: snippet.description || '',
+            // Ids belong to the template a field was taken from
+            fields: snippet.fields.map(({ id, ...field }) => field),
+            created_by: snippet.createdBy || null,
+            updated_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Database rows win over bundled snippets of the same name
+     */
+    static merge(rows) {
+        const names = new Set(rows.map(row => row.name));
+        return rows.map(FieldLibrary.toSnippet)
+            .concat(FieldLibrary.BUNDLED.filter(snippet => !names.has(snippet.name)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * All snippets, sorted by name. Returns { snippets, source } where source is 'database', 'cache' or 'bundled'.
+     */
+    static async load(client) {
+        const cached = FieldLibrary.readCache();
+
+        if (client) {
+            // Snippets saved while offline go up first so they are in the list that comes back
+            const pending = await FieldLibrary.uploadPending(client, (cached || []).filter(row => row.local));
+
+            try {
+                const { data, error } = await client
+                    .from(FieldLibrary.TABLE)
+                    .select('*')
+                    .order('name', { ascending: true });
+
+                if (error) throw error;
+
+                // Snippets that could not be uploaded stay local, in place of the database copy of the same name
+                const names = new Set(pending.map(row => row.name));
+                const rows = (data || []).filter(row => !names.has(row.name)).concat(pending);
+                FieldLibrary.writeCache(rows);
+                return { snippets: FieldLibrary.merge(rows), source: 'database' };
+            } catch (error) {
+                console.warn('Could not load the field library from the database, using cached snippets:', error.message || error);
+            }
+        }
+
+        if (cached) {
+            return { snippets: FieldLibrary.merge(cached), source: 'cache' };
+        }
+        return { snippets: FieldLibrary.merge([]), source: 'bundled' };
+    }
+
+    /**
+     * Upload snippets saved locally, one at a time so a refused one does not hold back the rest.
+     * Returns the rows that are still only local.
+     */
+    static async uploadPending(client, pending) {
+        const remaining = [];
+        for (const row of pending) {
+            try {
+                const { local, ...stored } = row;
+                const { error } = await client
+                    .from(FieldLibrary.TABLE)
+                    .upsert([stored], { onConflict: 'name' });
+                if (error) throw error;
+            } catch (error) {
+                console.warn(`Snippet "${row.name}" is still only saved locally:`, error.message || error);
+                remaining.push(row);
+            }
+        }
+        return remaining;
+    }
+
+    /**
+     * Create or replace a snippet by name. Returns { saved } where saved is false when it is only kept locally.
+     */
+    static async save(client, snippet) {
+        const row = FieldLibrary.toRow(snippet);
+        const keep = (local) => {
+            const rows = (FieldLibrary.readCache() || []).filter(existing => existing.name !== row.name);
+            FieldLibrary.writeCache(rows.concat(local ? { ...row, local: true } : row));
+        };
+
+        if (client) {
+            try {
+                const { error } = await client
+                    .from(FieldLibrary.TABLE)
+                    .upsert([row], { onConflict: 'name' });
+
+                if (error) throw error;
+                keep(false);
+                return { saved: true };
+            } catch (error) {
+                console.warn('Could not save the snippet to the database:', error.message || error);
+            }
+        }
+
+        keep(true);
+        return { saved: false };
+    }
+
+    static async remove(client, name) {
+        if (client) {
+            const { error } = await client
+                .from(FieldLibrary.TABLE)
+                .delete()
+                .eq('name', name);
+
+            if (error) throw error;
+        }
+        FieldLibrary.writeCache((FieldLibrary.readCache() || []).filter(row => row.name !== name));
+    }
+
+    static readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(FieldLibrary.CACHE_KEY) || 'null');
+            return cached && Array.isArray(cached.rows) ? cached.rows : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static writeCache(rows) {
+        try {
+            localStorage.setItem(FieldLibrary.CACHE_KEY, JSON.stringify({ rows: rows, fetchedAt: new Date().toISOString() }));
+        } catch (error) {
+            console.warn('Could not cache the field library:', error);
+        }
+    }
+
+    /**
+     * name, or name_2, name_3... when it is taken
+     */
+    static uniqueName(name, taken) {
+        if (!taken.has(name)) return name;
+
+        const base = name.replace(/_\d+$/, '');
+        let suffix = 2;
+        while (taken.has(`${base}_${suffix}`)) suffix++;
+        return `${base}_${suffix}`;
+    }
+
+    static nextId(fields) {
+        return Math.max(Date.now(), ...fields.map(field => Number(field.id) || 0).map(id => id + 1));
+    }
+
+    /**
+     * Copies of a snippet's fields ready to append to existingFields.
+     * Returns { fields, renamed, warnings }; renamed maps snippet names to the names used.
+     */
+    static instantiate(snippetFields, existingFields) {
+        const taken = new Set(existingFields.map(field => field.name));
+        const renamed = {};
+        const warnings = [];
+        let nextId = FieldLibrary.nextId(existingFields);
+
+        const fields = snippetFields.map(source => {
+            const field = JSON.parse(JSON.stringify(source));
+            field.id = nextId++;
+            field.name = FieldLibrary.uniqueName(source.name, taken);
+            taken.add(field.name);
+            if (field.name !== source.name) {
+                renamed[source.name] = field.name;
+            }
+            return field;
+        });
+
+        // References inside the snippet follow renames; ones to fields the template lacks are dropped
+        const known = name => taken.has(name);
+        fields.forEach(field => {
+            if (field.type === 'calculated' && field.formula && typeof FormCalculator !== 'undefined') {
+                Object.entries(renamed).forEach(([from, to]) => {
+                    field.formula = FormCalculator.renameField(field.formula, from, to);
+                });
+                const missing = FormCalculator.references(field.formula).filter(name => !known(name));
+                if (missing.length > 0) {
+                    warnings.push(`"${field.label}" uses ${missing.join(', ')}, which this template does not have`);
+                }
+            }
+
+            if (field.lookup && field.lookup.dependsOn) {
+                const target = renamed[field.lookup.dependsOn] || field.lookup.dependsOn;
+                if (known(target)) {
+                    field.lookup.dependsOn = target;
+                } else {
+                    warnings.push(`"${field.label}" no longer depends on ${field.lookup.dependsOn} and shows every option`);
+                    delete field.lookup.dependsOn;
+                    delete field.lookup.filterColumn;
+                }
+            }
+
+            if (!field.rules) return;
+            ['showWhen', 'requiredWhen'].forEach(key => {
+                const condition = field.rules[key];
+                if (!condition) return;
+
+                const target = renamed[condition.field] || condition.field;
+                if (known(target)) {
+                    condition.field = target;
+                } else {
+                    warnings.push(`"${field.label}" lost its rule on ${condition.field}`);
+                    delete field.rules[key];
+                }
+            });
+            if (Object.keys(field.rules).length === 0) {
+                delete field.rules;
+            }
+        });
+
+        return { fields: fields, renamed: renamed, warnings: warnings };
+    }
+
+    /**
+     * A copy of one field with a new id and unique name; its own rules keep pointing at the same fields
+     */
+    static duplicate(field, existingFields) {
+        const copy = JSON.parse(JSON.stringify(field));
+        copy.id = FieldLibrary.nextId(existingFields);
+        copy.name = FieldLibrary.uniqueName(field.name, new Set(existingFields.map(other => other.name)));
+        copy.label = `${field.label} (copy)`;
+        return copy;
+    }
+}
+
+// Export for use in other modules
+window.FieldLibrary = FieldLibrary;
@@ -0,0 +1,141 @@
+/**
+ * Field Reveal for FLEX-FORM
+ * Shows *_encrypted columns in the portal's data viewer. Everyone sees the
+ * masked preview stored next to the ciphertext (j***@company.com, written by
+ * SecureSupabaseConnector.maskValue). Users whose role may reveal them can
+ * decrypt them with the connector's keys, and every reveal is written to the
+ * security log.
+ *
+ * The roles come from REVEAL_ROLES in the config (default: admin, auditor).
+ * Keys are unlocked with the key server named by KEK_SERVER_URL, or with the
+ * key passphrase when there is none.
+ */
+class FieldReveal {
+    static get DEFAULT_ROLES() {
+        return ['admin', 'auditor'];
+    }
+
+    static get PLACEHOLDER() {
+        return '••••••';
+    }
+
+    static config() {
+        return window.FLEXFORM_CONFIG || window.EMBEDDED_CONFIG || {};
+    }
+
+    static revealRoles() {
+        const roles = FieldReveal.config().REVEAL_ROLES;
+        return Array.isArray(roles) ? roles : FieldReveal.DEFAULT_ROLES;
+    }
+
+    static canReveal(user) {
+        return !!user && FieldReveal.revealRoles().includes(user.role);
+    }
+
+    /**
+     * Field names stored encrypted in any of the rows
+     */
+    static encryptedFields(rows) {
+        const fields = new Set();
+        rows.forEach(row => {
+            Object.keys(row).forEach(column => {
+                if (column.endsWith('_encrypted')) fields.add(column.slice(0, -'_encrypted'.length));
+            });
+        });
+        return Array.from(fields);
+    }
+
+    /**
+     * Rows for display: each encrypted field becomes one column holding its revealed or
+     * masked value, and the _encrypted, _hash and _masked columns and search_terms are dropped.
+     * revealed[i] holds the values revealed for rows[i].
+     */
+    static present(rows, revealed = []) {
+        const fields = FieldReveal.encryptedFields(rows);
+        const companions = new Set(fields.flatMap(field => [`${field}_encrypted`, `${field}_hash`, `${field}_masked`]));
+        companions.add(BlindIndex.TERMS_COLUMN);
+
+        return rows.map((row, index) => {
+            const shown = {};
+            Object.entries(row).forEach(([column, value]) => {
+                if (!companions.has(column)) {
+                    shown[column] = value;
+                    return;
+                }
+                if (!column.endsWith('_encrypted')) return;
+
+                const field = column.slice(0, -'_encrypted'.length);
+                const values = revealed[index] || {};
+                if (Object.prototype.hasOwnProperty.call(values, field)) {
+                    shown[field] = values[field];
+                } else {
+                    shown[field] = value ? (row[`${field}_masked`] || FieldReveal.PLACEHOLDER) : null;
+                }
+            });
+            return shown;
+        });
+    }
+
+    /**
+     * Unlock the private keys if none are open yet
+     */
+    static async unlock(connector) {
+        const keyManager = connector.keyManager;
+        if (keyManager.keys.some(key => keyManager.isUnlocked(key.key_id))) return;
+
+        const serverUrl = FieldReveal.config().KEK_SERVER_URL;
+        let secret;
+        if (serverUrl) {
+            secret = { serverKek: await EncryptionKeyManager.serverKek(serverUrl, connector.accessToken || connector.supabaseKey) };
+        } else {
+            const passphrase = prompt('Enter the key passphrase to reveal encrypted fields:');
+            if (!passphrase) throw new Error('Reveal cancelled');
+            secret = { passphrase: passphrase };
+        }
+
+        const { unlocked } = await connector.unlockKeys(secret);
+        if (unlocked.length === 0) {
+            throw new Error('The key secret does not open any encryption key');
+        }
+    }
+
+    /**
+     * Decrypt the given fields of each row. Returns one { field: value } object per row;
+     * values that cannot be decrypted are left out and stay masked.
+     */
+    static async reveal(connector, rows, fields, context) {
+        if (!FieldReveal.canReveal(connector.currentUser)) {
+            connector.logSecurityEvent('REVEAL_DENIED', { context: context, fields: fields, recordIds: rows.map(row => row.id) });
+            throw new Error('Your role is not allowed to reveal encrypted fields');
+        }
+
+        await FieldReveal.unlock(connector);
+
+        const failed = [];
+        const revealed = await Promise.all(rows.map(async (row) => {
+            const values = {};
+            for (const field of fields) {
+                const stored = row[`${field}_encrypted`];
+                if (!stored) continue;
+                try {
+                    values[field] = await connector.keyManager.decrypt(stored, field);
+                } catch (error) {
+                    failed.push({ recordId: row.id, field: field, reason: error.message });
+                }
+            }
+            return values;
+        }));
+
+        connector.logSecurityEvent('FIELDS_REVEALED', {
+            context: context,
+            fields: fields,
+            recordIds: rows.map(row => row.id),
+            revealed: revealed.reduce((count, values) => count + Object.keys(values).length, 0),
+            failed: failed
+        });
+        return revealed;
+    }
+}
+
+// Export for use in other modules
+window.FieldReveal = FieldReveal;
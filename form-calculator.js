@@ -0,0 +1,460 @@
+/**
+ * Form Calculator for FLEX-FORM
+ * Evaluates "calculated" fields from a small expression language. Formulas are
+ * parsed into a tree and interpreted here; nothing is passed to eval/Function.
+ *
+ *   { type: 'calculated', name: 'overall_criticality',
+ *     formula: 'if(safety_question == "Yes" or gxp_question == "Yes", "Significant", "Non-Significant")' }
+ *
+ * Language:
+ *   numbers, "strings", true/false, other fields by name
+ *   + - * / %   == != < <= > >=   and or not (&& || ! also work)   ( )
+ *   if(condition, then, else)          lookup(value, {"High": 3, "Low": 1}, fallback)
+ *   datediff(end, start, "days")       units: minutes, hours, days, weeks
+ *   today() now() round(x, digits) floor(x) ceil(x) abs(x) min(...) max(...)
+ *   sum(...) count(x) concat(...) empty(x)
+ */
+class FormCalculator {
+    static get FUNCTIONS() {
+        return ['if', 'lookup', 'datediff', 'today', 'now', 'round', 'floor', 'ceil', 'abs', 'min', 'max', 'sum', 'count', 'concat', 'empty'];
+    }
+
+    static get UNITS() {
+        return { minutes: 60000, hours: 3600000, days: 86400000, weeks: 604800000 };
+    }
+
+    /**
+     * Split a formula into tokens: { type, value, position }
+     */
+    static tokenize(formula) {
+        const tokens = [];
+        const source = String(formula || '');
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[0-9.]/.test(char)) {
+                const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+                if (!match) throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+                tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+                i += match[0].length;
+            } else if (char === '"' || char === "'") {
+                let end = i + 1;
+                let value = '';
+                while (end < source.length && source[end] !== char) {
+                    if (source[end] === '\\' && end + 1 < source.length) end++;
+                    value += source[end];
+                    end++;
+                }
+                if (end >= source.length) throw new Error(`Unterminated string at position ${i + 1}`);
+                tokens.push({ type: 'string', value: value, position: i });
+                i = end + 1;
+            } else if (/[A-Za-z_]/.test(char)) {
+                const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+                const lower = word.toLowerCase();
+                if (lower === 'and' || lower === 'or' || lower === 'not') {
+                    tokens.push({ type: 'op', value: { and: '&&', or: '||', not: '!' }[lower], position: i });
+                } else if (lower === 'true' || lower === 'false') {
+                    tokens.push({ type: 'boolean', value: lower === 'true', position: i });
+                } else {
+                    tokens.push({ type: 'identifier', value: word, position: i });
+                }
+                i += word.length;
+            } else {
+                const two = source.slice(i, i + 2);
+                if (['==', '!=', '<=', '>=', '&&', '||'].includes(two)) {
+                    tokens.push({ type: 'op', value: two, position: i });
+                    i += 2;
+                } else if ('+-*/%<>!=(),{}:'.includes(char)) {
+                    tokens.push({ type: 'op', value: char === '=' ? '==' : char, position: i });
+                    i++;
+                } else {
+                    throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a formula into an expression tree. Throws on syntax errors.
+     */
+    static parse(formula) {
+        const tokens = FormCalculator.tokenize(formula);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isOp = (...values) => peek() && peek().type === 'op' && values.includes(peek().value);
+        const expect = (value) => {
+            if (!isOp(value)) {
+                const token = peek();
+                throw new Error(token ? `Expected "${value}" at position ${token.position + 1}` : `Expected "${value}" at end of formula`);
+            }
+            index++;
+        };
+        const binary = (next, ...operators) => () => {
+            let node = next();
+            while (isOp(...operators)) {
+                const operator = tokens[index++].value;
+                node = { type: 'binary', operator, left: node, right: next() };
+            }
+            return node;
+        };
+
+        const primary = () => {
+            const token = tokens[index++];
+            if (!token) throw new Error('Formula ends unexpectedly');
+
+            if (token.type === 'number' || token.type === 'string' || token.type === 'boolean') {
+                return { type: 'literal', value: token.value };
+            }
+            if (token.type === 'identifier') {
+                if (!isOp('(')) return { type: 'field', name: token.value };
+
+                const name = token.value.toLowerCase();
+                if (!FormCalculator.FUNCTIONS.includes(name)) {
+                    throw new Error(`Unknown function "${token.value}"`);
+                }
+                index++;
+                const args = [];
+                while (!isOp(')')) {
+                    args.push(expression());
+                    if (!isOp(')')) expect(',');
+                }
+                expect(')');
+                return { type: 'call', name, args };
+            }
+            if (token.type === 'op' && token.value === '(') {
+                const node = expression();
+                expect(')');
+                return node;
+            }
+            if (token.type === 'op' && token.value === '{') {
+                const entries = [];
+                while (!isOp('}')) {
+                    const key = tokens[index++];
+                    if (!key || !['string', 'number', 'identifier'].includes(key.type)) {
+                        throw new Error('Lookup table keys must be strings or numbers');
+                    }
+                    expect(':');
+                    entries.push({ key: String(key.value), value: expression() });
+                    if (!isOp('}')) expect(',');
+                }
+                expect('}');
+                return { type: 'table', entries };
+            }
+            throw new Error(`Unexpected "${token.value}" at position ${token.position + 1}`);
+        };
+
+        const unary = () => {
+            if (isOp('-', '!')) {
+                const operator = tokens[index++].value;
+                return { type: 'unary', operator, operand: unary() };
+            }
+            return primary();
+        };
+
+        const multiplicative = binary(unary, '*', '/', '%');
+        const additive = binary(multiplicative, '+', '-');
+        const comparison = binary(additive, '<', '<=', '>', '>=');
+        const equality = binary(comparison, '==', '!=');
+        const and = binary(equality, '&&');
+        const expression = binary(and, '||');
+
+        const tree = expression();
+        if (index < tokens.length) {
+            throw new Error(`Unexpected "${tokens[index].value}" at position ${tokens[index].position + 1}`);
+        }
+        return tree;
+    }
+
+    static compile(formula) {
+        FormCalculator.cache = FormCalculator.cache || new Map();
+        if (!FormCalculator.cache.has(formula)) {
+            FormCalculator.cache.set(formula, FormCalculator.parse(formula));
+        }
+        return FormCalculator.cache.get(formula);
+    }
+
+    /**
+     * Field names a formula reads
+     */
+    static references(formula) {
+        const names = new Set();
+        const walk = (node) => {
+            if (!node) return;
+            if (node.type === 'field') names.add(node.name);
+            if (node.type === 'unary') walk(node.operand);
+            if (node.type === 'binary') { walk(node.left); walk(node.right); }
+            if (node.type === 'call') node.args.forEach(walk);
+            if (node.type === 'table') node.entries.forEach(entry => walk(entry.value));
+        };
+        walk(FormCalculator.parse(formula));
+        return Array.from(names);
+    }
+
+    /**
+     * Rewrite references to a renamed field, leaving strings, function names and lookup keys alone
+     */
+    static renameField(formula, oldName, newName) {
+        const tokens = FormCalculator.tokenize(formula);
+        let result = String(formula);
+
+        tokens.map((token, i) => ({ token, next: tokens[i + 1] }))
+            .filter(({ token, next }) => token.type === 'identifier' && token.value === oldName &&
+                !(next && next.type === 'op' && (next.value === '(' || next.value === ':')))
+            .reverse()
+            .forEach(({ token }) => {
+                result = result.slice(0, token.position) + newName + result.slice(token.position + oldName.length);
+            });
+
+        return result;
+    }
+
+    /**
+     * Builder-side check. Returns an error message or null.
+     */
+    static validateFormula(formula, fieldNames, selfName) {
+        if (!formula || !String(formula).trim()) return 'Please enter a formula';
+
+        try {
+            const references = FormCalculator.references(formula);
+            if (references.includes(selfName)) return 'A formula cannot refer to its own field';
+            const unknown = references.filter(name => !fieldNames.includes(name));
+            if (unknown.length > 0) return `Unknown field(s): ${unknown.join(', ')}`;
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value === '' || value === null || value === undefined || Array.isArray(value)) return NaN;
+        return Number(value);
+    }
+
+    static isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'string') return value.trim() !== '' && value.toLowerCase() !== 'false';
+        if (typeof value === 'number') return value !== 0 && !isNaN(value);
+        return !!value;
+    }
+
+    static toTime(value) {
+        if (value === '' || value === null || value === undefined) return NaN;
+        // Date-only values are read as local midnight, like datetime-local values
+        const text = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00` : String(value);
+        return Date.parse(text);
+    }
+
+    static pad(number) {
+        return String(number).padStart(2, '0');
+    }
+
+    static evaluate(node, values) {
+        const run = (n) => FormCalculator.evaluate(n, values);
+
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'field': {
+                const value = values[node.name] !== undefined ? values[node.name] : values[`${node.name}[]`];
+                return value === undefined || value === null ? '' : value;
+            }
+            case 'table':
+                return node.entries.reduce((table, entry) => {
+                    table[entry.key.toLowerCase()] = run(entry.value);
+                    return table;
+                }, {});
+            case 'unary': {
+                const operand = run(node.operand);
+                return node.operator === '-' ? -FormCalculator.toNumber(operand) : !FormCalculator.isTruthy(operand);
+            }
+            case 'binary':
+                return FormCalculator.evaluateBinary(node, run);
+            case 'call':
+                return FormCalculator.evaluateCall(node, run);
+            default:
+                throw new Error(`Unknown expression "${node.type}"`);
+        }
+    }
+
+    static evaluateBinary(node, run) {
+        if (node.operator === '&&') return FormCalculator.isTruthy(run(node.left)) && FormCalculator.isTruthy(run(node.right));
+        if (node.operator === '||') return FormCalculator.isTruthy(run(node.left)) || FormCalculator.isTruthy(run(node.right));
+
+        const left = run(node.left);
+        const right = run(node.right);
+        const a = FormCalculator.toNumber(left);
+        const b = FormCalculator.toNumber(right);
+        const numeric = !isNaN(a) && !isNaN(b);
+
+        switch (node.operator) {
+            case '+': return numeric ? a + b : `${left}${right}`;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? NaN : a / b;
+            case '%': return b === 0 ? NaN : a % b;
+            case '==':
+            case '!=': {
+                const equal = numeric ? a === b : String(left).toLowerCase() === String(right).toLowerCase();
+                return node.operator === '==' ? equal : !equal;
+            }
+            default: {
+                // Numbers compare numerically, dates chronologically, anything else as text
+                let x = left;
+                let y = right;
+                if (numeric) {
+                    x = a; y = b;
+                } else if (!isNaN(FormCalculator.toTime(left)) && !isNaN(FormCalculator.toTime(right))) {
+                    x = FormCalculator.toTime(left); y = FormCalculator.toTime(right);
+                }
+                if (node.operator === '<') return x < y;
+                if (node.operator === '<=') return x <= y;
+                if (node.operator === '>') return x > y;
+                return x >= y;
+            }
+        }
+    }
+
+    static evaluateCall(node, run) {
+        const args = node.args;
+        const numbers = () => args.map(arg => FormCalculator.toNumber(run(arg))).filter(n => !isNaN(n));
+
+        switch (node.name) {
+            case 'if':
+                // Only the chosen branch is evaluated
+                return FormCalculator.isTruthy(run(args[0])) ? (args[1] ? run(args[1]) : '') : (args[2] ? run(args[2]) : '');
+            case 'lookup': {
+                const table = args[1] ? run(args[1]) : {};
+                const key = String(run(args[0])).toLowerCase();
+                if (table && typeof table === 'object' && Object.prototype.hasOwnProperty.call(table, key)) return table[key];
+                return args[2] ? run(args[2]) : '';
+            }
+            case 'datediff': {
+                const end = FormCalculator.toTime(run(args[0]));
+                const start = FormCalculator.toTime(run(args[1]));
+                const unit = args[2] ? String(run(args[2])).toLowerCase() : 'days';
+                if (!FormCalculator.UNITS[unit]) throw new Error(`Unknown datediff unit "${unit}"`);
+                return (end - start) / FormCalculator.UNITS[unit];
+            }
+            case 'today': {
+                const now = new Date();
+                return `${now.getFullYear()}-${FormCalculator.pad(now.getMonth() + 1)}-${FormCalculator.pad(now.getDate())}`;
+            }
+            case 'now': {
+                const now = new Date();
+                return `${now.getFullYear()}-${FormCalculator.pad(now.getMonth() + 1)}-${FormCalculator.pad(now.getDate())}T${FormCalculator.pad(now.getHours())}:${FormCalculator.pad(now.getMinutes())}`;
+            }
+            case 'round': {
+                const factor = Math.pow(10, args[1] ? FormCalculator.toNumber(run(args[1])) || 0 : 0);
+                return Math.round(FormCalculator.toNumber(run(args[0])) * factor) / factor;
+            }
+            case 'floor': return Math.floor(FormCalculator.toNumber(run(args[0])));
+            case 'ceil': return Math.ceil(FormCalculator.toNumber(run(args[0])));
+            case 'abs': return Math.abs(FormCalculator.toNumber(run(args[0])));
+            case 'min': return numbers().length ? Math.min(...numbers()) : NaN;
+            case 'max': return numbers().length ? Math.max(...numbers()) : NaN;
+            case 'sum': return numbers().reduce((total, n) => total + n, 0);
+            case 'count': {
+                const value = run(args[0]);
+                return Array.isArray(value) ? value.length : (FormCalculator.isTruthy(value) ? 1 : 0);
+            }
+            case 'concat': return args.map(arg => FormCalculator.format(run(arg))).join('');
+            case 'empty': return !FormCalculator.isTruthy(run(args[0]));
+            default:
+                throw new Error(`Unknown function "${node.name}"`);
+        }
+    }
+
+    /**
+     * Turn a result into the string stored with the submission
+     */
+    static format(value) {
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(Number(value.toFixed(6))) : '';
+        if (Array.isArray(value)) return String(value.length);
+        if (value === null || value === undefined || typeof value === 'object') return '';
+        return String(value);
+    }
+
+    static evaluateField(field, values) {
+        try {
+            return FormCalculator.format(FormCalculator.evaluate(FormCalculator.compile(field.formula), values));
+        } catch (error) {
+            console.warn(`Formula on ${field.name} failed:`, error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Values of every calculated field. Calculated fields may use each other,
+     * so evaluate until nothing changes.
+     */
+    static calculate(fields, values) {
+        const calculated = fields.filter(f => f.type === 'calculated' && f.formula);
+        const current = { ...values };
+
+        for (let pass = 0; pass <= calculated.length; pass++) {
+            let changed = false;
+            calculated.forEach(field => {
+                const value = FormCalculator.evaluateField(field, current);
+                if (current[field.name] !== value) {
+                    current[field.name] = value;
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        return calculated.reduce((results, field) => {
+            results[field.name] = current[field.name];
+            return results;
+        }, {});
+    }
+
+    /**
+     * Submission data with calculated values recomputed, so a tampered read-only input has no effect
+     */
+    static apply(data, fields) {
+        return { ...data, ...FormCalculator.calculate(fields, data) };
+    }
+
+    /**
+     * Recalculate read-only inputs whenever the form changes. Bind before FormRules
+     * so rules see the new values.
+     */
+    static bind(form, fields) {
+        if (!form) return;
+
+        if (form._formCalculatorHandler) {
+            form.removeEventListener('input', form._formCalculatorHandler);
+            form.removeEventListener('change', form._formCalculatorHandler);
+            delete form._formCalculatorHandler;
+        }
+        if (!fields.some(f => f.type === 'calculated')) return;
+
+        const handler = () => {
+            const values = typeof FormRules !== 'undefined' ? FormRules.getValues(form, fields) : {};
+            const results = FormCalculator.calculate(fields, values);
+            Object.entries(results).forEach(([name, value]) => {
+                const wrapper = Array.from(form.querySelectorAll('[data-field-name]')).find(el => el.dataset.fieldName === name);
+                const input = wrapper && wrapper.querySelector('input');
+                if (input) input.value = value;
+            });
+        };
+        form.addEventListener('input', handler);
+        form.addEventListener('change', handler);
+        form._formCalculatorHandler = handler;
+        handler();
+    }
+}
+
+// Export for use in other modules
+window.FormCalculator = FormCalculator;
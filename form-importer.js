@@ -0,0 +1,251 @@
+/**
+ * Form Importer for FLEX-FORM
+ * Reads form definitions written by FlexFormBuilder.exportForm() back in.
+ * Also accepts a bare array of fields and template rows copied out of
+ * form_submissions (form_name / form_fields), so templates can be moved
+ * between Supabase projects.
+ *
+ * parse() never throws; it returns { template, errors, warnings } and the
+ * template is only usable when errors is empty.
+ */
+class FormImporter {
+    static get FIELD_TYPES() {
+        return ['text', 'email', 'number', 'date', 'tel', 'url', 'time', 'datetime-local', 'month', 'week',
+            'select', 'radio', 'checkbox', 'multiselect', 'yesno', 'rating', 'textarea', 'file',
+            'section', 'info', 'group', 'calculated'];
+    }
+
+    static get OPTION_TYPES() {
+        return ['select', 'radio', 'multiselect'];
+    }
+
+    static parse(text, sourceName = 'import') {
+        const errors = [];
+        const warnings = [];
+        let json;
+
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            return { template: null, errors: [`${sourceName}: not valid JSON (${error.message})`], warnings };
+        }
+
+        const definition = FormImporter.readDefinition(json, sourceName, errors);
+        if (!definition) {
+            return { template: null, errors, warnings };
+        }
+
+        const fields = FormImporter.normalizeFields(definition.fields, sourceName, errors, warnings);
+
+        return {
+            template: {
+                title: definition.title,
+                description: definition.description,
+                fields: fields,
+                templateId: definition.templateId,
+                version: definition.version
+            },
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Accept the export format, a bare fields array, or a form_submissions row
+     */
+    static readDefinition(json, sourceName, errors) {
+        if (Array.isArray(json)) {
+            return { title: FormImporter.titleFromFile(sourceName), description: '', fields: json, templateId: null, version: null };
+        }
+
+        if (!json || typeof json !== 'object') {
+            errors.push(`${sourceName}: expected an object with a "fields" array`);
+            return null;
+        }
+
+        let fields = json.fields;
+        if (fields === undefined && typeof json.form_fields === 'string') {
+            try {
+                fields = JSON.parse(json.form_fields);
+            } catch (error) {
+                errors.push(`${sourceName}: form_fields is not valid JSON`);
+                return null;
+            }
+        } else if (fields === undefined && Array.isArray(json.form_fields)) {
+            fields = json.form_fields;
+        }
+
+        if (!Array.isArray(fields)) {
+            errors.push(`${sourceName}: expected an object with a "fields" array`);
+            return null;
+        }
+
+        return {
+            title: String(json.title || json.form_title || json.form_name || FormImporter.titleFromFile(sourceName)),
+            description: String(json.description || json.form_description || ''),
+            fields: fields,
+            templateId: json.templateId || json.template_id || null,
+            version: Number(json.version || json.template_version) || null
+        };
+    }
+
+    static titleFromFile(sourceName) {
+        return String(sourceName).split(/[\\/]/).pop().replace(/\.json$/i, '').replace(/_form$/, '').replace(/[_-]+/g, ' ').trim() || 'Imported Form';
+    }
+
+    static toName(value) {
+        return String(value || '').trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Check every field, then make names and ids unique and drop rules that point nowhere
+     */
+    static normalizeFields(rawFields, sourceName, errors, warnings) {
+        const fields = [];
+        const usedNames = new Set();
+        const usedIds = new Set();
+        const renamed = {};
+        let nextId = Date.now();
+
+        rawFields.forEach((raw, index) => {
+            const position = `${sourceName}: field ${index + 1}`;
+            if (!raw || typeof raw !== 'object') {
+                errors.push(`${position} is not an object`);
+                return;
+            }
+            if (!FormImporter.FIELD_TYPES.includes(raw.type)) {
+                errors.push(`${position} has unsupported type "${raw.type}"`);
+                return;
+            }
+
+            const field = {
+                ...raw,
+                label: String(raw.label || raw.name || `Field ${index + 1}`),
+                placeholder: raw.placeholder === undefined || raw.placeholder === null ? '' : String(raw.placeholder),
+                required: !!raw.required,
+                options: Array.isArray(raw.options) ? raw.options.map(String) : []
+            };
+
+            let name = FormImporter.toName(raw.name || raw.label);
+            if (!name) {
+                name = `${field.type}_${index + 1}`;
+            }
+            if (raw.name && name !== raw.name) {
+                warnings.push(`${position}: name "${raw.name}" changed to "${name}"`);
+                renamed[raw.name] = name;
+            }
+            if (usedNames.has(name)) {
+                let suffix = 2;
+                while (usedNames.has(`${name}_${suffix}`)) suffix++;
+                warnings.push(`${position}: duplicate name "${name}" renamed to "${name}_${suffix}"`);
+                name = `${name}_${suffix}`;
+            }
+            usedNames.add(name);
+            field.name = name;
+
+            let id = Number(raw.id);
+            if (!Number.isFinite(id) || usedIds.has(id)) {
+                while (usedIds.has(nextId)) nextId++;
+                if (raw.id !== undefined) {
+                    warnings.push(`${position}: duplicate or invalid id "${raw.id}" replaced`);
+                }
+                id = nextId++;
+            }
+            usedIds.add(id);
+            field.id = id;
+
+            if (field.lookup && typeof FormLookups !== 'undefined' && FormLookups.validateLookup(field.lookup)) {
+                warnings.push(`${position}: lookup on "${field.label}" was removed (${FormLookups.validateLookup(field.lookup)})`);
+                delete field.lookup;
+            }
+
+            if (FormImporter.OPTION_TYPES.includes(field.type) && field.options.length === 0 && !field.lookup) {
+                warnings.push(`${position}: "${field.label}" has no options`);
+            }
+
+            if (field.type === 'group' && !FormImporter.normalizeGroup(field, position, errors)) {
+                return;
+            }
+
+            if (field.type === 'calculated' && typeof FormCalculator !== 'undefined') {
+                try {
+                    FormCalculator.parse(field.formula);
+                } catch (error) {
+                    errors.push(`${position}: formula on "${field.label}" is invalid (${error.message})`);
+                    return;
+                }
+            }
+
+            fields.push(field);
+        });
+
+        // A rule or lookup pointing at a field that is not in the file would never fire
+        fields.forEach(field => {
+            if (field.type === 'calculated' && typeof FormCalculator !== 'undefined') {
+                Object.entries(renamed).forEach(([from, to]) => {
+                    field.formula = FormCalculator.renameField(field.formula, from, to);
+                });
+            }
+            if (field.lookup && field.lookup.dependsOn) {
+                if (renamed[field.lookup.dependsOn]) {
+                    field.lookup = { ...field.lookup, dependsOn: renamed[field.lookup.dependsOn] };
+                } else if (!usedNames.has(field.lookup.dependsOn)) {
+                    warnings.push(`${sourceName}: lookup on "${field.name}" depends on missing field "${field.lookup.dependsOn}" and now shows every option`);
+                    field.lookup = { ...field.lookup };
+                    delete field.lookup.dependsOn;
+                }
+            }
+            if (!field.rules) return;
+            ['showWhen', 'requiredWhen'].forEach(key => {
+                const condition = field.rules[key];
+                if (condition && renamed[condition.field]) {
+                    field.rules[key] = { ...condition, field: renamed[condition.field] };
+                } else if (condition && !usedNames.has(condition.field)) {
+                    warnings.push(`${sourceName}: ${key} rule on "${field.name}" refers to missing field "${condition.field}" and was removed`);
+                    delete field.rules[key];
+                }
+            });
+            if (!field.rules.showWhen && !field.rules.requiredWhen) {
+                delete field.rules;
+            }
+        });
+
+        return fields;
+    }
+
+    static normalizeGroup(field, position, errors) {
+        const childTypes = typeof FormRepeater !== 'undefined' ? FormRepeater.CHILD_TYPES : ['text', 'textarea', 'select', 'date', 'number', 'email'];
+        const children = Array.isArray(field.children) ? field.children : [];
+        const names = new Set();
+
+        if (children.length === 0) {
+            errors.push(`${position}: group "${field.label}" has no child fields`);
+            return false;
+        }
+
+        for (const child of children) {
+            if (!child || !childTypes.includes(child.type)) {
+                errors.push(`${position}: group "${field.label}" has a child with unsupported type "${child && child.type}"`);
+                return false;
+            }
+            const name = FormImporter.toName(child.name || child.label);
+            if (!name || names.has(name)) {
+                errors.push(`${position}: group "${field.label}" has duplicate or empty child names`);
+                return false;
+            }
+            names.add(name);
+        }
+
+        field.children = children.map(child => ({
+            ...child,
+            name: FormImporter.toName(child.name || child.label),
+            label: String(child.label || child.name),
+            required: !!child.required,
+            options: Array.isArray(child.options) ? child.options.map(String) : []
+        }));
+        return true;
+    }
+}
+
+// Export for use in other modules
+window.FormImporter = FormImporter;
@@ -0,0 +1,234 @@
+/**
+ * Form Lookups for FLEX-FORM
+ * Loads select, radio and multi-select options from a Supabase reference
+ * table or view instead of a hard-coded options array:
+ *
+ *   lookup: { table: 'rooms', column: 'name', filterColumn: 'building', dependsOn: 'building' }
+ *
+ * With dependsOn, only rows whose filterColumn matches the current value of
+ * that field are offered. Fetched rows are cached in localStorage and used
+ * when the database cannot be reached; the field's own options come last.
+ */
+class FormLookups {
+    static get OPTION_TYPES() {
+        return ['select', 'radio', 'multiselect'];
+    }
+
+    static get CACHE_PREFIX() {
+        return 'flexform_lookup_';
+    }
+
+    static isIdentifier(value) {
+        return /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/.test(String(value || ''));
+    }
+
+    /**
+     * Returns an error message, or '' when the lookup can be used
+     */
+    static validateLookup(lookup) {
+        if (!lookup) return '';
+        if (!FormLookups.isIdentifier(lookup.table)) return 'table must be a table or view name';
+        if (!FormLookups.isIdentifier(lookup.column)) return 'column must be a column name';
+        if (lookup.filterColumn && !FormLookups.isIdentifier(lookup.filterColumn)) return 'filter column must be a column name';
+        if (lookup.dependsOn && !lookup.filterColumn) return 'a dependent lookup needs a filter column';
+        return '';
+    }
+
+    static isActive(field) {
+        return FormLookups.OPTION_TYPES.includes(field.type) && !!field.lookup && !FormLookups.validateLookup(field.lookup);
+    }
+
+    static describe(lookup) {
+        const source = `${lookup.table}.${lookup.column}`;
+        return lookup.dependsOn ? `${source} where ${lookup.filterColumn} = ${lookup.dependsOn}` : source;
+    }
+
+    static cacheKey(lookup) {
+        return FormLookups.CACHE_PREFIX + [lookup.table, lookup.column, lookup.filterColumn || ''].join(':');
+    }
+
+    static readCache(key) {
+        try {
+            const cached = JSON.parse(localStorage.getItem(key) || 'null');
+            return cached && Array.isArray(cached.rows) ? cached : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static writeCache(key, rows) {
+        try {
+            localStorage.setItem(key, JSON.stringify({ rows: rows, fetchedAt: new Date().toISOString() }));
+        } catch (error) {
+            console.warn('Could not cache lookup options:', error);
+        }
+    }
+
+    /**
+     * Rows as { value, parent }. Database results are kept for the session;
+     * cached and empty results are retried next time, e.g. once connected.
+     */
+    static fetchRows(client, lookup) {
+        const key = FormLookups.cacheKey(lookup);
+        FormLookups.memory = FormLookups.memory || new Map();
+
+        if (!FormLookups.memory.has(key)) {
+            const pending = FormLookups.loadRows(client, lookup, key).then(result => {
+                if (result.source !== 'database') {
+                    FormLookups.memory.delete(key);
+                }
+                return result;
+            });
+            FormLookups.memory.set(key, pending);
+        }
+        return FormLookups.memory.get(key);
+    }
+
+    static async loadRows(client, lookup, key) {
+        if (client) {
+            try {
+                const columns = lookup.filterColumn ? `${lookup.column},${lookup.filterColumn}` : lookup.column;
+                const { data, error } = await client
+                    .from(lookup.table)
+                    .select(columns)
+                    .order(lookup.column)
+                    .limit(1000);
+
+                if (error) throw error;
+
+                const rows = FormLookups.toRows(data || [], lookup);
+                FormLookups.writeCache(key, rows);
+                return { rows: rows, source: 'database' };
+            } catch (error) {
+                console.warn(`Lookup ${FormLookups.describe(lookup)} failed, using cached options:`, error.message || error);
+            }
+        }
+
+        const cached = FormLookups.readCache(key);
+        return cached ? { rows: cached.rows, source: 'cache' } : { rows: [], source: 'none' };
+    }
+
+    static toRows(data, lookup) {
+        const seen = new Set();
+        const rows = [];
+
+        data.forEach(record => {
+            const value = record[lookup.column];
+            if (value === undefined || value === null || String(value).trim() === '') return;
+
+            const parent = lookup.filterColumn && record[lookup.filterColumn] !== undefined && record[lookup.filterColumn] !== null
+                ? String(record[lookup.filterColumn])
+                : null;
+            const id = `${value}\u0000${parent}`;
+            if (seen.has(id)) return;
+
+            seen.add(id);
+            rows.push({ value: String(value), parent: parent });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Copy of fields with lookup options filled in, ready for any renderer.
+     * A lookup with nothing fetched or cached keeps its built-in options, or
+     * becomes a text input so the form can still be filled in offline.
+     */
+    static async resolve(fields, client) {
+        return Promise.all(fields.map(async field => {
+            if (!FormLookups.isActive(field)) return field;
+
+            const { rows, source } = await FormLookups.fetchRows(client, field.lookup);
+            if (rows.length === 0) {
+                if (field.options && field.options.length > 0) return field;
+                return { ...field, type: 'text', placeholder: field.placeholder || `Enter ${field.label}` };
+            }
+
+            const resolved = {
+                ...field,
+                options: Array.from(new Set(rows.map(row => row.value))),
+                lookupSource: source
+            };
+            if (field.lookup.dependsOn) {
+                resolved.lookupRows = rows;
+            }
+            return resolved;
+        }));
+    }
+
+    static optionsFor(field, parentValue) {
+        const parents = (Array.isArray(parentValue) ? parentValue : [parentValue])
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(String);
+
+        return new Set(field.lookupRows
+            .filter(row => parents.includes(row.parent))
+            .map(row => row.value));
+    }
+
+    /**
+     * Narrow dependent lookups whenever the field they depend on changes
+     */
+    static bind(form, fields) {
+        if (!form) return;
+
+        if (form._formLookupsHandler) {
+            form.removeEventListener('change', form._formLookupsHandler);
+            delete form._formLookupsHandler;
+        }
+
+        const dependents = fields.filter(f => f.lookup && f.lookup.dependsOn && Array.isArray(f.lookupRows));
+        if (dependents.length === 0) return;
+
+        const handler = (e) => {
+            const wrapper = e.target && e.target.closest ? e.target.closest('[data-field-name]') : null;
+            if (wrapper && dependents.some(f => f.lookup.dependsOn === wrapper.dataset.fieldName)) {
+                FormLookups.apply(form, fields, dependents);
+            }
+        };
+        form.addEventListener('change', handler);
+        form._formLookupsHandler = handler;
+        FormLookups.apply(form, fields, dependents);
+    }
+
+    static apply(form, fields, dependents) {
+        const values = typeof FormRules !== 'undefined' ? FormRules.getValues(form, fields) : {};
+
+        dependents.forEach(field => {
+            const wrapper = Array.from(form.querySelectorAll('[data-field-name]')).find(el => el.dataset.fieldName === field.name);
+            if (!wrapper) return;
+
+            const allowed = FormLookups.optionsFor(field, values[field.lookup.dependsOn]);
+            let changed = false;
+
+            wrapper.querySelectorAll('option').forEach(option => {
+                if (option.value === '') return;
+                const isAllowed = allowed.has(option.value);
+                option.hidden = !isAllowed;
+                option.disabled = !isAllowed;
+                if (!isAllowed && option.selected) {
+                    option.selected = false;
+                    changed = true;
+                }
+            });
+
+            // Radio rows are hidden rather than disabled; FormRules owns the disabled state
+            wrapper.querySelectorAll('input[type="radio"]').forEach(input => {
+                const isAllowed = allowed.has(input.value);
+                input.parentElement.style.display = isAllowed ? '' : 'none';
+                if (!isAllowed && input.checked) {
+                    input.checked = false;
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                const input = wrapper.querySelector('input, select');
+                if (input) input.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.FormLookups = FormLookups;
@@ -0,0 +1,201 @@
+/**
+ * Form Prefill for FLEX-FORM
+ * Fills fields from URL parameters keyed by field name, so a link such as
+ *
+ *   user-portal.html?form=gemba_intake&building=B12&room=104&lock=1
+ *
+ * opens the form with building and room already chosen. Repeat a parameter
+ * for multi-select and checkbox fields. lock=1 (or lock=all) makes every
+ * prefilled field read-only; lock=building,room locks only those.
+ *
+ * Prefilled values also become the inputs' defaults, so clearing the form
+ * keeps them.
+ */
+class FormPrefill {
+    /**
+     * Parameters with their own meaning in portal links
+     */
+    static get RESERVED() {
+        return ['form', 'preview', 'version', 'lock'];
+    }
+
+    static get SKIPPED_TYPES() {
+        return ['section', 'info', 'calculated', 'group', 'file'];
+    }
+
+    static get TEXT_TYPES() {
+        return ['text', 'email', 'tel', 'url', 'number', 'date', 'time', 'datetime-local', 'month', 'week', 'textarea'];
+    }
+
+    static isPrefillable(field) {
+        return !FormPrefill.SKIPPED_TYPES.includes(field.type) && !FormPrefill.RESERVED.includes(field.name);
+    }
+
+    static isMultiple(field) {
+        return field.type === 'multiselect' || (field.type === 'checkbox' && Array.isArray(field.options) && field.options.length > 0);
+    }
+
+    /**
+     * Values, locked field names and parameters that name no prefillable field, from a query string
+     */
+    static parse(search, fields) {
+        const params = new URLSearchParams(search);
+        const values = {};
+        const prefillable = fields.filter(FormPrefill.isPrefillable);
+        const known = new Set(prefillable.flatMap(field => [field.name, `${field.name}[]`]));
+        const unknown = Array.from(new Set(params.keys()))
+            .filter(name => !known.has(name) && !FormPrefill.RESERVED.includes(name));
+
+        prefillable.forEach(field => {
+            const given = params.getAll(field.name).concat(params.getAll(`${field.name}[]`));
+            if (given.length === 0) return;
+            values[field.name] = FormPrefill.isMultiple(field) ? given : given[0];
+        });
+
+        const lockParam = (params.get('lock') || '').trim();
+        const names = Object.keys(values);
+        const lock = ['1', 'all', 'true'].includes(lockParam.toLowerCase())
+            ? new Set(names)
+            : new Set(lockParam.split(',').map(name => name.trim()).filter(name => names.includes(name)));
+
+        return { values: values, lock: lock, unknown: unknown };
+    }
+
+    /**
+     * Query string for a link that opens formId with values filled in
+     */
+    static buildQuery(formId, values, fields, lock = false) {
+        const params = new URLSearchParams({ form: formId });
+
+        fields.filter(FormPrefill.isPrefillable).forEach(field => {
+            const value = values[field.name];
+            (Array.isArray(value) ? value : [value])
+                .filter(item => item !== undefined && item !== null && String(item).trim() !== '')
+                .forEach(item => params.append(field.name, item));
+        });
+
+        if (lock) {
+            params.set('lock', '1');
+        }
+        return params.toString();
+    }
+
+    /**
+     * Fill a rendered form in field order, so a field's dependent lookups are
+     * narrowed before they are filled. Returns the names applied and skipped.
+     */
+    static apply(form, fields, values, lock = new Set()) {
+        const applied = [];
+        const skipped = [];
+
+        fields.filter(field => values[field.name] !== undefined).forEach(field => {
+            const wrapper = Array.from(form.querySelectorAll('[data-field-name]')).find(el => el.dataset.fieldName === field.name);
+            const changed = wrapper ? FormPrefill.setValue(wrapper, values[field.name]) : null;
+            if (!changed) {
+                skipped.push(field.name);
+                return;
+            }
+
+            applied.push(field.name);
+            changed.dispatchEvent(new Event('change', { bubbles: true }));
+            if (lock.has(field.name)) {
+                FormPrefill.lockField(wrapper);
+            }
+        });
+
+        return { applied: applied, skipped: skipped };
+    }
+
+    /**
+     * Set a field's inputs; returns the input that changed, or null when the value does not fit
+     */
+    static setValue(wrapper, value) {
+        const wanted = (Array.isArray(value) ? value : [value]).map(String);
+        const inputs = Array.from(wrapper.querySelectorAll('input, select, textarea'));
+        const checkables = inputs.filter(input => input.type === 'checkbox' || input.type === 'radio');
+
+        if (checkables.length > 1 || (checkables.length === 1 && checkables[0].type === 'radio')) {
+            const isRadio = checkables[0].type === 'radio';
+            const matches = checkables.filter(input => wanted.includes(input.value) && input.parentElement.style.display !== 'none');
+            if (matches.length === 0) return null;
+
+            const chosen = isRadio ? [matches[0]] : matches;
+            checkables.forEach(input => {
+                input.checked = chosen.includes(input);
+                input.defaultChecked = input.checked;
+            });
+            return chosen[0];
+        }
+
+        if (checkables.length === 1) {
+            const checkbox = checkables[0];
+            checkbox.checked = ['1', 'true', 'yes', 'on', checkbox.value.toLowerCase()].includes(wanted[0].toLowerCase());
+            checkbox.defaultChecked = checkbox.checked;
+            return checkbox;
+        }
+
+        const input = inputs[0];
+        if (!input) return null;
+
+        if (input.tagName === 'SELECT') {
+            // Options hidden by a dependent lookup are disabled and cannot be chosen
+            const options = Array.from(input.options).filter(option => option.value !== '' && !option.disabled);
+            const matches = options.filter(option => wanted.includes(option.value));
+            if (matches.length === 0) return null;
+
+            Array.from(input.options).forEach(option => {
+                option.selected = input.multiple ? matches.includes(option) : option === matches[0];
+                option.defaultSelected = option.selected;
+            });
+            return input;
+        }
+
+        input.value = wanted[0];
+        // Browsers drop values that do not fit the input type, e.g. letters in a number input
+        if (input.value !== wanted[0]) {
+            input.value = '';
+            return null;
+        }
+        input.defaultValue = wanted[0];
+        return input;
+    }
+
+    /**
+     * Keep a prefilled field from being changed; its inputs stay enabled so the value is still submitted
+     */
+    static lockField(wrapper) {
+        const inputs = Array.from(wrapper.querySelectorAll('input, select, textarea'));
+        const snapshot = inputs.map(input => ({
+            input: input,
+            value: input.value,
+            checked: input.checked,
+            selected: input.tagName === 'SELECT' ? Array.from(input.options).map(option => option.selected) : null
+        }));
+
+        inputs.forEach(input => {
+            if (FormPrefill.TEXT_TYPES.includes(input.type) || input.tagName === 'TEXTAREA') {
+                input.readOnly = true;
+            } else {
+                input.tabIndex = -1;
+            }
+        });
+        wrapper.classList.add('prefill-locked');
+        wrapper.title = 'Filled in from the link';
+
+        // Anything that still gets through, such as keyboard changes, is undone before other listeners see it
+        wrapper.addEventListener('change', () => {
+            snapshot.forEach(({ input, value, checked, selected }) => {
+                if (selected) {
+                    Array.from(input.options).forEach((option, index) => { option.selected = selected[index]; });
+                } else if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = checked;
+                } else {
+                    input.value = value;
+                }
+            });
+        }, true);
+    }
+}
+
+// Export for use in other modules
+window.FormPrefill = FormPrefill;
@@ -0,0 +1,194 @@
+/**
+ * Form Renderer for FLEX-FORM
+ * Builds the DOM for a template's fields, the same way for the portal and the
+ * <mbc-form> element. Every field is wrapped in an element with
+ * data-field-name, which FormRules, FormLookups and FormValidator rely on;
+ * values are keyed by field name.
+ */
+class FormRenderer {
+    /**
+     * Replace the container's content with the fields. idPrefix keeps element
+     * ids unique when several forms share a page.
+     */
+    static render(fields, container, idPrefix = '') {
+        container.innerHTML = '';
+        fields.forEach(field => container.appendChild(FormRenderer.createField(field, idPrefix)));
+    }
+
+    static createField(field, idPrefix = '') {
+        if (field.type === 'section') {
+            return FormRenderer.createSection(field);
+        }
+
+        const fieldDiv = document.createElement('div');
+        fieldDiv.className = 'form-field';
+        fieldDiv.dataset.fieldName = field.name;
+
+        if (field.type === 'info') {
+            fieldDiv.insertAdjacentHTML('beforeend', FormWidgets.render(field, idPrefix));
+            return fieldDiv;
+        }
+
+        // Templates come from the database and may be shown on other pages, so labels are text, never markup
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        const marker = FormRenderer.requiredMarker(field);
+        if (marker) {
+            label.append(' ', marker);
+        }
+        fieldDiv.appendChild(label);
+
+        let input;
+
+        switch (field.type) {
+            case 'textarea':
+                input = document.createElement('textarea');
+                input.placeholder = field.placeholder || '';
+                break;
+            
+            case 'select':
+                input = document.createElement('select');
+                input.innerHTML = '<option value="">Choose an option...</option>';
+                if (field.options) {
+                    field.options.forEach(option => {
+                        const optionEl = document.createElement('option');
+                        optionEl.value = option;
+                        optionEl.textContent = option;
+                        input.appendChild(optionEl);
+                    });
+                }
+                break;
+            
+            case 'radio':
+                const radioGroup = document.createElement('div');
+                radioGroup.className = 'radio-group';
+                if (field.options) {
+                    field.options.forEach(option => {
+                        const radioDiv = document.createElement('div');
+                        radioDiv.className = 'radio-item';
+                        
+                        const radioInput = document.createElement('input');
+                        radioInput.type = 'radio';
+                        radioInput.name = field.name;
+                        radioInput.value = option;
+                        radioInput.id = `${idPrefix}${field.name}_${option.replace(/\s+/g, '_')}`;
+                        
+                        const radioLabel = document.createElement('label');
+                        radioLabel.htmlFor = radioInput.id;
+                        radioLabel.textContent = option;
+                        radioLabel.style.fontWeight = 'normal';
+                        
+                        radioDiv.appendChild(radioInput);
+                        radioDiv.appendChild(radioLabel);
+                        radioGroup.appendChild(radioDiv);
+                    });
+                }
+                fieldDiv.appendChild(radioGroup);
+                return fieldDiv;
+
+            case 'group':
+                fieldDiv.insertAdjacentHTML('beforeend', FormRepeater.renderHTML(field));
+                return fieldDiv;
+
+            case 'rating':
+            case 'yesno':
+            case 'multiselect':
+                fieldDiv.insertAdjacentHTML('beforeend', FormWidgets.render(field, idPrefix));
+                return fieldDiv;
+
+            case 'calculated':
+                // Filled in by FormCalculator and recomputed on submit
+                input = document.createElement('input');
+                input.type = 'text';
+                input.readOnly = true;
+                input.className = 'calculated-value';
+                break;
+            
+            case 'checkbox':
+                if (field.options && field.options.length > 0) {
+                    const checkboxGroup = document.createElement('div');
+                    checkboxGroup.className = 'radio-group';
+                    field.options.forEach((option, index) => {
+                        const checkboxDiv = document.createElement('div');
+                        checkboxDiv.className = 'radio-item';
+
+                        const checkboxInput = document.createElement('input');
+                        checkboxInput.type = 'checkbox';
+                        checkboxInput.name = `${field.name}[]`;
+                        checkboxInput.value = option;
+                        checkboxInput.id = `${idPrefix}${field.name}_${index}`;
+                        checkboxInput.style.width = 'auto';
+
+                        const checkboxLabel = document.createElement('label');
+                        checkboxLabel.htmlFor = checkboxInput.id;
+                        checkboxLabel.textContent = option;
+                        checkboxLabel.style.fontWeight = 'normal';
+
+                        checkboxDiv.appendChild(checkboxInput);
+                        checkboxDiv.appendChild(checkboxLabel);
+                        checkboxGroup.appendChild(checkboxDiv);
+                    });
+                    fieldDiv.appendChild(checkboxGroup);
+                    return fieldDiv;
+                }
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.value = '1';
+                input.style.width = 'auto';
+                input.style.marginRight = '10px';
+                break;
+            
+            default:
+                input = document.createElement('input');
+                input.type = field.type || 'text';
+                input.placeholder = field.placeholder || '';
+                if (field.type === 'file' && field.validation && field.validation.fileTypes) {
+                    input.accept = field.validation.fileTypes.join(',');
+                }
+        }
+
+        input.name = field.name;
+        input.required = field.required || false;
+        
+        fieldDiv.appendChild(input);
+        return fieldDiv;
+    }
+
+    /**
+     * Section heading; FormWizard starts a new step at each one
+     */
+    static createSection(field) {
+        const section = document.createElement('div');
+        section.className = 'form-section';
+        section.setAttribute('data-section', '');
+        section.dataset.sectionTitle = field.label;
+
+        const heading = document.createElement('h3');
+        heading.textContent = field.label;
+        section.appendChild(heading);
+
+        if (field.placeholder) {
+            const description = document.createElement('p');
+            description.textContent = field.placeholder;
+            section.appendChild(description);
+        }
+        return section;
+    }
+
+    /**
+     * Required marker element, or null; fields with a required-if rule always get one and FormRules toggles it
+     */
+    static requiredMarker(field) {
+        const conditional = field.rules && FormRules.isValidCondition(field.rules.requiredWhen);
+        if (!field.required && !conditional) return null;
+
+        const marker = document.createElement('span');
+        marker.className = 'required';
+        marker.setAttribute('data-required-marker', '');
+        marker.textContent = '*';
+        return marker;
+    }
+}
+
+// Export for use in other modules
+window.FormRenderer = FormRenderer;
@@ -0,0 +1,290 @@
+/**
+ * Form Repeater for FLEX-FORM
+ * Renders repeatable field groups ("+ Add action item") and turns their inputs
+ * into an array of objects on submit.
+ *
+ * A group field looks like:
+ *   {
+ *     type: 'group', name: 'action_items', label: 'Action Items',
+ *     addLabel: 'Add action item', minItems: 0, maxItems: 10,
+ *     children: [{ type: 'textarea', name: 'description', label: 'Description', required: true }, ...]
+ *   }
+ *
+ * Child inputs are named "action_items[0][description]" so FormData keeps them apart.
+ */
+class FormRepeater {
+    static get CHILD_TYPES() {
+        return ['text', 'email', 'number', 'date', 'datetime-local', 'time', 'tel', 'url', 'textarea', 'select'];
+    }
+
+    static escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    static initialCount(field) {
+        return Math.max(Number(field.minItems) || 0, 1);
+    }
+
+    /**
+     * Markup for the group body (the caller renders the group label)
+     */
+    static renderHTML(field) {
+        FormRepeater.injectStyles();
+
+        const items = [];
+        for (let i = 0; i < FormRepeater.initialCount(field); i++) {
+            items.push(FormRepeater.renderItemHTML(field, i));
+        }
+
+        const limits = [];
+        if (field.minItems) limits.push(`at least ${FormRepeater.escape(field.minItems)}`);
+        if (field.maxItems) limits.push(`up to ${FormRepeater.escape(field.maxItems)}`);
+
+        return `
+            <div class="repeat-group" data-repeat-group="${FormRepeater.escape(field.name)}">
+                <div class="repeat-items">${items.join('')}</div>
+                <button type="button" class="repeat-add">+ ${FormRepeater.escape(field.addLabel || 'Add item')}</button>
+                ${limits.length ? `<span class="repeat-limits">${limits.join(', ')}</span>` : ''}
+            </div>
+        `;
+    }
+
+    static renderItemHTML(field, index) {
+        const children = (field.children || []).map(child => {
+            const name = `${field.name}[${index}][${child.name}]`;
+            const required = child.required ? ' <span class="required">*</span>' : '';
+            return `
+                <div class="repeat-child" data-child-name="${FormRepeater.escape(child.name)}">
+                    <label>${FormRepeater.escape(child.label)}${required}</label>
+                    ${FormRepeater.renderChildInput(child, name)}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="repeat-item">
+                <div class="repeat-item-header">
+                    <span class="repeat-item-title">#${index + 1}</span>
+                    <button type="button" class="repeat-remove" title="Remove">✕</button>
+                </div>
+                <div class="repeat-item-fields">${children}</div>
+            </div>
+        `;
+    }
+
+    static renderChildInput(child, name) {
+        const placeholder = child.placeholder ? ` placeholder="${FormRepeater.escape(child.placeholder)}"` : '';
+
+        switch (child.type) {
+            case 'textarea':
+                return `<textarea name="${FormRepeater.escape(name)}"${placeholder}></textarea>`;
+            case 'select':
+                return `<select name="${FormRepeater.escape(name)}">
+                    <option value="">Choose an option...</option>
+                    ${(child.options || []).map(opt => `<option value="${FormRepeater.escape(opt)}">${FormRepeater.escape(opt)}</option>`).join('')}
+                </select>`;
+            default: {
+                const type = FormRepeater.CHILD_TYPES.includes(child.type) ? child.type : 'text';
+                return `<input type="${type}" name="${FormRepeater.escape(name)}"${placeholder}>`;
+            }
+        }
+    }
+
+    /**
+     * Wire up add/remove buttons for every group in a rendered form
+     */
+    static bind(form, fields) {
+        if (!form) return;
+        if (fields.some(f => f.type === 'group')) {
+            // Exported forms receive pre-rendered markup, so styles are added here too
+            FormRepeater.injectStyles();
+        }
+
+        fields.filter(f => f.type === 'group').forEach(field => {
+            const group = Array.from(form.querySelectorAll('[data-repeat-group]'))
+                .find(el => el.dataset.repeatGroup === field.name);
+            if (!group || group.dataset.repeatBound) return;
+            group.dataset.repeatBound = 'true';
+
+            group.addEventListener('click', (e) => {
+                if (e.target.closest('.repeat-add')) {
+                    FormRepeater.addItem(group, field);
+                } else if (e.target.closest('.repeat-remove')) {
+                    FormRepeater.removeItem(group, field, e.target.closest('.repeat-item'));
+                }
+            });
+
+            FormRepeater.updateControls(group, field);
+        });
+    }
+
+    static addItem(group, field) {
+        const items = group.querySelector('.repeat-items');
+        const count = items.querySelectorAll('.repeat-item').length;
+        if (field.maxItems && count >= Number(field.maxItems)) return;
+
+        items.insertAdjacentHTML('beforeend', FormRepeater.renderItemHTML(field, count));
+        FormRepeater.updateControls(group, field);
+
+        const firstInput = items.lastElementChild.querySelector('input, select, textarea');
+        if (firstInput) firstInput.focus();
+
+        group.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    static removeItem(group, field, item) {
+        const items = group.querySelectorAll('.repeat-item');
+        if (items.length <= (Number(field.minItems) || 0)) return;
+
+        item.remove();
+        FormRepeater.reindex(group, field);
+        FormRepeater.updateControls(group, field);
+        group.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Keep input names contiguous after an item is removed
+     */
+    static reindex(group, field) {
+        group.querySelectorAll('.repeat-item').forEach((item, index) => {
+            item.querySelector('.repeat-item-title').textContent = `#${index + 1}`;
+            item.querySelectorAll('[data-child-name]').forEach(child => {
+                const input = child.querySelector('input, select, textarea');
+                if (input) {
+                    input.name = `${field.name}[${index}][${child.dataset.childName}]`;
+                }
+            });
+        });
+    }
+
+    static updateControls(group, field) {
+        const count = group.querySelectorAll('.repeat-item').length;
+        const addButton = group.querySelector('.repeat-add');
+        addButton.disabled = !!field.maxItems && count >= Number(field.maxItems);
+
+        group.querySelectorAll('.repeat-remove').forEach(button => {
+            button.style.visibility = count <= (Number(field.minItems) || 0) ? 'hidden' : 'visible';
+        });
+    }
+
+    /**
+     * Read a group's items from the DOM. Completely empty items are ignored.
+     */
+    static readValues(wrapper, field) {
+        return Array.from(wrapper.querySelectorAll('.repeat-item'))
+            .map(item => {
+                const values = {};
+                item.querySelectorAll('[data-child-name]').forEach(child => {
+                    const input = child.querySelector('input, select, textarea');
+                    values[child.dataset.childName] = input ? input.value.trim() : '';
+                });
+                return values;
+            })
+            .filter(item => !FormRepeater.isEmptyItem(item));
+    }
+
+    static isEmptyItem(item) {
+        return Object.values(item).every(v => v === undefined || v === null || String(v).trim() === '');
+    }
+
+    /**
+     * Fold flat FormData keys like "action_items[0][owner]" into arrays of objects
+     */
+    static normalize(data, fields) {
+        const groups = fields.filter(f => f.type === 'group');
+        if (groups.length === 0) return data;
+
+        const normalized = {};
+        const collected = {};
+        const pattern = /^([^\[]+)\[(\d+)\]\[([^\]]+)\]$/;
+
+        Object.entries(data).forEach(([key, value]) => {
+            const match = key.match(pattern);
+            if (match && groups.some(g => g.name === match[1])) {
+                const [, groupName, index, childName] = match;
+                collected[groupName] = collected[groupName] || [];
+                collected[groupName][index] = collected[groupName][index] || {};
+                collected[groupName][index][childName] = value;
+            } else {
+                normalized[key] = value;
+            }
+        });
+
+        groups.forEach(group => {
+            const items = (collected[group.name] || []).filter(item => item && !FormRepeater.isEmptyItem(item));
+            if (collected[group.name] || normalized[group.name] === undefined) {
+                normalized[group.name] = items;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Validate item counts and each item's child fields
+     */
+    static validate(field, items, required, validateChild) {
+        const errors = [];
+        const list = Array.isArray(items) ? items : [];
+        const label = field.label || field.name;
+        const min = Math.max(Number(field.minItems) || 0, required ? 1 : 0);
+
+        if (list.length < min) {
+            errors.push(min === 1 ? `${label} needs at least one entry` : `${label} needs at least ${min} entries`);
+        }
+        if (field.maxItems && list.length > Number(field.maxItems)) {
+            errors.push(`${label} allows at most ${field.maxItems} entries`);
+        }
+
+        list.forEach((item, index) => {
+            (field.children || []).forEach(child => {
+                validateChild(child, item[child.name]).forEach(message => {
+                    errors.push(`#${index + 1}: ${message}`);
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Plain-text rendering for tables and CSV exports
+     */
+    static format(items) {
+        if (!Array.isArray(items)) return items;
+
+        return items.map((item, index) => {
+            if (item === null || typeof item !== 'object') return String(item);
+            const parts = Object.entries(item)
+                .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+                .map(([key, value]) => `${key}: ${value}`);
+            return `${index + 1}) ${parts.join('; ')}`;
+        }).join(' | ');
+    }
+
+    static injectStyles() {
+        if (typeof document === 'undefined' || document.getElementById('form-repeater-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'form-repeater-styles';
+        style.textContent = `
+            .repeat-item { border: 2px solid #e2e8f0; border-radius: 10px; padding: 15px; margin-bottom: 12px; background: #f7fafc; }
+            .repeat-item-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; font-weight: 600; color: #4a5568; }
+            .repeat-item-fields { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px; }
+            .repeat-child label { display: block; font-size: 0.9rem; margin-bottom: 4px; font-weight: 500; }
+            .repeat-child input, .repeat-child select, .repeat-child textarea { width: 100%; }
+            .repeat-remove { background: none; border: none; color: #e53e3e; cursor: pointer; font-size: 1rem; }
+            .repeat-add { background: none; border: 2px dashed #667eea; color: #667eea; border-radius: 8px; padding: 8px 16px; cursor: pointer; font-weight: 600; }
+            .repeat-add:disabled { opacity: 0.4; cursor: not-allowed; }
+            .repeat-limits { margin-left: 10px; font-size: 0.85rem; color: #718096; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Export for use in other modules
+window.FormRepeater = FormRepeater;
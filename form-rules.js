@@ -0,0 +1,252 @@
+/**
+ * Form Rules Engine for FLEX-FORM
+ * Evaluates conditional show/hide and required-if rules between fields.
+ * Shared by the builder preview, the user portal and exported standalone forms.
+ *
+ * A field may carry:
+ *   rules: {
+ *     showWhen:     { field: 'follow_up_required', operator: 'equals', value: 'Yes' },
+ *     requiredWhen: { field: 'follow_up_required', operator: 'equals', value: 'Yes' }
+ *   }
+ */
+class FormRules {
+    static get OPERATORS() {
+        return {
+            equals: 'equals',
+            not_equals: 'does not equal',
+            contains: 'contains',
+            not_empty: 'has any value',
+            empty: 'is empty',
+            greater_than: 'is greater than',
+            less_than: 'is less than'
+        };
+    }
+
+    /**
+     * Check whether a condition object is complete enough to evaluate
+     */
+    static isValidCondition(condition) {
+        return !!(condition && condition.field && FormRules.OPERATORS[condition.operator]);
+    }
+
+    /**
+     * Evaluate a single condition against a map of field name -> value
+     */
+    static evaluate(condition, values) {
+        if (!FormRules.isValidCondition(condition)) return true;
+
+        // A rule pointing at a field that no longer exists should not hide anything
+        if (!Object.prototype.hasOwnProperty.call(values, condition.field)) return true;
+
+        const actual = values[condition.field];
+        const expected = condition.value === undefined || condition.value === null ? '' : String(condition.value);
+        const list = Array.isArray(actual) ? actual.map(String) : (actual === undefined || actual === null || actual === '' ? [] : [String(actual)]);
+
+        switch (condition.operator) {
+            case 'equals':
+                return list.some(v => v.toLowerCase() === expected.toLowerCase());
+            case 'not_equals':
+                return !list.some(v => v.toLowerCase() === expected.toLowerCase());
+            case 'contains':
+                return list.some(v => v.toLowerCase().includes(expected.toLowerCase()));
+            case 'not_empty':
+                return list.length > 0;
+            case 'empty':
+                return list.length === 0;
+            case 'greater_than':
+            case 'less_than': {
+                if (list.length === 0) return false;
+                const a = FormRules.toComparable(list[0]);
+                const b = FormRules.toComparable(expected);
+                if (a === null || b === null) return false;
+                return condition.operator === 'greater_than' ? a > b : a < b;
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Numbers compare numerically, ISO dates compare chronologically
+     */
+    static toComparable(value) {
+        if (value !== '' && !isNaN(value)) return parseFloat(value);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : date;
+    }
+
+    static isVisible(field, values) {
+        return !field.rules || FormRules.evaluate(field.rules.showWhen, values);
+    }
+
+    static isRequired(field, values) {
+        if (field.rules && FormRules.isValidCondition(field.rules.requiredWhen)) {
+            return FormRules.evaluate(field.rules.requiredWhen, values);
+        }
+        return !!field.required;
+    }
+
+    static hasRules(fields) {
+        return fields.some(f => f.rules && (FormRules.isValidCondition(f.rules.showWhen) || FormRules.isValidCondition(f.rules.requiredWhen)));
+    }
+
+    /**
+     * Resolve visibility of every field. Hidden fields count as empty, so
+     * rules that depend on a hidden field settle after a few passes.
+     */
+    static resolve(fields, values) {
+        const effective = { ...values };
+        fields.forEach(f => {
+            if (effective[f.name] === undefined) {
+                effective[f.name] = effective[`${f.name}[]`] !== undefined ? effective[`${f.name}[]`] : '';
+            }
+        });
+
+        let hidden = new Set();
+
+        for (let pass = 0; pass <= fields.length; pass++) {
+            const next = new Set(fields.filter(f => !FormRules.isVisible(f, effective)).map(f => f.name));
+            next.forEach(name => { effective[name] = ''; });
+
+            const stable = next.size === hidden.size && [...next].every(name => hidden.has(name));
+            hidden = next;
+            if (stable) break;
+        }
+
+        const required = new Set(fields
+            .filter(f => !hidden.has(f.name) && FormRules.isRequired(f, effective))
+            .map(f => f.name));
+
+        return { hidden: hidden, required: required, values: effective };
+    }
+
+    /**
+     * Read current values from a rendered form. Fields are located through their
+     * wrapper's data-field-name attribute, so input naming does not matter.
+     */
+    static getValues(form, fields) {
+        const values = {};
+
+        fields.forEach(field => {
+            const wrapper = FormRules.findWrapper(form, field.name);
+            if (!wrapper) return;
+
+            if (field.type === 'group') {
+                values[field.name] = typeof FormRepeater !== 'undefined' ? FormRepeater.readValues(wrapper, field) : [];
+                return;
+            }
+
+            const inputs = Array.from(wrapper.querySelectorAll('input, select, textarea'));
+            const checkables = inputs.filter(i => i.type === 'checkbox' || i.type === 'radio');
+
+            if (checkables.length > 1 || (checkables.length === 1 && checkables[0].type === 'radio')) {
+                const checked = checkables.filter(i => i.checked).map(i => i.value);
+                values[field.name] = checkables[0].type === 'radio' ? (checked[0] || '') : checked;
+            } else if (checkables.length === 1) {
+                values[field.name] = checkables[0].checked ? (checkables[0].value || 'on') : '';
+            } else if (inputs.length > 0 && inputs[0].multiple) {
+                values[field.name] = Array.from(inputs[0].selectedOptions).map(option => option.value);
+            } else if (inputs.length > 0) {
+                values[field.name] = inputs[0].value;
+            }
+        });
+
+        return values;
+    }
+
+    static findWrapper(form, fieldName) {
+        return Array.from(form.querySelectorAll('[data-field-name]'))
+            .find(el => el.dataset.fieldName === fieldName) || null;
+    }
+
+    /**
+     * Apply rules to a rendered form: hide and disable hidden fields (disabled
+     * inputs are neither validated nor submitted) and toggle required state.
+     */
+    static apply(form, fields) {
+        const state = FormRules.resolve(fields, FormRules.getValues(form, fields));
+
+        fields.forEach(field => {
+            const wrapper = FormRules.findWrapper(form, field.name);
+            if (!wrapper) return;
+
+            const isHidden = state.hidden.has(field.name);
+            const isRequired = state.required.has(field.name);
+            wrapper.style.display = isHidden ? 'none' : '';
+
+            const inputs = Array.from(wrapper.querySelectorAll('input, select, textarea'));
+            const multiCheckbox = inputs.filter(i => i.type === 'checkbox').length > 1;
+
+            // Group children keep their own required flags; the group itself is checked by FormValidator
+            inputs.forEach(input => {
+                input.disabled = isHidden;
+                if (field.type !== 'group' && !multiCheckbox && input.type !== 'checkbox') {
+                    input.required = isRequired;
+                }
+            });
+
+            const marker = wrapper.querySelector('[data-required-marker]');
+            if (marker) {
+                marker.style.display = isRequired ? '' : 'none';
+            }
+        });
+
+        return state;
+    }
+
+    /**
+     * Apply rules now and re-apply whenever an input changes
+     */
+    static bind(form, fields) {
+        if (!form) return;
+
+        // Forms are re-used between templates, so drop listeners from a previous bind
+        FormRules.unbind(form);
+        if (!FormRules.hasRules(fields)) return;
+
+        const handler = () => FormRules.apply(form, fields);
+        const resetHandler = () => setTimeout(handler, 0);
+        form.addEventListener('input', handler);
+        form.addEventListener('change', handler);
+        form.addEventListener('reset', resetHandler);
+        form._formRulesHandlers = { handler, resetHandler };
+        handler();
+    }
+
+    static unbind(form) {
+        const handlers = form._formRulesHandlers;
+        if (!handlers) return;
+
+        form.removeEventListener('input', handlers.handler);
+        form.removeEventListener('change', handlers.handler);
+        form.removeEventListener('reset', handlers.resetHandler);
+        delete form._formRulesHandlers;
+    }
+
+    /**
+     * Drop values of fields that are hidden by their rules
+     */
+    static filterSubmission(data, fields) {
+        const state = FormRules.resolve(fields, data);
+        const filtered = { ...data };
+
+        state.hidden.forEach(name => {
+            delete filtered[name];
+            delete filtered[`${name}[]`];
+        });
+
+        return filtered;
+    }
+
+    /**
+     * Human readable summary, used on builder canvas cards
+     */
+    static describe(condition) {
+        if (!FormRules.isValidCondition(condition)) return '';
+        const needsValue = !['not_empty', 'empty'].includes(condition.operator);
+        return `${condition.field} ${FormRules.OPERATORS[condition.operator]}${needsValue ? ` "${condition.value}"` : ''}`;
+    }
+}
+
+// Export for use in other modules
+window.FormRules = FormRules;
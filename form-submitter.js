@@ -0,0 +1,255 @@
+/**
+ * Form Submitter for FLEX-FORM
+ * Sends submissions from exported standalone forms to the endpoint chosen at
+ * export time:
+ *
+ *   { type: 'supabase', url, anonKey, table }   row in gemba_requests, like the portal
+ *   { type: 'webhook', url }                    JSON POST to any HTTP endpoint
+ *   { type: 'download' }                        JSON file saved on the device
+ *   { type: 'dataverse', url, prefix, tableName, entitySetName }
+ *
+ * Submissions that fail because the network or the server is down are queued
+ * in localStorage and sent again when the page is back online. Queued ones the
+ * server later rejects move to a separate rejected list, so they can be
+ * exported and fixed by hand instead of being lost.
+ */
+class FormSubmitter {
+    static get TARGETS() {
+        return {
+            supabase: 'Supabase (gemba_requests)',
+            webhook: 'Webhook URL',
+            download: 'Download as JSON',
+            dataverse: 'Dataverse table'
+        };
+    }
+
+    static get QUEUE_PREFIX() {
+        return 'flexform_queue_';
+    }
+
+    static get REJECTED_PREFIX() {
+        return 'flexform_rejected_';
+    }
+
+    /**
+     * Returns an error message, or '' when the target can be exported
+     */
+    static validateTarget(target) {
+        if (!target || !FormSubmitter.TARGETS[target.type]) return 'choose where submissions are sent';
+
+        const isHttpUrl = url => /^https:\/\/\S+$/i.test(url || '') || /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/\S*)?$/i.test(url || '');
+        switch (target.type) {
+            case 'supabase':
+                if (!isHttpUrl(target.url)) return 'the Supabase URL must start with https://';
+                if (!target.anonKey) return 'a Supabase anon key is needed';
+                if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(target.table || '')) return 'invalid table name';
+                return '';
+            case 'webhook':
+                return isHttpUrl(target.url) ? '' : 'the webhook URL must start with https://';
+            case 'dataverse':
+                return target.url && target.entitySetName ? '' : 'create the Dataverse table first';
+            default:
+                return '';
+        }
+    }
+
+    static generateId() {
+        const random = Math.random().toString(36).substring(2, 8);
+        return `local_${Date.now().toString(36)}${random}`;
+    }
+
+    /**
+     * Submission values plus the metadata the portal adds to every submission
+     */
+    static envelope(target, data) {
+        const payload = {
+            ...data,
+            form_name: target.formName,
+            submitted_at: new Date().toISOString()
+        };
+        if (target.templateId) {
+            payload.template_id = target.templateId;
+            payload.template_version = target.templateVersion;
+        }
+        return payload;
+    }
+
+    /**
+     * Send one payload; resolves to { recordId }. Errors worth retrying later carry retryable: true.
+     */
+    static async send(target, payload, fields, connector = null) {
+        switch (target.type) {
+            case 'supabase': {
+                const rows = await FormSubmitter.post(`${target.url.replace(/\/+$/, '')}/rest/v1/${target.table}`, [{
+                    form_type: 'user_submission',
+                    form_name: payload.form_name,
+                    form_data: JSON.stringify(payload),
+                    submitted_at: payload.submitted_at,
+                    // Kiosks have no signed-in user; identity is left to the database, as in the portal
+                    user_email: null
+                }], {
+                    'apikey': target.anonKey,
+                    'Authorization': `Bearer ${target.anonKey}`,
+                    'Prefer': 'return=representation'
+                });
+                return { recordId: Array.isArray(rows) && rows[0] ? rows[0].id : null };
+            }
+            case 'webhook': {
+                const result = await FormSubmitter.post(target.url, payload, {});
+                const id = result && typeof result === 'object' ? (result.id || result.recordId || result.record_id) : null;
+                return { recordId: id || FormSubmitter.generateId() };
+            }
+            case 'dataverse': {
+                const result = await connector.submit(target.entitySetName, fields, payload, target.formName);
+                if (!result.success) {
+                    const error = new Error(result.error);
+                    error.retryable = typeof navigator !== 'undefined' && navigator.onLine === false;
+                    throw error;
+                }
+                return { recordId: result.recordId };
+            }
+            default: {
+                const recordId = FormSubmitter.generateId();
+                FormSubmitter.download(`${FormSubmitter.slug(target.formName)}_${recordId}.json`, { id: recordId, ...payload });
+                return { recordId: recordId };
+            }
+        }
+    }
+
+    static async post(url, body, headers) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body)
+            });
+        } catch (networkError) {
+            const error = new Error('The server could not be reached');
+            error.retryable = true;
+            throw error;
+        }
+
+        const text = await response.text();
+        let result = null;
+        try {
+            result = text ? JSON.parse(text) : null;
+        } catch (e) {
+            result = text;
+        }
+
+        if (!response.ok) {
+            const message = result && typeof result === 'object' ? (result.message || result.error) : '';
+            const error = new Error(message || `HTTP ${response.status}: ${response.statusText}`);
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+        return result;
+    }
+
+    static download(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    static slug(text) {
+        return String(text || 'form').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    }
+
+    static queueKey(target) {
+        return FormSubmitter.QUEUE_PREFIX + FormSubmitter.slug(`${target.formName}_${target.type}`);
+    }
+
+    static rejectedKey(target) {
+        return FormSubmitter.REJECTED_PREFIX + FormSubmitter.slug(`${target.formName}_${target.type}`);
+    }
+
+    static readList(key) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static readQueue(target) {
+        return FormSubmitter.readList(FormSubmitter.queueKey(target));
+    }
+
+    static writeQueue(target, queue) {
+        localStorage.setItem(FormSubmitter.queueKey(target), JSON.stringify(queue));
+    }
+
+    static readRejected(target) {
+        return FormSubmitter.readList(FormSubmitter.rejectedKey(target));
+    }
+
+    static writeRejected(target, rejected) {
+        if (rejected.length === 0) {
+            localStorage.removeItem(FormSubmitter.rejectedKey(target));
+        } else {
+            localStorage.setItem(FormSubmitter.rejectedKey(target), JSON.stringify(rejected));
+        }
+    }
+
+    /**
+     * Download the rejected submissions as JSON, then forget them
+     */
+    static exportRejected(target) {
+        const rejected = FormSubmitter.readRejected(target);
+        if (rejected.length === 0) return 0;
+        FormSubmitter.download(`${FormSubmitter.slug(target.formName)}_rejected_${Date.now()}.json`, rejected);
+        FormSubmitter.writeRejected(target, []);
+        return rejected.length;
+    }
+
+    /**
+     * Keep a payload for later; returns the reference shown to the user
+     */
+    static enqueue(target, payload) {
+        const reference = FormSubmitter.generateId();
+        const queue = FormSubmitter.readQueue(target);
+        queue.push({ reference: reference, payload: payload, queuedAt: new Date().toISOString() });
+        FormSubmitter.writeQueue(target, queue);
+        return reference;
+    }
+
+    /**
+     * Send queued payloads in order, stopping at the first one that still cannot be sent.
+     * Payloads the server rejects move to the rejected list.
+     */
+    static async flush(target, fields, connector = null) {
+        const queue = FormSubmitter.readQueue(target);
+        const sent = [];
+        const rejected = [];
+
+        while (queue.length > 0) {
+            const entry = queue[0];
+            try {
+                const result = await FormSubmitter.send(target, entry.payload, fields, connector);
+                sent.push({ reference: entry.reference, recordId: result.recordId });
+            } catch (error) {
+                if (error.retryable) break;
+                // The server rejected it and always will; set it aside rather than retrying forever
+                const item = { ...entry, error: error.message, rejectedAt: new Date().toISOString() };
+                FormSubmitter.writeRejected(target, FormSubmitter.readRejected(target).concat([item]));
+                rejected.push(item);
+            }
+            queue.shift();
+            FormSubmitter.writeQueue(target, queue);
+        }
+
+        return { sent: sent, rejected: rejected, remaining: queue.length };
+    }
+}
+
+// Export for use in other modules
+window.FormSubmitter = FormSubmitter;
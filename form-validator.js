@@ -0,0 +1,318 @@
+/**
+ * Form Validator for FLEX-FORM
+ * Enforces per-field validation rules at submit time.
+ * Shared by the user portal, the builder preview, exported standalone forms
+ * and SecureSupabaseConnector.validateSubmission.
+ *
+ * A field may carry:
+ *   validation: {
+ *     min, max,                 // numbers, ISO dates, or HH:MM / YYYY-MM / YYYY-Www strings
+ *     minLength, maxLength,
+ *     pattern, patternMessage,  // regular expression without slashes
+ *     fileTypes: ['.pdf', 'image/*'],
+ *     notInFuture: true         // date and datetime-local fields
+ *   }
+ *
+ * Repeatable groups are validated item by item through FormRepeater.
+ */
+class FormValidator {
+    static get RULES_BY_TYPE() {
+        return {
+            text: ['minLength', 'maxLength', 'pattern'],
+            email: ['minLength', 'maxLength', 'pattern'],
+            tel: ['minLength', 'maxLength', 'pattern'],
+            url: ['minLength', 'maxLength', 'pattern'],
+            textarea: ['minLength', 'maxLength', 'pattern'],
+            number: ['min', 'max'],
+            date: ['min', 'max', 'notInFuture'],
+            'datetime-local': ['min', 'max', 'notInFuture'],
+            time: ['min', 'max'],
+            month: ['min', 'max'],
+            week: ['min', 'max'],
+            file: ['fileTypes']
+        };
+    }
+
+    static isEmpty(value) {
+        if (Array.isArray(value)) return value.length === 0;
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    /**
+     * Validate one value against its field definition. Returns a list of messages.
+     */
+    static validateValue(field, value, required = !!field.required) {
+        const errors = [];
+        const rules = field.validation || {};
+        const label = field.label || field.name;
+
+        if (field.type === 'group') {
+            if (typeof FormRepeater === 'undefined') {
+                return [`${label} cannot be validated (form-repeater.js is not loaded)`];
+            }
+            return FormRepeater.validate(field, value, required,
+                (child, childValue) => FormValidator.validateValue(child, childValue));
+        }
+
+        if (FormValidator.isEmpty(value)) {
+            if (required) {
+                errors.push(`${label} is required`);
+            }
+            return errors;
+        }
+
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+
+        if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+            errors.push(`${label} must be a valid email address`);
+        }
+
+        if (field.type === 'url' && !/^https?:\/\/[^\s/$.?#][^\s]*$/i.test(text)) {
+            errors.push(`${label} must be a web address starting with http:// or https://`);
+        }
+
+        if (field.type === 'tel' && !/^\+?[\d\s().-]{5,}$/.test(text)) {
+            errors.push(`${label} must be a valid phone number`);
+        }
+
+        if (rules.minLength !== undefined && rules.minLength !== '' && text.length < Number(rules.minLength)) {
+            errors.push(`${label} must be at least ${rules.minLength} characters`);
+        }
+
+        if (rules.maxLength !== undefined && rules.maxLength !== '' && text.length > Number(rules.maxLength)) {
+            errors.push(`${label} must be at most ${rules.maxLength} characters`);
+        }
+
+        if (rules.pattern) {
+            let regex = null;
+            try {
+                regex = new RegExp(`^(?:${rules.pattern})$`);
+            } catch (error) {
+                console.warn(`Invalid pattern on field ${field.name}:`, error);
+            }
+            if (regex && !regex.test(text)) {
+                errors.push(rules.patternMessage || `${label} has an invalid format`);
+            }
+        }
+
+        if (field.type === 'number') {
+            const number = Number(text);
+            if (isNaN(number)) {
+                errors.push(`${label} must be a number`);
+            } else {
+                if (rules.min !== undefined && rules.min !== '' && number < Number(rules.min)) {
+                    errors.push(`${label} must be at least ${rules.min}`);
+                }
+                if (rules.max !== undefined && rules.max !== '' && number > Number(rules.max)) {
+                    errors.push(`${label} must be at most ${rules.max}`);
+                }
+            }
+        }
+
+        if (field.type === 'date' || field.type === 'datetime-local') {
+            const time = Date.parse(text);
+            if (isNaN(time)) {
+                errors.push(`${label} must be a valid date`);
+            } else {
+                if (rules.min && time < Date.parse(rules.min)) {
+                    errors.push(`${label} must be on or after ${rules.min}`);
+                }
+                if (rules.max && time > Date.parse(rules.max)) {
+                    errors.push(`${label} must be on or before ${rules.max}`);
+                }
+                if (rules.notInFuture && FormValidator.isInFuture(field.type, text)) {
+                    errors.push(`${label} must not be in the future`);
+                }
+            }
+        }
+
+        if (field.type === 'rating') {
+            const max = typeof FormWidgets !== 'undefined' ? FormWidgets.ratingMax(field) : Number(field.max) || 5;
+            const rating = Number(text);
+            if (!Number.isInteger(rating) || rating < 1 || rating > max) {
+                errors.push(`${label} must be a rating from 1 to ${max}`);
+            }
+        }
+
+        // Native time, month and week values have a fixed width, so they compare as strings
+        if (['time', 'month', 'week'].includes(field.type)) {
+            if (rules.min && text < String(rules.min)) {
+                errors.push(`${label} must be ${rules.min} or later`);
+            }
+            if (rules.max && text > String(rules.max)) {
+                errors.push(`${label} must be ${rules.max} or earlier`);
+            }
+        }
+
+        if (field.type === 'file' && Array.isArray(rules.fileTypes) && rules.fileTypes.length > 0) {
+            const names = Array.isArray(value) ? value : [text];
+            names.forEach(name => {
+                if (!FormValidator.isAllowedFile(name, rules.fileTypes)) {
+                    errors.push(`${label}: "${FormValidator.baseName(name)}" is not an allowed file type (${rules.fileTypes.join(', ')})`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    static isInFuture(type, text) {
+        if (type === 'date') {
+            // Compare calendar days in local time so "today" is always allowed
+            const now = new Date();
+            const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+            return text.substring(0, 10) > today;
+        }
+        return Date.parse(text) > Date.now();
+    }
+
+    static baseName(path) {
+        return String(path).split(/[\\/]/).pop();
+    }
+
+    /**
+     * Accepts extensions (".pdf"), wildcard MIME groups ("image/*") and MIME types
+     */
+    static isAllowedFile(name, fileTypes, mimeType = '') {
+        const fileName = FormValidator.baseName(name).toLowerCase();
+        const extension = fileName.includes('.') ? fileName.substring(fileName.lastIndexOf('.')) : '';
+        const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.svg', '.heic'];
+
+        return fileTypes.some(type => {
+            const rule = String(type).trim().toLowerCase();
+            if (rule.startsWith('.')) return extension === rule;
+            if (rule === 'image/*') return mimeType.startsWith('image/') || imageExtensions.includes(extension);
+            if (rule.endsWith('/*')) return mimeType.startsWith(rule.slice(0, -1));
+            return mimeType === rule;
+        });
+    }
+
+    /**
+     * Validate a whole submission. Hidden fields (per FormRules) are skipped and
+     * required-if rules decide which fields are required. Pass scope (a list of
+     * field names) to report errors for those fields only, e.g. one wizard step.
+     */
+    static validateData(fields, data, scope = null) {
+        const errors = {};
+        const rulesEngine = typeof FormRules !== 'undefined' ? FormRules : null;
+        const state = rulesEngine ? rulesEngine.resolve(fields, data) : null;
+
+        fields.forEach(field => {
+            // Sections and info blocks hold no value and calculated values are computed, not entered
+            if (['section', 'info', 'calculated'].includes(field.type)) return;
+            if (scope && !scope.includes(field.name)) return;
+            if (state && state.hidden.has(field.name)) return;
+
+            const required = state ? state.required.has(field.name) : !!field.required;
+            const value = data[field.name] !== undefined ? data[field.name] : data[`${field.name}[]`];
+            const fieldErrors = FormValidator.validateValue(field, value, required);
+
+            if (fieldErrors.length > 0) {
+                errors[field.name] = fieldErrors;
+            }
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * A field's wrapper, matched by name rather than a selector so quotes or brackets in names are safe
+     */
+    static findWrapper(form, fieldName) {
+        if (typeof FormRules !== 'undefined') return FormRules.findWrapper(form, fieldName);
+        return Array.from(form.querySelectorAll('[data-field-name]')).find(el => el.dataset.fieldName === fieldName) || null;
+    }
+
+    /**
+     * Read values from a rendered form, keyed by field name
+     */
+    static getFormValues(form, fields) {
+        const values = typeof FormRules !== 'undefined' ? FormRules.getValues(form, fields) : {};
+
+        fields.forEach(field => {
+            const wrapper = FormValidator.findWrapper(form, field.name);
+            if (!wrapper) return;
+
+            if (field.type === 'file') {
+                const input = wrapper.querySelector('input[type="file"]');
+                values[field.name] = input && input.files ? Array.from(input.files).map(f => f.name) : [];
+            } else if (values[field.name] === undefined) {
+                const input = wrapper.querySelector('input, select, textarea');
+                values[field.name] = input ? input.value : '';
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Validate a rendered form and show inline messages. Returns true when valid.
+     */
+    static validateForm(form, fields, scope = null) {
+        const result = FormValidator.validateData(fields, FormValidator.getFormValues(form, fields), scope);
+
+        FormValidator.clearErrors(form);
+        Object.entries(result.errors).forEach(([name, messages]) => {
+            FormValidator.showFieldError(form, name, messages);
+        });
+
+        if (!result.isValid) {
+            const first = form.querySelector('.field-error');
+            if (first && first.scrollIntoView) {
+                first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+
+        return result.isValid;
+    }
+
+    static showFieldError(form, fieldName, messages) {
+        const wrapper = FormValidator.findWrapper(form, fieldName);
+        if (!wrapper) return;
+
+        const error = document.createElement('div');
+        error.className = 'field-error';
+        error.setAttribute('role', 'alert');
+        error.style.color = '#c53030';
+        error.style.fontSize = '0.85rem';
+        error.style.marginTop = '6px';
+        error.textContent = messages.join('. ');
+        wrapper.appendChild(error);
+        wrapper.classList.add('has-error');
+
+        // Clear the message as soon as the user edits the field
+        wrapper.addEventListener('input', () => {
+            error.remove();
+            wrapper.classList.remove('has-error');
+        }, { once: true });
+    }
+
+    static clearErrors(form) {
+        form.querySelectorAll('.field-error').forEach(el => el.remove());
+        form.querySelectorAll('.has-error').forEach(el => el.classList.remove('has-error'));
+    }
+
+    /**
+     * Human readable summary, used on builder canvas cards
+     */
+    static describe(field) {
+        const rules = field.validation || {};
+        const parts = [];
+
+        if (rules.min !== undefined && rules.min !== '') parts.push(`min ${rules.min}`);
+        if (rules.max !== undefined && rules.max !== '') parts.push(`max ${rules.max}`);
+        if (rules.minLength) parts.push(`≥ ${rules.minLength} chars`);
+        if (rules.maxLength) parts.push(`≤ ${rules.maxLength} chars`);
+        if (rules.pattern) parts.push('pattern');
+        if (rules.fileTypes && rules.fileTypes.length) parts.push(rules.fileTypes.join(' '));
+        if (rules.notInFuture) parts.push('not in future');
+
+        return parts.join(', ');
+    }
+}
+
+// Export for use in other modules
+window.FormValidator = FormValidator;
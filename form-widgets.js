@@ -0,0 +1,149 @@
+/**
+ * Form Widgets for FLEX-FORM
+ * Markup for field types that are more than a single native input, shared by
+ * the builder preview, exported standalone forms and the user portal:
+ *
+ *   rating       { max: 5, ratingStyle: 'stars' | 'scale' }   stored as "1".."max"
+ *   yesno        Yes / No / N/A toggle (options may be overridden)
+ *   multiselect  several options from a list, submitted as name[]
+ *   info         static heading and text, no value
+ */
+class FormWidgets {
+    static get INPUT_TYPES() {
+        return ['text', 'email', 'number', 'date', 'tel', 'url', 'time', 'datetime-local', 'month', 'week'];
+    }
+
+    static get LAYOUT_TYPES() {
+        return ['section', 'info'];
+    }
+
+    static escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    static ratingMax(field) {
+        const max = parseInt(field.max, 10);
+        return max >= 2 && max <= 10 ? max : 5;
+    }
+
+    static yesNoOptions(field) {
+        return field.options && field.options.length > 0 ? field.options : ['Yes', 'No', 'N/A'];
+    }
+
+    static render(field, idPrefix = '') {
+        FormWidgets.injectStyles();
+
+        switch (field.type) {
+            case 'rating': return FormWidgets.renderRating(field, idPrefix);
+            case 'yesno': return FormWidgets.renderToggle(field, idPrefix);
+            case 'multiselect': return FormWidgets.renderMultiSelect(field, idPrefix);
+            case 'info': return FormWidgets.renderInfo(field);
+            default: return '';
+        }
+    }
+
+    static renderRating(field, idPrefix = '') {
+        const max = FormWidgets.ratingMax(field);
+        const stars = field.ratingStyle !== 'scale';
+        const name = FormWidgets.escape(field.name);
+        const items = [];
+
+        for (let value = 1; value <= max; value++) {
+            const id = `${idPrefix}${name}_${value}`;
+            items.push(`
+                <input type="radio" id="${id}" name="${name}" value="${value}">
+                <label for="${id}" title="${value} of ${max}">${stars ? '★' : value}</label>
+            `);
+        }
+
+        // Stars are laid out right-to-left so CSS can highlight every star up to the hovered one
+        return `<div class="rating-input ${stars ? 'stars' : 'scale'}" role="radiogroup" aria-label="${FormWidgets.escape(field.label)}">
+            ${(stars ? items.reverse() : items).join('')}
+        </div>`;
+    }
+
+    static renderToggle(field, idPrefix = '') {
+        const name = FormWidgets.escape(field.name);
+        const options = FormWidgets.yesNoOptions(field).map((option, index) => {
+            const id = `${idPrefix}${name}_${index}`;
+            return `
+                <input type="radio" id="${id}" name="${name}" value="${FormWidgets.escape(option)}">
+                <label for="${id}">${FormWidgets.escape(option)}</label>
+            `;
+        }).join('');
+
+        return `<div class="toggle-group" role="radiogroup" aria-label="${FormWidgets.escape(field.label)}">${options}</div>`;
+    }
+
+    static renderMultiSelect(field, idPrefix = '') {
+        const options = (field.options || []).map(option =>
+            `<option value="${FormWidgets.escape(option)}">${FormWidgets.escape(option)}</option>`
+        ).join('');
+        const size = Math.min(Math.max((field.options || []).length, 3), 8);
+
+        return `
+            <select id="${idPrefix}${FormWidgets.escape(field.name)}" name="${FormWidgets.escape(field.name)}[]" class="multi-select" multiple size="${size}">${options}</select>
+            <small class="multi-select-hint">Hold Ctrl (Cmd on Mac) to pick several</small>
+        `;
+    }
+
+    static renderInfo(field) {
+        return `<div class="info-block">
+            <h4>${FormWidgets.escape(field.label)}</h4>
+            ${field.placeholder ? `<p>${FormWidgets.escape(field.placeholder)}</p>` : ''}
+        </div>`;
+    }
+
+    /**
+     * FormData to a plain object. Keys ending in [] (checkbox groups and
+     * multi-selects) become arrays under the bare field name; files are
+     * recorded by name.
+     */
+    static readFormData(formData) {
+        const data = {};
+
+        for (const [key, entry] of formData.entries()) {
+            const value = typeof entry === 'string' ? entry : entry.name;
+            if (key.endsWith('[]')) {
+                const name = key.slice(0, -2);
+                data[name] = (data[name] || []).concat(value);
+            } else {
+                data[key] = value;
+            }
+        }
+
+        return data;
+    }
+
+    static injectStyles() {
+        if (typeof document === 'undefined' || document.getElementById('form-widgets-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'form-widgets-styles';
+        style.textContent = `
+            .rating-input, .toggle-group { display: inline-flex; gap: 4px; }
+            .rating-input input, .toggle-group input { position: absolute; opacity: 0; width: 1px; height: 1px; }
+            .rating-input.stars { flex-direction: row-reverse; }
+            .rating-input.stars label { font-size: 1.8rem; color: #cbd5e0; cursor: pointer; }
+            .rating-input.stars input:checked ~ label,
+            .rating-input.stars label:hover,
+            .rating-input.stars label:hover ~ label { color: #f6ad55; }
+            .rating-input.scale label, .toggle-group label { min-width: 40px; padding: 8px 12px; text-align: center; border: 2px solid #e2e8f0; border-radius: 6px; cursor: pointer; font-weight: 600; }
+            .rating-input.scale input:checked + label, .toggle-group input:checked + label { background: #667eea; border-color: #667eea; color: white; }
+            .rating-input input:focus-visible + label, .toggle-group input:focus-visible + label { outline: 2px solid #667eea; outline-offset: 2px; }
+            .multi-select { width: 100%; }
+            .multi-select-hint { display: block; color: #718096; font-size: 0.8rem; margin-top: 4px; }
+            .info-block { background: #ebf8ff; border-left: 4px solid #4299e1; border-radius: 6px; padding: 12px 16px; }
+            .info-block h4 { margin: 0 0 4px; color: #2c5282; }
+            .info-block p { margin: 0; color: #2d3748; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Export for use in other modules
+window.FormWidgets = FormWidgets;
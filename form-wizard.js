@@ -0,0 +1,213 @@
+/**
+ * Form Wizard for FLEX-FORM
+ * Turns a rendered form into a step-by-step wizard. Every "section" field
+ * starts a new step; fields before the first section form an opening step.
+ * Steps are only hidden, never re-rendered, so entered values survive Back/Next.
+ */
+class FormWizard {
+    /**
+     * @param {HTMLElement} container - element whose children are field wrappers and section markers
+     * @param {Object} options - { form, fields, submitButton, onStepChange }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.form = options.form || container.closest('form');
+        this.fields = options.fields || [];
+        this.submitButton = options.submitButton || (this.form && this.form.querySelector('button[type="submit"]'));
+        this.onStepChange = options.onStepChange || null;
+        this.steps = [];
+        this.currentStep = 0;
+
+        FormWizard.injectStyles();
+        this.build();
+    }
+
+    static hasSections(fields) {
+        return fields.some(f => f.type === 'section');
+    }
+
+    build() {
+        const children = Array.from(this.container.children);
+        let step = null;
+
+        children.forEach(child => {
+            const isSection = child.hasAttribute('data-section');
+            if (isSection || !step) {
+                step = document.createElement('div');
+                step.className = 'wizard-step';
+                step.dataset.title = isSection ? (child.dataset.sectionTitle || '') : 'General';
+                this.container.insertBefore(step, child);
+                this.steps.push(step);
+            }
+            step.appendChild(child);
+        });
+
+        this.progress = document.createElement('div');
+        this.progress.className = 'wizard-progress';
+        this.progress.innerHTML = `
+            <div class="wizard-progress-bar"><div class="wizard-progress-fill"></div></div>
+            <div class="wizard-step-label"></div>
+        `;
+        this.container.insertBefore(this.progress, this.container.firstChild);
+
+        this.nav = document.createElement('div');
+        this.nav.className = 'wizard-nav';
+        this.nav.innerHTML = `
+            <button type="button" class="btn btn-secondary wizard-back">← Back</button>
+            <button type="button" class="btn btn-primary wizard-next">Next →</button>
+        `;
+        this.container.parentNode.insertBefore(this.nav, this.container.nextSibling);
+
+        this.backButton = this.nav.querySelector('.wizard-back');
+        this.nextButton = this.nav.querySelector('.wizard-next');
+        this.backButton.addEventListener('click', () => this.back());
+        this.nextButton.addEventListener('click', () => this.next());
+
+        // Enter in a text input should advance the wizard instead of submitting early
+        this.keyHandler = (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !this.isLastStep()) {
+                e.preventDefault();
+                this.next();
+            }
+        };
+        this.container.addEventListener('keydown', this.keyHandler);
+
+        // Conditional rules can empty or fill a step; keep the progress label in sync
+        this.refreshHandler = () => this.showStep(this.currentStep);
+        if (this.form) {
+            this.form.addEventListener('change', this.refreshHandler);
+        }
+
+        this.showStep(0);
+    }
+
+    /**
+     * Steps whose fields are all hidden by conditional rules are skipped
+     */
+    isStepEmpty(index) {
+        const wrappers = Array.from(this.steps[index].querySelectorAll('[data-field-name]'));
+        return wrappers.length > 0 && wrappers.every(w => w.style.display === 'none');
+    }
+
+    findStep(from, direction) {
+        for (let i = from; i >= 0 && i < this.steps.length; i += direction) {
+            if (!this.isStepEmpty(i)) return i;
+        }
+        return -1;
+    }
+
+    isLastStep() {
+        return this.findStep(this.currentStep + 1, 1) === -1;
+    }
+
+    showStep(index) {
+        this.currentStep = index;
+        this.steps.forEach((step, i) => {
+            step.style.display = i === index ? '' : 'none';
+        });
+
+        const visibleSteps = this.steps.map((_, i) => i).filter(i => !this.isStepEmpty(i));
+        const position = Math.max(visibleSteps.indexOf(index), 0) + 1;
+        const title = this.steps[index].dataset.title;
+
+        this.progress.querySelector('.wizard-progress-fill').style.width = `${(position / visibleSteps.length) * 100}%`;
+        this.progress.querySelector('.wizard-step-label').textContent =
+            `Step ${position} of ${visibleSteps.length}${title ? ` · ${title}` : ''}`;
+
+        this.backButton.style.visibility = this.findStep(index - 1, -1) === -1 ? 'hidden' : 'visible';
+        this.nextButton.style.display = this.isLastStep() ? 'none' : '';
+        if (this.submitButton) {
+            this.submitButton.style.display = this.isLastStep() ? '' : 'none';
+        }
+
+        if (this.onStepChange) {
+            this.onStepChange(index, this.steps.length);
+        }
+    }
+
+    validateStep(index) {
+        if (typeof FormValidator === 'undefined' || !this.form) return true;
+
+        const names = Array.from(this.steps[index].querySelectorAll('[data-field-name]'))
+            .map(w => w.dataset.fieldName);
+        return FormValidator.validateForm(this.form, this.fields, names);
+    }
+
+    next() {
+        if (!this.validateStep(this.currentStep)) return;
+
+        const target = this.findStep(this.currentStep + 1, 1);
+        if (target !== -1) {
+            this.showStep(target);
+            this.scrollToTop();
+        }
+    }
+
+    back() {
+        const target = this.findStep(this.currentStep - 1, -1);
+        if (target !== -1) {
+            this.showStep(target);
+            this.scrollToTop();
+        }
+    }
+
+    /**
+     * Jump to the step holding a field, e.g. after a failed final validation
+     */
+    showField(fieldName) {
+        const index = this.steps.findIndex(step =>
+            Array.from(step.querySelectorAll('[data-field-name]')).some(w => w.dataset.fieldName === fieldName));
+        if (index !== -1) {
+            this.showStep(index);
+        }
+    }
+
+    scrollToTop() {
+        if (this.progress.scrollIntoView) {
+            this.progress.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Restore the plain layout and remove wizard controls
+     */
+    destroy() {
+        this.container.removeEventListener('keydown', this.keyHandler);
+        if (this.form) {
+            this.form.removeEventListener('change', this.refreshHandler);
+        }
+        this.steps.forEach(step => {
+            while (step.firstChild) {
+                this.container.insertBefore(step.firstChild, step);
+            }
+            step.remove();
+        });
+        this.progress.remove();
+        this.nav.remove();
+        if (this.submitButton) {
+            this.submitButton.style.display = '';
+        }
+        this.steps = [];
+    }
+
+    static injectStyles() {
+        if (document.getElementById('form-wizard-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'form-wizard-styles';
+        style.textContent = `
+            .wizard-progress { margin-bottom: 25px; }
+            .wizard-progress-bar { height: 8px; background: #e2e8f0; border-radius: 4px; overflow: hidden; }
+            .wizard-progress-fill { height: 100%; background: linear-gradient(90deg, #667eea 0%, #764ba2 100%); transition: width 0.3s ease; }
+            .wizard-step-label { margin-top: 8px; font-size: 0.9rem; font-weight: 600; color: #4a5568; }
+            .wizard-nav { display: flex; justify-content: space-between; gap: 15px; margin-top: 20px; }
+            .form-section { margin: 10px 0 20px; padding-bottom: 10px; border-bottom: 2px solid #e2e8f0; }
+            .form-section h3 { color: #2d3748; margin-bottom: 5px; }
+            .form-section p { color: #718096; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Export for use in other modules
+window.FormWizard = FormWizard;
@@ -0,0 +1,233 @@
+/**
+ * GoTrue Mock for FLEX-FORM
+ * An in-memory stand-in for Supabase Auth (GoTrue), so sign-in can be
+ * developed without a Supabase project. Set AUTH_URL to GoTrueMock.URL in the
+ * config and AuthSession sends its requests here instead of over the network.
+ *
+ * Covers what AuthSession uses: password and refresh token grants, magic
+ * links (/otp), /user and /logout. Access tokens are HS256 JWTs shaped like
+ * Supabase's, with role and department in app_metadata, signed with a fixed
+ * development secret, so they are only accepted by this mock. Magic links
+ * are not emailed; they are logged to the console and kept in outbox.
+ */
+class GoTrueMock {
+    static get URL() {
+        return 'mock://gotrue';
+    }
+
+    static get SECRET() {
+        return 'flexform-gotrue-mock-secret';
+    }
+
+    static get TOKEN_LIFETIME() {
+        return 3600;
+    }
+
+    /**
+     * Users every mock starts with; all share the password 'password123'
+     */
+    static get USERS() {
+        return [
+            { email: 'admin@example.com', role: 'admin', department: 'quality' },
+            { email: 'auditor@example.com', role: 'auditor', department: 'quality' },
+            { email: 'user@example.com', role: 'user', department: 'general' }
+        ];
+    }
+
+    constructor() {
+        this.users = new Map(); // email -> { id, email, password, app_metadata, user_metadata, created_at }
+        this.refreshTokens = new Map(); // refresh token -> user email
+        this.outbox = [];
+        this.requests = [];
+        GoTrueMock.USERS.forEach(user => this.addUser(user.email, 'password123', { role: user.role, department: user.department }));
+    }
+
+    addUser(email, password, appMetadata = {}) {
+        const user = {
+            id: crypto.randomUUID(),
+            email: email.toLowerCase(),
+            password: password,
+            app_metadata: { provider: 'email', ...appMetadata },
+            user_metadata: {},
+            created_at: new Date().toISOString()
+        };
+        this.users.set(user.email, user);
+        return user;
+    }
+
+    static base64Url(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static async signingKey() {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(GoTrueMock.SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    }
+
+    async issueToken(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const claims = {
+            aud: 'authenticated',
+            exp: now + GoTrueMock.TOKEN_LIFETIME,
+            iat: now,
+            sub: user.id,
+            email: user.email,
+            role: 'authenticated',
+            app_metadata: user.app_metadata,
+            user_metadata: user.user_metadata
+        };
+        const encode = value => GoTrueMock.base64Url(new TextEncoder().encode(JSON.stringify(value)));
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+        const signature = await crypto.subtle.sign('HMAC', await GoTrueMock.signingKey(), new TextEncoder().encode(unsigned));
+        return `${unsigned}.${GoTrueMock.base64Url(signature)}`;
+    }
+
+    /**
+     * Claims of a token this mock signed and that has not expired, or null
+     */
+    async verifyToken(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) return null;
+
+        const signature = Uint8Array.from(atob(parts[2].replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+        const valid = await crypto.subtle.verify('HMAC', await GoTrueMock.signingKey(), signature, new TextEncoder().encode(`${parts[0]}.${parts[1]}`));
+        if (!valid) return null;
+
+        const claims = AuthSession.decodeToken(token);
+        return claims && claims.exp > Date.now() / 1000 ? claims : null;
+    }
+
+    async session(user) {
+        const refreshToken = crypto.randomUUID().replace(/-/g, '');
+        this.refreshTokens.set(refreshToken, user.email);
+        return {
+            access_token: await this.issueToken(user),
+            token_type: 'bearer',
+            expires_in: GoTrueMock.TOKEN_LIFETIME,
+            expires_at: Math.floor(Date.now() / 1000) + GoTrueMock.TOKEN_LIFETIME,
+            refresh_token: refreshToken,
+            user: this.publicUser(user)
+        };
+    }
+
+    publicUser(user) {
+        const { password, ...rest } = user;
+        return { ...rest, aud: 'authenticated', role: 'authenticated' };
+    }
+
+    /**
+     * Drop-in replacement for window.fetch
+     */
+    async fetch(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const [path, query] = String(url).replace(GoTrueMock.URL, '').split('?');
+        const params = new URLSearchParams(query || '');
+        const body = init.body ? JSON.parse(init.body) : null;
+        const headers = init.headers || {};
+        const bearer = String(headers['Authorization'] || '').replace(/^Bearer\s+/i, '');
+        this.requests.push({ method: method, path: path, params: Object.fromEntries(params), body: body });
+
+        try {
+            const { status, json } = await this.handle(method, path, params, body, bearer);
+            return new Response(json === undefined ? null : JSON.stringify(json), {
+                status: status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (error) {
+            return new Response(JSON.stringify(error.json || { code: error.status || 500, msg: error.message }), {
+                status: error.status || 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+
+    async handle(method, path, params, body, bearer) {
+        if (method === 'POST' && path === '/token') {
+            return { status: 200, json: await this.grant(params.get('grant_type'), body || {}) };
+        }
+
+        if (method === 'POST' && path === '/otp') {
+            await this.sendMagicLink(body || {}, params.get('redirect_to'));
+            return { status: 200, json: {} };
+        }
+
+        if (method === 'GET' && path === '/user') {
+            const claims = await this.verifyToken(bearer);
+            if (!claims) throw GoTrueMock.error(401, 'Invalid JWT');
+            // Users made by a magic link on another page are only known from their token
+            const user = this.users.get(claims.email) ||
+                { id: claims.sub, email: claims.email, app_metadata: claims.app_metadata, user_metadata: claims.user_metadata };
+            return { status: 200, json: this.publicUser(user) };
+        }
+
+        if (method === 'POST' && path === '/logout') {
+            const claims = await this.verifyToken(bearer);
+            if (!claims) throw GoTrueMock.error(401, 'Invalid JWT');
+            Array.from(this.refreshTokens.entries())
+                .filter(([, email]) => email === claims.email)
+                .forEach(([token]) => this.refreshTokens.delete(token));
+            return { status: 204 };
+        }
+
+        throw GoTrueMock.error(404, `Mock GoTrue does not handle ${method} ${path}`);
+    }
+
+    async grant(grantType, body) {
+        if (grantType === 'password') {
+            const user = this.users.get(String(body.email || '').toLowerCase());
+            if (!user || user.password !== body.password) {
+                throw GoTrueMock.grantError('Invalid login credentials');
+            }
+            return this.session(user);
+        }
+
+        if (grantType === 'refresh_token') {
+            const email = this.refreshTokens.get(body.refresh_token);
+            if (!email) throw GoTrueMock.grantError('Invalid Refresh Token: Refresh Token Not Found');
+            // Refresh tokens are single use, as in GoTrue
+            this.refreshTokens.delete(body.refresh_token);
+            return this.session(this.users.get(email));
+        }
+
+        throw GoTrueMock.error(400, `Unsupported grant type ${grantType}`);
+    }
+
+    async sendMagicLink(body, redirectTo) {
+        const email = String(body.email || '').toLowerCase();
+        let user = this.users.get(email);
+        if (!user) {
+            if (body.create_user === false) throw GoTrueMock.error(400, 'Signups not allowed for otp');
+            user = this.addUser(email, null, { role: 'user', department: 'general' });
+        }
+
+        const session = await this.session(user);
+        const fragment = new URLSearchParams({
+            access_token: session.access_token,
+            refresh_token: session.refresh_token,
+            expires_in: String(session.expires_in),
+            expires_at: String(session.expires_at),
+            token_type: 'bearer',
+            type: 'magiclink'
+        });
+        const link = `${redirectTo || ''}#${fragment}`;
+        this.outbox.push({ email: email, link: link, sentAt: new Date().toISOString() });
+        console.info(`📧 Mock magic link for ${email}: ${link}`);
+    }
+
+    static error(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        error.json = { code: status, msg: message };
+        return error;
+    }
+
+    static grantError(description) {
+        const error = GoTrueMock.error(400, description);
+        error.json = { error: 'invalid_grant', error_description: description };
+        return error;
+    }
+}
+
+// Export for use in other modules
+window.GoTrueMock = GoTrueMock;
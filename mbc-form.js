@@ -0,0 +1,325 @@
+/**
+ * <mbc-form> custom element for FLEX-FORM
+ * Loads a template from the registry, renders it with FormRenderer, applies
+ * the template's rules, lookups, calculations and validation, and submits
+ * through SecureSupabaseConnector, so any internal page can embed a form:
+ *
+ *   <mbc-form template-id="gemba_request" table="gemba_requests_secure" user-email="jane@company.com"></mbc-form>
+ *
+ * Attributes: template-id (template_id, or the form name of older templates),
+ * version (defaults to the newest published one), table, user-email,
+ * department and submit-label. Instead of template-id, set the template
+ * property to a saved template row; the connector checks submissions
+ * against the stored version.
+ *
+ * Events, all bubbling:
+ *   change  { field, value, values }         after any field changes
+ *   submit  { data, recordId, template }     after the record is saved
+ *   error   { stage, message, errors }       stage is 'load', 'validation' or 'submit'
+ *
+ * Theme it with CSS custom properties on the element or an ancestor:
+ * --mbc-form-accent, --mbc-form-text, --mbc-form-muted, --mbc-form-background,
+ * --mbc-form-border, --mbc-form-error, --mbc-form-radius and --mbc-form-font.
+ */
+class MbcForm extends HTMLElement {
+    static get observedAttributes() {
+        return ['template-id', 'version'];
+    }
+
+    constructor() {
+        super();
+        this._template = null;
+        this._client = null;
+        this._connector = null;
+        this.row = null;
+        this.fields = [];
+        this.form = null;
+        this.wizard = null;
+        this.loadCount = 0;
+        // Prefixes element ids so several forms can share a page
+        MbcForm.instances = (MbcForm.instances || 0) + 1;
+        this.instanceId = MbcForm.instances;
+    }
+
+    connectedCallback() {
+        MbcForm.injectStyles();
+        if (!this.form) {
+            this.load();
+        }
+    }
+
+    disconnectedCallback() {
+        this.teardown();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.isConnected && oldValue !== newValue) {
+            this.load();
+        }
+    }
+
+    get template() {
+        return this._template;
+    }
+
+    set template(row) {
+        this._template = row;
+        if (this.isConnected) this.load();
+    }
+
+    /**
+     * supabase-js client used for templates and lookup options
+     */
+    get client() {
+        return this._client || window.supabaseClient || null;
+    }
+
+    set client(client) {
+        this._client = client;
+    }
+
+    get connector() {
+        return this._connector || window.secureConnector || null;
+    }
+
+    set connector(connector) {
+        this._connector = connector;
+    }
+
+    async load() {
+        const load = ++this.loadCount;
+        this.teardown();
+        this.innerHTML = '';
+        this.setStatus('Loading form...');
+
+        try {
+            const row = this._template || await this.findTemplate();
+            const fields = await FormLookups.resolve(TemplateRegistry.fieldsOf(row), this.client);
+            // A newer load started while this one was waiting
+            if (load !== this.loadCount) return;
+
+            this.row = row;
+            this.render(fields);
+        } catch (error) {
+            if (load !== this.loadCount) return;
+            this.setStatus(error.message, true);
+            this.emit('error', { stage: 'load', message: error.message, errors: {} });
+        }
+    }
+
+    async findTemplate() {
+        const id = this.getAttribute('template-id');
+        if (!id) {
+            throw new Error('mbc-form needs a template-id attribute or a template property');
+        }
+
+        const { rows } = await TemplateRegistry.load(this.client);
+        const matching = rows.filter(row => row.template_id === id || (!row.template_id && row.form_name === id));
+        const version = this.getAttribute('version');
+        const row = version
+            ? matching.find(candidate => TemplateVersions.versionOf(candidate) === Number(version))
+            : TemplateVersions.latestPublished(matching)[0];
+
+        if (!row) {
+            throw new Error(version ? `Form "${id}" has no version ${version}` : `No published form "${id}"`);
+        }
+        return row;
+    }
+
+    render(fields) {
+        this.fields = fields;
+        this.innerHTML = `
+            <form class="mbc-form" novalidate>
+                <div class="mbc-form-fields"></div>
+                <div class="mbc-form-status" hidden></div>
+                <div class="mbc-form-actions">
+                    <button type="submit" class="mbc-form-submit"></button>
+                </div>
+            </form>
+        `;
+        this.form = this.querySelector('form');
+        this.querySelector('.mbc-form-submit').textContent = this.getAttribute('submit-label') || 'Submit';
+
+        const container = this.querySelector('.mbc-form-fields');
+        FormRenderer.render(fields, container, `mbc${this.instanceId}_`);
+        FormRepeater.bind(this.form, fields);
+        FormLookups.bind(this.form, fields);
+        FormCalculator.bind(this.form, fields);
+        FormRules.bind(this.form, fields);
+        if (FormWizard.hasSections(fields)) {
+            this.wizard = new FormWizard(container, { form: this.form, fields: fields });
+        }
+
+        // The native events would reach the page too; they are replaced by ones with details
+        this.form.addEventListener('change', (e) => {
+            if (e.target === this.form) return;
+            e.stopPropagation();
+            const wrapper = e.target.closest('[data-field-name]');
+            if (!wrapper) return;
+
+            const values = this.getValues();
+            this.emit('change', { field: wrapper.dataset.fieldName, value: values[wrapper.dataset.fieldName], values: values });
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.submit();
+        });
+    }
+
+    teardown() {
+        if (this.wizard) {
+            this.wizard.destroy();
+            this.wizard = null;
+        }
+        if (this.form) {
+            FormRules.unbind(this.form);
+            this.form = null;
+        }
+    }
+
+    /**
+     * Current values, keyed by field name, as they would be submitted
+     */
+    getValues() {
+        if (!this.form) return {};
+        const values = FormRepeater.normalize(FormWidgets.readFormData(new FormData(this.form)), this.fields);
+        return FormRules.filterSubmission(FormCalculator.apply(values, this.fields), this.fields);
+    }
+
+    async submit() {
+        if (!this.form) return null;
+
+        if (!FormValidator.validateForm(this.form, this.fields)) {
+            const firstError = this.form.querySelector('.field-error');
+            if (this.wizard && firstError) {
+                this.wizard.showField(firstError.closest('[data-field-name]').dataset.fieldName);
+            }
+            this.emit('error', { stage: 'validation', message: 'Please correct the highlighted fields', errors: this.validationErrors() });
+            return null;
+        }
+
+        const data = this.getValues();
+        const button = this.querySelector('.mbc-form-submit');
+        button.disabled = true;
+        this.setStatus('Submitting...');
+
+        try {
+            const connector = this.connector;
+            if (!connector) {
+                throw new Error('No database connector; load secure-supabase-connector.js or set the connector property');
+            }
+            if (!connector.connected && typeof connector.autoConnect === 'function') {
+                await connector.autoConnect();
+            }
+
+            const table = this.getAttribute('table');
+            if (!table) {
+                throw new Error('mbc-form needs a table attribute to submit');
+            }
+
+            const user = connector.currentUser || {};
+            const result = await connector.submitSecureData(table, data, {
+                userEmail: this.getAttribute('user-email') || user.email || '',
+                department: this.getAttribute('department') || user.department || 'general',
+                role: user.role || 'user',
+                template: TemplateVersions.submissionStamp(TemplateVersions.identityOf(this.row), TemplateVersions.versionOf(this.row))
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.setStatus(`Submitted. Record id: ${result.recordId}`);
+            this.form.reset();
+            this.form.dispatchEvent(new Event('change'));
+            if (this.wizard) {
+                this.wizard.showStep(Math.max(this.wizard.findStep(0, 1), 0));
+            }
+
+            this.emit('submit', {
+                data: data,
+                recordId: result.recordId,
+                template: TemplateVersions.submissionStamp(TemplateVersions.identityOf(this.row), TemplateVersions.versionOf(this.row))
+            });
+            return result.recordId;
+        } catch (error) {
+            this.setStatus(`Submission failed: ${error.message}`, true);
+            this.emit('error', { stage: 'submit', message: error.message, errors: {} });
+            return null;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    validationErrors() {
+        return FormValidator.validateData(this.fields, FormValidator.getFormValues(this.form, this.fields)).errors;
+    }
+
+    setStatus(message, isError = false) {
+        let status = this.querySelector('.mbc-form-status');
+        if (!status) {
+            this.innerHTML = '<div class="mbc-form-status"></div>';
+            status = this.querySelector('.mbc-form-status');
+        }
+        status.textContent = message;
+        status.classList.toggle('mbc-form-error', isError);
+        status.hidden = false;
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+    }
+
+    static injectStyles() {
+        if (document.getElementById('mbc-form-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'mbc-form-styles';
+        style.textContent = `
+            mbc-form {
+                display: block;
+                font-family: var(--mbc-form-font, inherit);
+                color: var(--mbc-form-text, #2d3748);
+                background: var(--mbc-form-background, transparent);
+            }
+            mbc-form .form-field { margin-bottom: 20px; }
+            mbc-form .form-field label { display: block; font-weight: 600; margin-bottom: 6px; }
+            mbc-form .form-field .required { color: var(--mbc-form-error, #e53e3e); }
+            mbc-form .form-field input:not([type="radio"]):not([type="checkbox"]),
+            mbc-form .form-field textarea,
+            mbc-form .form-field select {
+                box-sizing: border-box; width: 100%; padding: 10px 12px; font: inherit; color: inherit;
+                border: 2px solid var(--mbc-form-border, #e2e8f0); border-radius: var(--mbc-form-radius, 8px);
+                background: #fff;
+            }
+            mbc-form .form-field input:focus, mbc-form .form-field textarea:focus, mbc-form .form-field select:focus {
+                outline: none; border-color: var(--mbc-form-accent, #667eea);
+            }
+            mbc-form .form-field.has-error input, mbc-form .form-field.has-error textarea, mbc-form .form-field.has-error select {
+                border-color: var(--mbc-form-error, #e53e3e);
+            }
+            mbc-form .field-error { color: var(--mbc-form-error, #e53e3e) !important; }
+            mbc-form .form-field input.calculated-value { background: #f7fafc; font-weight: 600; }
+            mbc-form .radio-group { display: flex; flex-wrap: wrap; gap: 15px; margin-top: 6px; }
+            mbc-form .radio-item { display: flex; align-items: center; gap: 8px; }
+            mbc-form .form-section h3 { margin: 25px 0 5px; color: var(--mbc-form-accent, #667eea); }
+            mbc-form .form-section p { margin: 0 0 15px; color: var(--mbc-form-muted, #718096); }
+            mbc-form .mbc-form-submit, mbc-form .wizard-nav .btn {
+                padding: 10px 24px; font: inherit; font-weight: 600; cursor: pointer;
+                border: none; border-radius: var(--mbc-form-radius, 8px);
+                background: var(--mbc-form-accent, #667eea); color: #fff;
+            }
+            mbc-form .mbc-form-submit:disabled { opacity: 0.6; cursor: wait; }
+            mbc-form .mbc-form-status { margin: 15px 0; color: var(--mbc-form-muted, #718096); }
+            mbc-form .mbc-form-status.mbc-form-error { color: var(--mbc-form-error, #e53e3e); }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+if (!customElements.get('mbc-form')) {
+    customElements.define('mbc-form', MbcForm);
+}
+
+// Export for use in other modules
+window.MbcForm = MbcForm;
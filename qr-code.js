@@ -0,0 +1,420 @@
+/**
+ * QR Code encoder for FLEX-FORM
+ * Turns text (such as a prefilled portal link) into a QR code entirely in the
+ * browser, so printable code sheets need no external QR service. Text is
+ * encoded as UTF-8 in byte mode at the smallest version (1-40) that fits.
+ *
+ *   const qr = QRCode.encode('https://example.com/user-portal.html?form=...', 'M');
+ *   element.innerHTML = QRCode.toSVG(qr);
+ *
+ * Follows ISO/IEC 18004: Reed-Solomon error correction over GF(256),
+ * interleaved blocks, and the mask with the lowest penalty score.
+ */
+class QRCode {
+    /**
+     * Error correction levels; formatBits is the value stored in the format information
+     */
+    static get LEVELS() {
+        return {
+            L: { ordinal: 0, formatBits: 1 },
+            M: { ordinal: 1, formatBits: 0 },
+            Q: { ordinal: 2, formatBits: 3 },
+            H: { ordinal: 3, formatBits: 2 }
+        };
+    }
+
+    /**
+     * Error correction codewords per block, by level then version (index 0 unused)
+     */
+    static get ECC_CODEWORDS_PER_BLOCK() {
+        return [
+            [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        ];
+    }
+
+    /**
+     * Error correction blocks, by level then version (index 0 unused)
+     */
+    static get ERROR_CORRECTION_BLOCKS() {
+        return [
+            [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        ];
+    }
+
+    /**
+     * Returns { version, size, modules } where modules[y][x] is true for a dark module
+     */
+    static encode(text, level = 'M') {
+        const ecl = QRCode.LEVELS[level];
+        if (!ecl) throw new Error(`Unknown error correction level "${level}"`);
+
+        const data = Array.from(new TextEncoder().encode(String(text)));
+        let version = 1;
+        for (; ; version++) {
+            if (version > 40) throw new Error('The text is too long for a QR code');
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + data.length * 8 <= QRCode.numDataCodewords(version, ecl) * 8) break;
+        }
+
+        // Byte mode indicator, character count, then the bytes
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0x4, 4);
+        append(data.length, version <= 9 ? 8 : 16);
+        data.forEach(byte => append(byte, 8));
+
+        // Terminator, byte alignment and alternating pad bytes
+        const capacity = QRCode.numDataCodewords(version, ecl) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const qr = QRCode.createMatrix(version);
+        QRCode.drawFunctionPatterns(qr, ecl);
+        QRCode.drawCodewords(qr, QRCode.addErrorCorrection(codewords, version, ecl));
+
+        // Keep the mask with the lowest penalty; masking twice undoes it
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            QRCode.applyMask(qr, mask);
+            QRCode.drawFormatBits(qr, ecl, mask);
+            const penalty = QRCode.penalty(qr);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            QRCode.applyMask(qr, mask);
+        }
+        QRCode.applyMask(qr, bestMask);
+        QRCode.drawFormatBits(qr, ecl, bestMask);
+
+        return { version: version, size: qr.size, modules: qr.modules };
+    }
+
+    static numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static numDataCodewords(version, ecl) {
+        return Math.floor(QRCode.numRawDataModules(version) / 8) -
+            QRCode.ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * QRCode.ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    }
+
+    /**
+     * Centre coordinates of the alignment patterns, e.g. [6, 22, 38] for version 7
+     */
+    static alignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    static createMatrix(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { version: version, size: size, modules: grid(), isFunction: grid() };
+    }
+
+    static setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    }
+
+    static drawFunctionPatterns(qr, ecl) {
+        const size = qr.size;
+
+        for (let i = 0; i < size; i++) {
+            QRCode.setFunctionModule(qr, 6, i, i % 2 === 0);
+            QRCode.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    QRCode.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = QRCode.alignmentPositions(qr.version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        QRCode.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn once the mask is chosen
+        QRCode.drawFormatBits(qr, ecl, 0);
+        QRCode.drawVersion(qr);
+    }
+
+    static drawFormatBits(qr, ecl, mask) {
+        const data = (ecl.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const size = qr.size;
+
+        // Copy around the top left finder
+        for (let i = 0; i <= 5; i++) QRCode.setFunctionModule(qr, 8, i, bit(i));
+        QRCode.setFunctionModule(qr, 8, 7, bit(6));
+        QRCode.setFunctionModule(qr, 8, 8, bit(7));
+        QRCode.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) QRCode.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        // Copy split between the other two finders, plus the always-dark module
+        for (let i = 0; i < 8; i++) QRCode.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) QRCode.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        QRCode.setFunctionModule(qr, 8, size - 8, true);
+    }
+
+    static drawVersion(qr) {
+        if (qr.version < 7) return;
+
+        let remainder = qr.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (qr.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = qr.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            QRCode.setFunctionModule(qr, a, b, dark);
+            QRCode.setFunctionModule(qr, b, a, dark);
+        }
+    }
+
+    /**
+     * Split data into blocks, append each block's error correction and interleave them
+     */
+    static addErrorCorrection(data, version, ecl) {
+        const blockCount = QRCode.ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+        const eccLength = QRCode.ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+        const rawCodewords = Math.floor(QRCode.numRawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QRCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = QRCode.reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        // The padding byte added to short blocks is skipped
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QRCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+     */
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Place codeword bits in the zigzag order, two columns at a time from the bottom right
+     */
+    static drawCodewords(qr, codewords) {
+        const size = qr.size;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // Skip the vertical timing pattern
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    static applyMask(qr, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && invert(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty score used to pick a mask: long runs, 2x2 blocks, finder-like patterns and dark/light imbalance
+     */
+    static penalty(qr) {
+        const size = qr.size;
+        const modules = qr.modules;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let score = 0;
+        const finderLike = [/10111010000/g, /00001011101/g];
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += 3 + (run - 5);
+                    run = 1;
+                }
+            }
+
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            finderLike.forEach(pattern => {
+                score += 40 * (text.match(pattern) || []).length;
+            });
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        score += 10 * (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+        return score;
+    }
+
+    /**
+     * SVG markup; margin is the quiet zone in modules (4 is the minimum the standard allows)
+     */
+    static toSVG(qr, options = {}) {
+        const margin = options.margin === undefined ? 4 : options.margin;
+        const dimension = qr.size + margin * 2;
+        const path = [];
+
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            });
+        });
+
+        const sizeAttributes = options.pixels ? ` width="${options.pixels}" height="${options.pixels}"` : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}"${sizeAttributes} shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    }
+}
+
+// Export for use in other modules
+window.QRCode = QRCode;
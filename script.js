@@ -3,6 +3,7 @@ class FlexFormBuilder {
     constructor() {
         this.fields = [];
         this.templates = this.loadTemplates();
+        this.currentTemplate = null; // { templateId, name, version } of the loaded template
         this.currentFieldId = 0;
         // Remove old configuration (now handled in databaseConfig above)
         
@@ -17,14 +18,306 @@ class FlexFormBuilder {
             connected: false,
             securityLevel: 'enterprise'
         };
+
+        // Dataverse table the "Create in Dataverse" button targets
+        this.sharepointConnector = new DataverseConnector();
+        this.sharepointConfig = {
+            url: '',
+            tableName: '',
+            entitySetName: '',
+            connected: false
+        };
         
         this.init();
     }
 
     init() {
+        this.addPaletteButtons();
+        this.addLifecycleControls();
+        this.addImportControls();
+        this.addLibraryControls();
+        this.addQrControls();
+        this.addIntegrationControls();
+        this.addKeyControls();
+        this.addAuditControls();
+        this.addAuthControls();
         this.bindEvents();
         this.loadSavedTemplates();
         this.setupDragAndDrop();
+        this.loadRegistry();
+        this.restoreSignIn();
+    }
+
+    addPaletteButtons() {
+        // Field types added after the palette markup was written
+        const extraTypes = [
+            { type: 'tel', icon: 'fas fa-phone', label: 'Phone' },
+            { type: 'url', icon: 'fas fa-link', label: 'Web Address' },
+            { type: 'time', icon: 'fas fa-clock', label: 'Time' },
+            { type: 'datetime-local', icon: 'fas fa-calendar-day', label: 'Date & Time' },
+            { type: 'month', icon: 'fas fa-calendar-alt', label: 'Month' },
+            { type: 'week', icon: 'fas fa-calendar-week', label: 'Week' },
+            { type: 'rating', icon: 'fas fa-star', label: 'Rating' },
+            { type: 'yesno', icon: 'fas fa-toggle-on', label: 'Yes / No / N/A' },
+            { type: 'multiselect', icon: 'fas fa-tasks', label: 'Multi-select' },
+            { type: 'info', icon: 'fas fa-info-circle', label: 'Heading / Info' },
+            { type: 'section', icon: 'fas fa-layer-group', label: 'Section / Page Break' },
+            { type: 'group', icon: 'fas fa-clone', label: 'Repeatable Group' },
+            { type: 'calculated', icon: 'fas fa-calculator', label: 'Calculated' }
+        ];
+        const container = document.querySelector('.field-buttons');
+        if (!container) return;
+
+        extraTypes.forEach(({ type, icon, label }) => {
+            if (container.querySelector(`.field-btn[data-type="${type}"]`)) return;
+
+            const button = document.createElement('button');
+            button.className = 'field-btn';
+            button.dataset.type = type;
+            button.innerHTML = `<i class="${icon}"></i> ${label}`;
+            container.appendChild(button);
+        });
+    }
+
+    addLifecycleControls() {
+        const container = document.querySelector('.template-controls');
+        if (!container || document.getElementById('templateLifecycle')) return;
+
+        const lifecycle = document.createElement('div');
+        lifecycle.id = 'templateLifecycle';
+        lifecycle.className = 'template-lifecycle';
+        lifecycle.innerHTML = `
+            <div class="template-status" id="templateStatus"></div>
+            <div class="template-lifecycle-actions">
+                <button class="action-btn save" id="publishTemplate"><i class="fas fa-upload"></i> Publish</button>
+                <button class="action-btn clear" id="retireTemplate"><i class="fas fa-archive"></i> Retire</button>
+                <button class="action-btn load" id="duplicateTemplate"><i class="fas fa-copy"></i> Duplicate</button>
+                <button class="action-btn preview" id="previewInPortal"><i class="fas fa-eye"></i> Preview in Portal</button>
+                <button class="action-btn clear" id="deleteTemplate"><i class="fas fa-trash"></i> Delete</button>
+            </div>
+        `;
+        container.appendChild(lifecycle);
+        this.updateLifecycleControls();
+    }
+
+    /**
+     * Lint fields and list the result under the template controls
+     */
+    lintTemplate(fields, action) {
+        const result = TemplateLinter.lint(fields, this.secureConnector);
+        const container = document.querySelector('.template-controls');
+        let report = document.getElementById('templateLint');
+
+        if (!report && container) {
+            report = document.createElement('div');
+            report.id = 'templateLint';
+            report.className = 'template-lint';
+            container.appendChild(report);
+        }
+        if (!report) return result;
+
+        const issues = [
+            ...result.errors.map(issue => ({ ...issue, level: 'error' })),
+            ...result.warnings.map(issue => ({ ...issue, level: 'warning' }))
+        ];
+        if (issues.length === 0) {
+            report.style.display = 'none';
+            report.innerHTML = '';
+            return result;
+        }
+
+        report.style.display = 'block';
+        report.innerHTML = `
+            <div class="template-lint-header">
+                <strong>${action}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)</strong>
+                <button type="button" class="template-lint-close" title="Dismiss">&times;</button>
+            </div>
+            <ul>
+                ${issues.map(issue => `<li class="lint-${issue.level}">${this.escapeAttr(issue.message)}</li>`).join('')}
+            </ul>
+        `;
+        report.querySelector('.template-lint-close').addEventListener('click', () => {
+            report.style.display = 'none';
+        });
+        return result;
+    }
+
+    addImportControls() {
+        const container = document.querySelector('.template-actions');
+        if (!container || document.getElementById('importForm')) return;
+
+        container.insertAdjacentHTML('beforeend', `
+            <button class="action-btn load" id="importForm"><i class="fas fa-file-import"></i> Import JSON</button>
+            <button class="action-btn load" id="importFolder"><i class="fas fa-folder-open"></i> Import Folder</button>
+            <input type="file" id="importFormFile" accept=".json,application/json" multiple hidden>
+            <input type="file" id="importFolderFile" webkitdirectory multiple hidden>
+        `);
+    }
+
+    addLibraryControls() {
+        const container = document.querySelector('.template-actions');
+        if (!container || document.getElementById('fieldLibrary')) return;
+
+        container.insertAdjacentHTML('beforeend', `
+            <button class="action-btn load" id="fieldLibrary"><i class="fas fa-book"></i> Field Library</button>
+        `);
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal" id="fieldLibraryModal">
+                <div class="modal-content large">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-book"></i> Field Library</h3>
+                        <span class="close">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="snippet-source" id="snippetSource"></div>
+                        <div class="snippet-list" id="snippetList"></div>
+                        <div id="snippetEditor">
+                            <h4 class="snippet-heading">Save canvas fields as a snippet</h4>
+                            <div class="snippet-choices" id="snippetFieldChoices"></div>
+                            <div class="config-group">
+                                <input type="text" id="snippetName" placeholder="Snippet name, e.g. Building / Room">
+                            </div>
+                            <div class="config-group">
+                                <input type="text" id="snippetDescription" placeholder="Description (optional)">
+                            </div>
+                        </div>
+                        <p class="snippet-empty" id="snippetAdminOnly">Sign in as an admin to save or delete snippets for everyone.</p>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="action-btn save" id="saveSnippet"><i class="fas fa-save"></i> Save Snippet</button>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+
+    addQrControls() {
+        const container = document.querySelector('.template-actions');
+        if (!container || document.getElementById('qrCodes')) return;
+
+        container.insertAdjacentHTML('beforeend', `
+            <button class="action-btn load" id="qrCodes"><i class="fas fa-qrcode"></i> QR Codes</button>
+        `);
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal" id="qrModal">
+                <div class="modal-content large">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-qrcode"></i> Location QR Codes</h3>
+                        <span class="close">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="qr-mapping">
+                            <div class="config-group">
+                                <label for="qrBuildingField">Building field</label>
+                                <select id="qrBuildingField"></select>
+                            </div>
+                            <div class="config-group">
+                                <label for="qrRoomField">Room field</label>
+                                <select id="qrRoomField"></select>
+                            </div>
+                            <div class="config-group">
+                                <label for="qrAssetField">Asset field</label>
+                                <select id="qrAssetField"></select>
+                            </div>
+                        </div>
+                        <div class="config-group">
+                            <label for="qrLocations">Locations, one per line: building, room, asset</label>
+                            <textarea id="qrLocations" rows="6" placeholder="B12, 104, PRESS-3&#10;B12, 105&#10;B14, 201, OVEN-1"></textarea>
+                        </div>
+                        <div class="config-group">
+                            <label><input type="checkbox" id="qrLock" checked> Lock the location fields on the form</label>
+                        </div>
+                        <div id="qrWarnings" class="template-lint" style="display: none;"></div>
+                        <div id="qrSheet" class="qr-sheet"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="action-btn load" id="generateQrCodes"><i class="fas fa-sync"></i> Generate</button>
+                        <button class="action-btn save" id="printQrCodes" disabled><i class="fas fa-print"></i> Print Sheet</button>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+
+    addIntegrationControls() {
+        const database = document.querySelector('.database-connection');
+        if (!database || document.getElementById('dataverseConnection')) return;
+
+        database.insertAdjacentHTML('afterend', `
+            <div class="database-connection" id="dataverseConnection">
+                <h3><i class="fas fa-database"></i> Dataverse</h3>
+                <input type="url" id="dataverseUrl" placeholder="https://yourorg.crm.dynamics.com or ${DataverseMock.URL}">
+                <input type="password" id="dataverseToken" placeholder="Access token (blank for the mock or a web resource)">
+                <input type="text" id="dataversePrefix" placeholder="Publisher prefix (default: new)">
+                <input type="text" id="dataverseTable" placeholder="Table name, e.g. gemba_request">
+                <button class="action-btn load" id="connectDataverse"><i class="fas fa-plug"></i> Connect to Dataverse</button>
+                <button class="action-btn save" id="submitToSharePoint"><i class="fas fa-table"></i> Create in Dataverse</button>
+                <div id="dataverseStatus"></div>
+            </div>
+            <div class="database-connection" id="standaloneExport">
+                <h3><i class="fas fa-file-code"></i> Standalone Form</h3>
+                <select id="standaloneTarget">
+                    ${Object.entries(FormSubmitter.TARGETS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                </select>
+                <input type="url" id="standaloneWebhookUrl" placeholder="Webhook URL, e.g. https://example.com/hooks/forms" style="display: none;">
+                <button class="action-btn save" id="exportStandalone"><i class="fas fa-download"></i> Export HTML Form</button>
+            </div>
+        `);
+    }
+
+    addAuthControls() {
+        const database = document.querySelector('.database-connection');
+        if (!database || document.getElementById('signInPanel')) return;
+
+        database.insertAdjacentHTML('afterend', `
+            <div class="database-connection" id="signInPanel">
+                <h3><i class="fas fa-user-lock"></i> Sign In</h3>
+                <div id="signInForm">
+                    <input type="email" id="signInEmail" placeholder="you@company.com" autocomplete="username">
+                    <input type="password" id="signInPassword" placeholder="Password" autocomplete="current-password">
+                    <button class="action-btn load" id="signIn"><i class="fas fa-sign-in-alt"></i> Sign In</button>
+                    <button class="action-btn clear" id="sendSignInLink"><i class="fas fa-envelope"></i> Email Sign-in Link</button>
+                </div>
+                <button class="action-btn clear" id="signOut" style="display: none;"><i class="fas fa-sign-out-alt"></i> Sign Out</button>
+                <div id="signInStatus"></div>
+            </div>
+        `);
+    }
+
+    addAuditControls() {
+        const database = document.querySelector('.database-connection');
+        if (!database || document.getElementById('auditTrail')) return;
+
+        database.insertAdjacentHTML('afterend', `
+            <div class="database-connection" id="auditTrail">
+                <h3><i class="fas fa-clipboard-check"></i> Audit Trail</h3>
+                <input type="text" id="auditSubmissionTable" placeholder="Submission table to cross-check, e.g. gemba_requests" value="gemba_requests">
+                <button class="action-btn load" id="verifyAuditTrail"><i class="fas fa-check-double"></i> Verify Audit Trail</button>
+                <div id="auditStatus"></div>
+            </div>
+        `);
+    }
+
+    addKeyControls() {
+        const database = document.querySelector('.database-connection');
+        if (!database || document.getElementById('encryptionKeys')) return;
+
+        database.insertAdjacentHTML('afterend', `
+            <div class="database-connection" id="encryptionKeys">
+                <h3><i class="fas fa-key"></i> Encryption Keys</h3>
+                <select id="kekSource">
+                    <option value="passphrase">Key passphrase</option>
+                    <option value="server">Key server</option>
+                </select>
+                <input type="password" id="keyPassphrase" placeholder="Key passphrase (12+ characters)" autocomplete="off">
+                <input type="url" id="kekServerUrl" placeholder="https://yourproject.supabase.co/functions/v1/encryption-kek" style="display: none;">
+                <button class="action-btn load" id="unlockKeys"><i class="fas fa-unlock"></i> Unlock Keys</button>
+                <button class="action-btn save" id="rotateKey"><i class="fas fa-sync"></i> Create / Rotate Key</button>
+                <button class="action-btn clear" id="reencryptTable"><i class="fas fa-redo"></i> Re-encrypt Table</button>
+                <button class="action-btn clear" id="reindexTable"><i class="fas fa-search"></i> Rebuild Search Index</button>
+                <div id="keyStatus"></div>
+            </div>
+        `);
     }
 
     bindEvents() {
@@ -40,10 +333,62 @@ class FlexFormBuilder {
         document.getElementById('saveTemplate').addEventListener('click', () => this.saveTemplate());
         document.getElementById('loadTemplate').addEventListener('click', () => this.loadTemplate());
         document.getElementById('clearForm').addEventListener('click', () => this.clearForm());
+        document.getElementById('publishTemplate').addEventListener('click', () => this.publishTemplate());
+        document.getElementById('retireTemplate').addEventListener('click', () => this.retireTemplate());
+        document.getElementById('duplicateTemplate').addEventListener('click', () => this.duplicateTemplate());
+        document.getElementById('previewInPortal').addEventListener('click', () => this.previewInPortal());
+        document.getElementById('deleteTemplate').addEventListener('click', () => this.deleteTemplate());
+        document.getElementById('importForm').addEventListener('click', () => document.getElementById('importFormFile').click());
+        document.getElementById('importFolder').addEventListener('click', () => document.getElementById('importFolderFile').click());
+        document.getElementById('fieldLibrary').addEventListener('click', () => this.openFieldLibrary());
+        document.getElementById('saveSnippet').addEventListener('click', () => this.saveSnippet());
+        document.getElementById('qrCodes').addEventListener('click', () => this.openQrGenerator());
+        document.getElementById('generateQrCodes').addEventListener('click', () => this.generateQrCodes());
+        document.getElementById('printQrCodes').addEventListener('click', () => this.printQrSheet());
+        ['importFormFile', 'importFolderFile'].forEach(id => {
+            document.getElementById(id).addEventListener('change', async (e) => {
+                await this.importFiles(Array.from(e.target.files));
+                e.target.value = '';
+            });
+        });
 
-        // Dataverse controls
+        // Database controls
         document.getElementById('connectDatabase').addEventListener('click', () => this.connectToDatabase());
 
+        // Dataverse controls
+        if (document.getElementById('dataverseConnection')) {
+            document.getElementById('connectDataverse').addEventListener('click', () => this.connectToDataverse());
+            document.getElementById('submitToSharePoint').addEventListener('click', () => this.submitToSharePoint());
+            document.getElementById('standaloneTarget').addEventListener('change', (e) => {
+                document.getElementById('standaloneWebhookUrl').style.display = e.target.value === 'webhook' ? '' : 'none';
+            });
+            document.getElementById('exportStandalone').addEventListener('click', () => this.exportStandaloneForm());
+        }
+
+        // Sign-in controls
+        if (document.getElementById('signInPanel')) {
+            document.getElementById('signIn').addEventListener('click', () => this.signIn());
+            document.getElementById('sendSignInLink').addEventListener('click', () => this.sendSignInLink());
+            document.getElementById('signOut').addEventListener('click', () => this.signOut());
+        }
+
+        // Audit trail controls
+        if (document.getElementById('auditTrail')) {
+            document.getElementById('verifyAuditTrail').addEventListener('click', () => this.verifyAuditTrail());
+        }
+
+        // Encryption key controls
+        if (document.getElementById('encryptionKeys')) {
+            document.getElementById('kekSource').addEventListener('change', (e) => {
+                document.getElementById('keyPassphrase').style.display = e.target.value === 'passphrase' ? '' : 'none';
+                document.getElementById('kekServerUrl').style.display = e.target.value === 'server' ? '' : 'none';
+            });
+            document.getElementById('unlockKeys').addEventListener('click', () => this.unlockEncryptionKeys());
+            document.getElementById('rotateKey').addEventListener('click', () => this.rotateEncryptionKey());
+            document.getElementById('reencryptTable').addEventListener('click', () => this.reencryptTable());
+            document.getElementById('reindexTable').addEventListener('click', () => this.reindexTable());
+        }
+
         // Form actions
         document.getElementById('previewForm').addEventListener('click', () => this.previewForm());
         document.getElementById('exportForm').addEventListener('click', () => this.exportForm());
@@ -82,6 +427,7 @@ class FlexFormBuilder {
     openFieldConfig(fieldType) {
         this.currentFieldType = fieldType;
         this.currentFieldId = Date.now(); // Generate unique ID
+        this.editingField = false;
         
         // Reset form
         document.getElementById('fieldLabel').value = '';
@@ -92,7 +438,7 @@ class FlexFormBuilder {
 
         // Show/hide options config for select, radio, checkbox
         const optionsConfig = document.getElementById('optionsConfig');
-        if (['select', 'radio', 'checkbox'].includes(fieldType)) {
+        if (this.hasOptions(fieldType)) {
             optionsConfig.style.display = 'block';
         } else {
             optionsConfig.style.display = 'none';
@@ -102,21 +448,47 @@ class FlexFormBuilder {
         document.getElementById('fieldLabel').value = this.getDefaultLabel(fieldType);
         document.getElementById('fieldName').value = this.getDefaultName(fieldType);
         document.getElementById('fieldPlaceholder').value = this.getDefaultPlaceholder(fieldType);
+        if (fieldType === 'yesno') {
+            document.getElementById('fieldOptions').value = FormWidgets.yesNoOptions({}).join('\n');
+        }
 
+        this.renderValidationConfig(null, fieldType);
+        this.renderRatingConfig(null, fieldType);
+        this.renderLookupConfig(null, fieldType);
+        this.renderGroupConfig(null, fieldType);
+        this.renderCalculatedConfig(null, fieldType);
+        this.renderRuleConfig(null);
         this.openModal('fieldConfigModal');
     }
 
+    hasOptions(fieldType) {
+        return ['select', 'radio', 'checkbox', 'multiselect', 'yesno'].includes(fieldType);
+    }
+
     getDefaultLabel(fieldType) {
         const labels = {
             text: 'Text Input',
             email: 'Email Address',
             number: 'Number',
             date: 'Date',
+            tel: 'Phone Number',
+            url: 'Website',
+            time: 'Time',
+            'datetime-local': 'Date & Time',
+            month: 'Month',
+            week: 'Week',
+            rating: 'Rating',
+            yesno: 'Yes / No',
+            multiselect: 'Multi-select',
+            info: 'Information',
             select: 'Dropdown',
             radio: 'Radio Selection',
             checkbox: 'Checkbox',
             textarea: 'Text Area',
-            file: 'File Upload'
+            file: 'File Upload',
+            section: 'New Section',
+            group: 'Repeatable Group',
+            calculated: 'Calculated Value'
         };
         return labels[fieldType] || 'Field';
     }
@@ -131,8 +503,13 @@ class FlexFormBuilder {
             email: 'Enter email address...',
             number: 'Enter number...',
             date: 'Select date...',
+            tel: 'Enter phone number...',
+            url: 'https://',
             textarea: 'Enter your message...',
-            file: 'Choose file...'
+            file: 'Choose file...',
+            info: 'Text shown to the person filling in the form',
+            section: 'Optional description shown under the section title',
+            group: 'Add item'
         };
         return placeholders[fieldType] || '';
     }
@@ -164,10 +541,492 @@ class FlexFormBuilder {
             options: options ? options.split('\n').map(opt => opt.trim()).filter(opt => opt) : []
         };
 
-        this.addFieldToForm(field);
+        const validation = this.readValidationConfig();
+        if (validation === false) return;
+        if (validation) {
+            field.validation = validation;
+        }
+
+        if (field.type === 'rating') {
+            Object.assign(field, this.readRatingConfig());
+        }
+
+        if (field.type === 'info') {
+            field.required = false;
+        }
+
+        const lookup = this.readLookupConfig(field.type, name);
+        if (lookup === false) return;
+        if (lookup) {
+            field.lookup = lookup;
+        }
+
+        if (field.type === 'group') {
+            const group = this.readGroupConfig();
+            if (!group) return;
+            Object.assign(field, group);
+        }
+
+        if (field.type === 'calculated') {
+            const formula = this.readCalculatedConfig(name);
+            if (formula === null) return;
+            field.formula = formula;
+            field.required = false;
+        }
+
+        const rules = {
+            showWhen: this.readRuleConfig('showWhen'),
+            requiredWhen: this.readRuleConfig('requiredWhen')
+        };
+        if (rules.showWhen || rules.requiredWhen) {
+            field.rules = rules;
+        }
+
+        // Name clashes are caught here; everything else is linted on save, export and publish
+        const candidates = this.fields.filter(f => f.id !== field.id).concat(field);
+        const nameError = TemplateLinter.lint(candidates, this.secureConnector).errors
+            .find(issue => issue.field === field.name && TemplateLinter.NAME_CODES.includes(issue.code));
+        if (nameError) {
+            this.showMessage(nameError.message, 'error');
+            return;
+        }
+
+        if (this.editingField) {
+            this.updateField(field);
+        } else {
+            this.addFieldToForm(field);
+        }
         this.closeModal('fieldConfigModal');
     }
 
+    updateField(field) {
+        const index = this.fields.findIndex(f => f.id === field.id);
+        if (index === -1) {
+            this.addFieldToForm(field);
+            return;
+        }
+
+        // Keep rules and formulas on other fields pointing at this one when it is renamed
+        const previousName = this.fields[index].name;
+        if (previousName !== field.name) {
+            this.fields.forEach(other => {
+                if (other.type === 'calculated' && other.formula) {
+                    try {
+                        other.formula = FormCalculator.renameField(other.formula, previousName, field.name);
+                    } catch (error) {
+                        console.warn(`Could not update formula on ${other.name}:`, error.message);
+                    }
+                }
+                if (other.lookup && other.lookup.dependsOn === previousName) {
+                    other.lookup.dependsOn = field.name;
+                }
+                if (!other.rules) return;
+                ['showWhen', 'requiredWhen'].forEach(key => {
+                    if (other.rules[key] && other.rules[key].field === previousName) {
+                        other.rules[key].field = field.name;
+                    }
+                });
+            });
+        }
+
+        this.fields[index] = { ...this.fields[index], ...field };
+        ['rules', 'validation', 'minItems', 'maxItems', 'lookup'].forEach(key => {
+            if (!field[key]) {
+                delete this.fields[index][key];
+            }
+        });
+        this.renderAllFields();
+    }
+
+    renderValidationConfig(field, fieldType) {
+        let validationConfig = document.getElementById('validationConfig');
+        if (!validationConfig) {
+            validationConfig = document.createElement('div');
+            validationConfig.id = 'validationConfig';
+            validationConfig.className = 'config-group validation-config';
+            document.querySelector('#fieldConfigModal .modal-body').appendChild(validationConfig);
+        }
+
+        const supported = FormValidator.RULES_BY_TYPE[fieldType] || [];
+        if (supported.length === 0) {
+            validationConfig.style.display = 'none';
+            validationConfig.innerHTML = '';
+            return;
+        }
+
+        const rules = (field && field.validation) || {};
+        const isDate = ['date', 'datetime-local', 'time', 'month', 'week'].includes(fieldType);
+        const inputs = [];
+
+        if (supported.includes('min')) {
+            inputs.push(`<input type="${isDate ? fieldType : 'number'}" id="validationMin" placeholder="Minimum" title="Minimum value" value="${this.escapeAttr(rules.min)}">`);
+            inputs.push(`<input type="${isDate ? fieldType : 'number'}" id="validationMax" placeholder="Maximum" title="Maximum value" value="${this.escapeAttr(rules.max)}">`);
+        }
+        if (supported.includes('minLength')) {
+            inputs.push(`<input type="number" min="0" id="validationMinLength" placeholder="Min length" value="${this.escapeAttr(rules.minLength)}">`);
+            inputs.push(`<input type="number" min="0" id="validationMaxLength" placeholder="Max length" value="${this.escapeAttr(rules.maxLength)}">`);
+        }
+        if (supported.includes('pattern')) {
+            inputs.push(`<input type="text" id="validationPattern" placeholder="Pattern (regex), e.g. GIR-\\d{4}-\\d{3}" value="${this.escapeAttr(rules.pattern)}">`);
+            inputs.push(`<input type="text" id="validationPatternMessage" placeholder="Message when pattern does not match" value="${this.escapeAttr(rules.patternMessage)}">`);
+        }
+        if (supported.includes('fileTypes')) {
+            inputs.push(`<input type="text" id="validationFileTypes" placeholder="Allowed file types, e.g. .pdf, .docx, image/*" value="${this.escapeAttr((rules.fileTypes || []).join(', '))}">`);
+        }
+        if (supported.includes('notInFuture')) {
+            inputs.push(`<label class="validation-check"><input type="checkbox" id="validationNotInFuture" ${rules.notInFuture ? 'checked' : ''}> Must not be in the future</label>`);
+        }
+
+        validationConfig.style.display = 'block';
+        validationConfig.innerHTML = `
+            <label>Validation Rules</label>
+            <div class="validation-grid">${inputs.join('')}</div>
+        `;
+    }
+
+    readValidationConfig() {
+        const read = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        const validation = {};
+
+        ['min', 'max'].forEach(key => {
+            const value = read(`validation${key.charAt(0).toUpperCase() + key.slice(1)}`);
+            if (value !== '') validation[key] = this.currentFieldType === 'number' ? Number(value) : value;
+        });
+        ['minLength', 'maxLength'].forEach(key => {
+            const value = read(`validation${key.charAt(0).toUpperCase() + key.slice(1)}`);
+            if (value !== '') validation[key] = parseInt(value, 10);
+        });
+
+        const pattern = read('validationPattern');
+        if (pattern) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                this.showMessage(`Invalid validation pattern: ${error.message}`, 'error');
+                return false;
+            }
+            validation.pattern = pattern;
+            const patternMessage = read('validationPatternMessage');
+            if (patternMessage) validation.patternMessage = patternMessage;
+        }
+
+        const fileTypes = read('validationFileTypes');
+        if (fileTypes) {
+            validation.fileTypes = fileTypes.split(',').map(t => t.trim()).filter(t => t);
+        }
+
+        const notInFuture = document.getElementById('validationNotInFuture');
+        if (notInFuture && notInFuture.checked) {
+            validation.notInFuture = true;
+        }
+
+        if (validation.min !== undefined && validation.max !== undefined && validation.min > validation.max) {
+            this.showMessage('Validation minimum cannot be greater than the maximum', 'error');
+            return false;
+        }
+        if (validation.minLength !== undefined && validation.maxLength !== undefined && validation.minLength > validation.maxLength) {
+            this.showMessage('Minimum length cannot be greater than the maximum length', 'error');
+            return false;
+        }
+
+        return Object.keys(validation).length > 0 ? validation : null;
+    }
+
+    renderRatingConfig(field, fieldType) {
+        let ratingConfig = document.getElementById('ratingConfig');
+        if (!ratingConfig) {
+            ratingConfig = document.createElement('div');
+            ratingConfig.id = 'ratingConfig';
+            ratingConfig.className = 'config-group rating-config';
+            document.querySelector('#fieldConfigModal .modal-body').appendChild(ratingConfig);
+        }
+
+        if (fieldType !== 'rating') {
+            ratingConfig.style.display = 'none';
+            ratingConfig.innerHTML = '';
+            return;
+        }
+
+        const max = FormWidgets.ratingMax(field || {});
+        const style = (field && field.ratingStyle) || 'stars';
+        const maxOptions = [3, 4, 5, 6, 7, 8, 9, 10]
+            .map(n => `<option value="${n}" ${n === max ? 'selected' : ''}>1 to ${n}</option>`).join('');
+
+        ratingConfig.style.display = 'block';
+        ratingConfig.innerHTML = `
+            <label>Rating</label>
+            <div class="validation-grid">
+                <select id="ratingMax" title="Scale">${maxOptions}</select>
+                <select id="ratingStyle" title="Style">
+                    <option value="stars" ${style === 'stars' ? 'selected' : ''}>Stars</option>
+                    <option value="scale" ${style === 'scale' ? 'selected' : ''}>Numbered scale</option>
+                </select>
+            </div>
+        `;
+    }
+
+    readRatingConfig() {
+        return {
+            max: parseInt(document.getElementById('ratingMax').value, 10),
+            ratingStyle: document.getElementById('ratingStyle').value
+        };
+    }
+
+    renderLookupConfig(field, fieldType) {
+        let lookupConfig = document.getElementById('lookupConfig');
+        if (!lookupConfig) {
+            lookupConfig = document.createElement('div');
+            lookupConfig.id = 'lookupConfig';
+            lookupConfig.className = 'config-group lookup-config';
+            document.querySelector('#fieldConfigModal .modal-body').appendChild(lookupConfig);
+        }
+
+        if (!FormLookups.OPTION_TYPES.includes(fieldType)) {
+            lookupConfig.style.display = 'none';
+            lookupConfig.innerHTML = '';
+            return;
+        }
+
+        const lookup = (field && field.lookup) || {};
+        const parentOptions = this.fields
+            .filter(f => f.id !== this.currentFieldId && !FormWidgets.LAYOUT_TYPES.includes(f.type))
+            .map(f => `<option value="${this.escapeAttr(f.name)}" ${f.name === lookup.dependsOn ? 'selected' : ''}>${this.escapeAttr(f.label)}</option>`)
+            .join('');
+
+        lookupConfig.style.display = 'block';
+        lookupConfig.innerHTML = `
+            <label>Options from database (optional)</label>
+            <div class="validation-grid">
+                <input type="text" id="lookupTable" placeholder="Table or view, e.g. departments" value="${this.escapeAttr(lookup.table)}">
+                <input type="text" id="lookupColumn" placeholder="Column, e.g. name" value="${this.escapeAttr(lookup.column)}">
+                <input type="text" id="lookupFilterColumn" placeholder="Filter column, e.g. building" value="${this.escapeAttr(lookup.filterColumn)}">
+                <select id="lookupDependsOn" title="Only show rows matching this field">
+                    <option value="">Not dependent on another field</option>
+                    ${parentOptions}
+                </select>
+            </div>
+            <small>The options list above is used when the table cannot be reached and nothing is cached yet.</small>
+        `;
+    }
+
+    readLookupConfig(fieldType, name) {
+        if (!FormLookups.OPTION_TYPES.includes(fieldType)) return null;
+
+        const table = document.getElementById('lookupTable').value.trim();
+        if (!table) return null;
+
+        const lookup = {
+            table: table,
+            column: document.getElementById('lookupColumn').value.trim() || 'name'
+        };
+        const filterColumn = document.getElementById('lookupFilterColumn').value.trim();
+        const dependsOn = document.getElementById('lookupDependsOn').value;
+        if (filterColumn) lookup.filterColumn = filterColumn;
+        if (dependsOn) lookup.dependsOn = dependsOn;
+
+        const error = FormLookups.validateLookup(lookup) || (dependsOn === name ? 'a field cannot depend on itself' : '');
+        if (error) {
+            this.showMessage(`Lookup: ${error}`, 'error');
+            return false;
+        }
+        return lookup;
+    }
+
+    renderGroupConfig(field, fieldType) {
+        let groupConfig = document.getElementById('groupConfig');
+        if (!groupConfig) {
+            groupConfig = document.createElement('div');
+            groupConfig.id = 'groupConfig';
+            groupConfig.className = 'config-group group-config';
+            document.querySelector('#fieldConfigModal .modal-body').appendChild(groupConfig);
+        }
+
+        if (fieldType !== 'group') {
+            groupConfig.style.display = 'none';
+            groupConfig.innerHTML = '';
+            return;
+        }
+
+        const group = field || {};
+        groupConfig.style.display = 'block';
+        groupConfig.innerHTML = `
+            <label>Fields in each item</label>
+            <textarea id="groupChildren" rows="5" placeholder="One per line: Label | type | required | option 1, option 2">${this.escapeAttr(this.formatGroupChildren(group.children || []))}</textarea>
+            <small>Types: ${FormRepeater.CHILD_TYPES.join(', ')}. The placeholder above is used as the add button text.</small>
+            <div class="validation-grid">
+                <input type="number" min="0" id="groupMinItems" placeholder="Min items" value="${this.escapeAttr(group.minItems)}">
+                <input type="number" min="1" id="groupMaxItems" placeholder="Max items" value="${this.escapeAttr(group.maxItems)}">
+            </div>
+        `;
+    }
+
+    formatGroupChildren(children) {
+        return children.map(child => {
+            const parts = [child.label, child.type, child.required ? 'required' : ''];
+            if (child.options && child.options.length) parts.push(child.options.join(', '));
+            return parts.join(' | ').replace(/( \| )+$/, '');
+        }).join('\n');
+    }
+
+    readGroupConfig() {
+        const lines = document.getElementById('groupChildren').value.split('\n').map(l => l.trim()).filter(l => l);
+        const previous = (this.fields.find(f => f.id === this.currentFieldId) || {}).children || [];
+        const children = [];
+
+        for (const line of lines) {
+            const [label, type = 'text', required = '', options = ''] = line.split('|').map(part => part.trim());
+            if (!FormRepeater.CHILD_TYPES.includes(type)) {
+                this.showMessage(`Unsupported type "${type}" in group field "${label}"`, 'error');
+                return null;
+            }
+
+            // Keep names stable when an existing child is edited, so stored data still lines up
+            const existing = previous.find(c => c.label === label);
+            const name = existing ? existing.name : label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+            if (!name || children.some(c => c.name === name)) {
+                this.showMessage(`Group field "${label}" needs a unique label`, 'error');
+                return null;
+            }
+
+            children.push({
+                type: type,
+                label: label,
+                name: name,
+                placeholder: existing ? existing.placeholder || '' : '',
+                required: required.toLowerCase() === 'required',
+                options: options ? options.split(',').map(opt => opt.trim()).filter(opt => opt) : []
+            });
+        }
+
+        if (children.length === 0) {
+            this.showMessage('A repeatable group needs at least one field', 'error');
+            return null;
+        }
+
+        const minItems = document.getElementById('groupMinItems').value.trim();
+        const maxItems = document.getElementById('groupMaxItems').value.trim();
+        const group = {
+            children: children,
+            addLabel: document.getElementById('fieldPlaceholder').value.trim() || 'Add item'
+        };
+        if (minItems !== '') group.minItems = parseInt(minItems, 10);
+        if (maxItems !== '') group.maxItems = parseInt(maxItems, 10);
+
+        if (group.minItems !== undefined && group.maxItems !== undefined && group.minItems > group.maxItems) {
+            this.showMessage('Minimum items cannot be greater than the maximum', 'error');
+            return null;
+        }
+
+        return group;
+    }
+
+    renderCalculatedConfig(field, fieldType) {
+        let calculatedConfig = document.getElementById('calculatedConfig');
+        if (!calculatedConfig) {
+            calculatedConfig = document.createElement('div');
+            calculatedConfig.id = 'calculatedConfig';
+            calculatedConfig.className = 'config-group calculated-config';
+            document.querySelector('#fieldConfigModal .modal-body').appendChild(calculatedConfig);
+        }
+
+        if (fieldType !== 'calculated') {
+            calculatedConfig.style.display = 'none';
+            calculatedConfig.innerHTML = '';
+            return;
+        }
+
+        const names = this.fields
+            .filter(f => f.id !== this.currentFieldId && !FormWidgets.LAYOUT_TYPES.includes(f.type))
+            .map(f => `<code>${this.escapeAttr(f.name)}</code>`);
+
+        calculatedConfig.style.display = 'block';
+        calculatedConfig.innerHTML = `
+            <label>Formula</label>
+            <textarea id="calculatedFormula" rows="3" placeholder='if(safety_question == "Yes", "Significant", "Non-Significant")'>${this.escapeAttr(field && field.formula)}</textarea>
+            <small>
+                Operators: + - * / % == != &lt; &gt; and or not. Functions: ${FormCalculator.FUNCTIONS.join(', ')}.
+                e.g. <code>datediff(detection_date, occurrence_date, "days")</code>,
+                <code>lookup(priority, {"High": 3, "Low": 1}, 0)</code>
+            </small>
+            <div class="formula-fields">${names.join(' ') || 'Add other fields to use them in the formula'}</div>
+        `;
+    }
+
+    readCalculatedConfig(name) {
+        const formula = document.getElementById('calculatedFormula').value.trim();
+        const fieldNames = this.fields.filter(f => f.id !== this.currentFieldId && !FormWidgets.LAYOUT_TYPES.includes(f.type)).map(f => f.name);
+        const error = FormCalculator.validateFormula(formula, fieldNames, name);
+
+        if (error) {
+            this.showMessage(`Formula error: ${error}`, 'error');
+            return null;
+        }
+        return formula;
+    }
+
+    renderRuleConfig(field) {
+        let ruleConfig = document.getElementById('ruleConfig');
+        if (!ruleConfig) {
+            ruleConfig = document.createElement('div');
+            ruleConfig.id = 'ruleConfig';
+            ruleConfig.className = 'config-group rule-config';
+            document.querySelector('#fieldConfigModal .modal-body').appendChild(ruleConfig);
+        }
+
+        const otherFields = this.fields.filter(f => f.id !== this.currentFieldId);
+        const rules = (field && field.rules) || {};
+
+        ruleConfig.innerHTML = `
+            <label>Conditional Rules</label>
+            ${this.generateRuleRowHTML('showWhen', 'Show only when', otherFields, rules.showWhen)}
+            ${this.generateRuleRowHTML('requiredWhen', 'Required only when', otherFields, rules.requiredWhen)}
+        `;
+    }
+
+    generateRuleRowHTML(ruleKey, title, otherFields, condition) {
+        const current = condition || {};
+        const fieldOptions = otherFields.map(f =>
+            `<option value="${this.escapeAttr(f.name)}" ${f.name === current.field ? 'selected' : ''}>${this.escapeAttr(f.label)} (${this.escapeAttr(f.name)})</option>`
+        ).join('');
+        const operatorOptions = Object.entries(FormRules.OPERATORS).map(([key, text]) =>
+            `<option value="${key}" ${key === current.operator ? 'selected' : ''}>${text}</option>`
+        ).join('');
+
+        return `
+            <div class="rule-row">
+                <span class="rule-title">${title}</span>
+                <select id="${ruleKey}Field">
+                    <option value="">${ruleKey === 'showWhen' ? 'Always show' : 'Use Required checkbox'}</option>
+                    ${fieldOptions}
+                </select>
+                <select id="${ruleKey}Operator">${operatorOptions}</select>
+                <input type="text" id="${ruleKey}Value" placeholder="Value" value="${this.escapeAttr(current.value || '')}">
+            </div>
+        `;
+    }
+
+    readRuleConfig(ruleKey) {
+        const fieldSelect = document.getElementById(`${ruleKey}Field`);
+        if (!fieldSelect || !fieldSelect.value) return null;
+
+        return {
+            field: fieldSelect.value,
+            operator: document.getElementById(`${ruleKey}Operator`).value,
+            value: document.getElementById(`${ruleKey}Value`).value.trim()
+        };
+    }
+
+    escapeAttr(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     addFieldToForm(field) {
         this.fields.push(field);
         this.renderField(field);
@@ -177,18 +1036,34 @@ class FlexFormBuilder {
     renderField(field) {
         const formCanvas = document.getElementById('formCanvas');
         const fieldElement = document.createElement('div');
-        fieldElement.className = 'form-field';
+        fieldElement.className = field.type === 'section' ? 'form-field section-field' : 'form-field';
         fieldElement.dataset.fieldId = field.id;
+        fieldElement.draggable = true;
 
         const fieldHTML = this.generateFieldHTML(field);
         fieldElement.innerHTML = fieldHTML;
 
         // Add event listeners for field controls
         const editBtn = fieldElement.querySelector('.field-control-btn.edit');
+        const duplicateBtn = fieldElement.querySelector('.field-control-btn.duplicate');
         const deleteBtn = fieldElement.querySelector('.field-control-btn.delete');
+        const moveUpBtn = fieldElement.querySelector('.field-control-btn.move-up');
+        const moveDownBtn = fieldElement.querySelector('.field-control-btn.move-down');
+        const moveBtn = fieldElement.querySelector('.field-control-btn.move');
 
         editBtn.addEventListener('click', () => this.editField(field.id));
+        duplicateBtn.addEventListener('click', () => this.duplicateField(field.id));
         deleteBtn.addEventListener('click', () => this.deleteField(field.id));
+        moveUpBtn.addEventListener('click', () => this.moveField(field.id, -1));
+        moveDownBtn.addEventListener('click', () => this.moveField(field.id, 1));
+
+        // Keyboard reordering: focus the grip handle and use the arrow keys
+        moveBtn.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.moveField(field.id, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
 
         formCanvas.appendChild(fieldElement);
     }
@@ -204,8 +1079,24 @@ class FlexFormBuilder {
             case 'email':
             case 'number':
             case 'date':
+            case 'tel':
+            case 'url':
+            case 'time':
+            case 'datetime-local':
+            case 'month':
+            case 'week':
                 inputHTML = `<input type="${field.type}" name="${field.name}" placeholder="${field.placeholder}" ${requiredAttr}>`;
                 break;
+
+            case 'rating':
+            case 'yesno':
+            case 'multiselect':
+                inputHTML = FormWidgets.render(field, 'canvas_');
+                break;
+
+            case 'info':
+                inputHTML = `<div class="info-preview"><i class="fas fa-info-circle"></i> ${this.escapeAttr(field.placeholder)}</div>`;
+                break;
             
             case 'textarea':
                 inputHTML = `<textarea name="${field.name}" placeholder="${field.placeholder}" ${requiredAttr}></textarea>`;
@@ -247,7 +1138,24 @@ class FlexFormBuilder {
                 break;
             
             case 'file':
-                inputHTML = `<input type="file" name="${field.name}" ${requiredAttr}>`;
+                inputHTML = `<input type="file" name="${field.name}" ${this.generateAcceptAttr(field)} ${requiredAttr}>`;
+                break;
+
+            case 'section':
+                inputHTML = `<div class="section-break">
+                    <i class="fas fa-layer-group"></i> Page break${field.placeholder ? ` — ${field.placeholder}` : ''}
+                </div>`;
+                break;
+
+            case 'calculated':
+                inputHTML = `<div class="calculated-preview"><i class="fas fa-calculator"></i> = ${this.escapeAttr(field.formula)}</div>`;
+                break;
+
+            case 'group':
+                inputHTML = `<div class="group-preview">
+                    ${(field.children || []).map(child => `<span class="group-child">${child.label}${child.required ? ' *' : ''}</span>`).join('')}
+                    <div class="group-add">+ ${field.addLabel || 'Add item'}</div>
+                </div>`;
                 break;
         }
 
@@ -258,18 +1166,49 @@ class FlexFormBuilder {
                     <button class="field-control-btn edit" title="Edit Field">
                         <i class="fas fa-edit"></i>
                     </button>
+                    <button class="field-control-btn duplicate" title="Duplicate Field">
+                        <i class="fas fa-copy"></i>
+                    </button>
                     <button class="field-control-btn delete" title="Delete Field">
                         <i class="fas fa-trash"></i>
                     </button>
-                    <button class="field-control-btn move" title="Move Field">
+                    <button class="field-control-btn move-up" title="Move Up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="field-control-btn move-down" title="Move Down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="field-control-btn move" title="Drag to move (or use arrow keys)" aria-label="Move field">
                         <i class="fas fa-grip-vertical"></i>
                     </button>
                 </div>
             </div>
+            ${this.generateRuleSummaryHTML(field)}
             ${inputHTML}
         `;
     }
 
+    generateRuleSummaryHTML(field) {
+        const validationSummary = field.validation ? FormValidator.describe(field) : '';
+        const validationHTML = (validationSummary
+            ? `<div class="field-rules validation"><i class="fas fa-check-circle"></i> ${this.escapeAttr(validationSummary)}</div>`
+            : '') + (field.lookup
+            ? `<div class="field-rules lookup"><i class="fas fa-database"></i> Options from ${this.escapeAttr(FormLookups.describe(field.lookup))}</div>`
+            : '');
+        if (!field.rules) return validationHTML;
+
+        const parts = [];
+        if (FormRules.isValidCondition(field.rules.showWhen)) {
+            parts.push(`Shown when ${FormRules.describe(field.rules.showWhen)}`);
+        }
+        if (FormRules.isValidCondition(field.rules.requiredWhen)) {
+            parts.push(`Required when ${FormRules.describe(field.rules.requiredWhen)}`);
+        }
+        if (parts.length === 0) return validationHTML;
+
+        return `<div class="field-rules"><i class="fas fa-code-branch"></i> ${this.escapeAttr(parts.join(' · '))}</div>${validationHTML}`;
+    }
+
     editField(fieldId) {
         const field = this.fields.find(f => f.id === fieldId);
         if (!field) return;
@@ -281,21 +1220,37 @@ class FlexFormBuilder {
         // Populate form with current values
         document.getElementById('fieldLabel').value = field.label;
         document.getElementById('fieldName').value = field.name;
-        document.getElementById('fieldPlaceholder').value = field.placeholder;
+        document.getElementById('fieldPlaceholder').value = field.type === 'group' ? (field.addLabel || '') : field.placeholder;
         document.getElementById('fieldRequired').checked = field.required;
         document.getElementById('fieldOptions').value = field.options.join('\n');
 
         // Show/hide options config
         const optionsConfig = document.getElementById('optionsConfig');
-        if (['select', 'radio', 'checkbox'].includes(field.type)) {
+        if (this.hasOptions(field.type)) {
             optionsConfig.style.display = 'block';
         } else {
             optionsConfig.style.display = 'none';
         }
 
+        this.renderValidationConfig(field, field.type);
+        this.renderRatingConfig(field, field.type);
+        this.renderLookupConfig(field, field.type);
+        this.renderGroupConfig(field, field.type);
+        this.renderCalculatedConfig(field, field.type);
+        this.renderRuleConfig(field);
         this.openModal('fieldConfigModal');
     }
 
+    duplicateField(fieldId) {
+        const index = this.fields.findIndex(f => f.id === fieldId);
+        if (index === -1) return;
+
+        const copy = FieldLibrary.duplicate(this.fields[index], this.fields);
+        this.fields.splice(index + 1, 0, copy);
+        this.renderAllFields();
+        this.showMessage(`Duplicated "${this.fields[index].label}" as ${copy.name}`, 'success');
+    }
+
     deleteField(fieldId) {
         if (confirm('Are you sure you want to delete this field?')) {
             this.fields = this.fields.filter(f => f.id !== fieldId);
@@ -325,35 +1280,161 @@ class FlexFormBuilder {
     }
 
     setupDragAndDrop() {
-        // This would require SortableJS library for full drag and drop functionality
-        // For now, we'll implement basic reordering through buttons
-    }
+        // Native HTML5 drag and drop, delegated on the canvas so re-rendered fields keep working
+        const formCanvas = document.getElementById('formCanvas');
+        let draggedId = null;
 
-    async saveTemplate() {
-        const templateName = prompt('Enter a name for this template:');
-        if (!templateName) return;
+        formCanvas.addEventListener('dragstart', (e) => {
+            const fieldElement = e.target.closest('.form-field');
+            if (!fieldElement) return;
 
-        const template = {
-            form_type: 'template',
-            form_name: templateName,
-            form_title: document.getElementById('formTitle').value,
-            form_description: document.getElementById('formDescription').value,
-            form_fields: JSON.stringify(this.fields),
-            created_at: new Date().toISOString(),
-            is_template: true
-        };
+            draggedId = fieldElement.dataset.fieldId;
+            fieldElement.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+        });
 
-        // Save to localStorage (backup)
-        this.templates[templateName] = {
-            name: templateName,
+        formCanvas.addEventListener('dragover', (e) => {
+            if (draggedId === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            // Move the element live so the drop position is visible while dragging
+            const dragging = formCanvas.querySelector('.form-field.dragging');
+            const after = this.getDragAfterElement(formCanvas, e.clientY);
+            if (!dragging) return;
+
+            if (after) {
+                formCanvas.insertBefore(dragging, after);
+            } else {
+                formCanvas.appendChild(dragging);
+            }
+        });
+
+        formCanvas.addEventListener('drop', (e) => {
+            if (draggedId === null) return;
+            e.preventDefault();
+
+            // The DOM order now reflects the drop; mirror it into this.fields
+            draggedId = null;
+            const order = Array.from(formCanvas.querySelectorAll('.form-field'))
+                .map(el => el.dataset.fieldId);
+            this.reorderFields(order);
+        });
+
+        formCanvas.addEventListener('dragend', () => {
+            const dragging = formCanvas.querySelector('.form-field.dragging');
+            if (dragging) {
+                dragging.classList.remove('dragging');
+            }
+
+            // Dropped outside the canvas: restore the order from this.fields
+            if (draggedId !== null) {
+                draggedId = null;
+                this.renderAllFields();
+            }
+        });
+    }
+
+    getDragAfterElement(container, y) {
+        const candidates = Array.from(container.querySelectorAll('.form-field:not(.dragging)'));
+
+        return candidates.reduce((closest, child) => {
+            const box = child.getBoundingClientRect();
+            const offset = y - box.top - box.height / 2;
+            if (offset < 0 && offset > closest.offset) {
+                return { offset: offset, element: child };
+            }
+            return closest;
+        }, { offset: Number.NEGATIVE_INFINITY, element: null }).element;
+    }
+
+    reorderFields(orderedIds) {
+        const byId = new Map(this.fields.map(f => [String(f.id), f]));
+        const reordered = orderedIds.map(id => byId.get(String(id))).filter(Boolean);
+
+        // Keep any field missing from the DOM order rather than dropping it
+        this.fields.forEach(f => {
+            if (!reordered.includes(f)) {
+                reordered.push(f);
+            }
+        });
+
+        this.fields = reordered;
+        this.renderAllFields();
+    }
+
+    moveField(fieldId, direction) {
+        const index = this.fields.findIndex(f => String(f.id) === String(fieldId));
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.fields.length) return;
+
+        const [field] = this.fields.splice(index, 1);
+        this.fields.splice(target, 0, field);
+        this.renderAllFields();
+
+        // Keep keyboard focus on the moved field so repeated arrow presses keep moving it
+        const moved = document.querySelector(`#formCanvas [data-field-id="${fieldId}"] .field-control-btn.move`);
+        if (moved) {
+            moved.focus();
+        }
+    }
+
+    async saveTemplate(name = null) {
+        const templateName = name || prompt('Enter a name for this template:', this.currentTemplate ? this.currentTemplate.name : '');
+        if (!templateName) return;
+
+        // Drafts may have errors; publishTemplate() refuses them
+        const lint = this.lintTemplate(this.fields, 'Save');
+
+        // Saving under an existing name adds a version to that template instead of a duplicate
+        const existing = this.templates[templateName];
+        const templateId = (existing && existing.templateId) || TemplateVersions.generateId();
+        const localVersion = existing && existing.templateId ? existing.version : 0;
+        const databaseVersion = await this.fetchLatestTemplateVersion(templateId);
+        const version = Math.max(localVersion, databaseVersion) + 1;
+
+        // Versions are immutable, so store a copy the canvas cannot change later
+        const fields = JSON.parse(JSON.stringify(this.fields));
+
+        const template = {
+            form_type: 'template',
+            form_name: templateName,
+            form_title: document.getElementById('formTitle').value,
+            form_description: document.getElementById('formDescription').value,
+            form_fields: JSON.stringify(fields),
+            template_id: templateId,
+            template_version: version,
+            status: 'draft',
+            created_at: new Date().toISOString(),
+            is_template: true
+        };
+
+        // Save to localStorage (backup)
+        const snapshot = {
+            version: version,
+            status: 'draft',
             title: template.form_title,
             description: template.form_description,
-            fields: [...this.fields],
+            fields: fields,
             created: template.created_at
         };
+        this.templates[templateName] = {
+            name: templateName,
+            title: template.form_title,
+            description: template.form_description,
+            fields: fields,
+            created: template.created_at,
+            templateId: templateId,
+            version: version,
+            versions: [...((existing && existing.versions) || []), snapshot]
+        };
         this.saveTemplates();
+        this.currentTemplate = { templateId, name: templateName, version };
 
-        // Save to database
+        const label = `Template "${templateName}" v${version} (draft${lint.errors.length ? `, ${lint.errors.length} error(s) to fix before publishing` : ''})`;
+
+        // Save to database (always a new row; published versions are never updated)
         if (window.supabaseClient) {
             try {
                 const { error } = await window.supabaseClient
@@ -362,20 +1443,211 @@ class FlexFormBuilder {
 
                 if (error) {
                     console.error('Database save error:', error);
-                    this.showMessage(`Template "${templateName}" saved locally only (database error)`, 'warning');
+                    this.showMessage(`${label} saved locally only (database error)`, 'warning');
                 } else {
-                    this.showMessage(`Template "${templateName}" saved to database successfully!`, 'success');
+                    this.showMessage(`${label} saved to database successfully!`, 'success');
                 }
             } catch (dbError) {
                 console.error('Database connection error:', dbError);
-                this.showMessage(`Template "${templateName}" saved locally only (no database connection)`, 'warning');
+                this.showMessage(`${label} saved locally only (no database connection)`, 'warning');
             }
         } else {
-            this.showMessage(`Template "${templateName}" saved locally only (no database connection)`, 'warning');
+            this.showMessage(`${label} saved locally only (no database connection)`, 'warning');
+        }
+
+        this.loadSavedTemplates();
+        this.updateLifecycleControls();
+    }
+
+    async fetchLatestTemplateVersion(templateId) {
+        if (!window.supabaseClient) return 0;
+
+        try {
+            const { data, error } = await window.supabaseClient
+                .from('form_submissions')
+                .select('template_version')
+                .eq('template_id', templateId)
+                .order('template_version', { ascending: false })
+                .limit(1);
+
+            if (error || !data || data.length === 0) return 0;
+            return TemplateVersions.versionOf(data[0]);
+        } catch (error) {
+            console.warn('Could not read template versions:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * The loaded template's local entry, if it has been saved with versions
+     */
+    getCurrentTemplateEntry() {
+        if (!this.currentTemplate || !this.currentTemplate.templateId) return null;
+        const entry = this.templates[this.currentTemplate.name];
+        return entry && entry.templateId === this.currentTemplate.templateId ? entry : null;
+    }
+
+    updateLifecycleControls() {
+        const status = document.getElementById('templateStatus');
+        if (!status) return;
+
+        const entry = this.getCurrentTemplateEntry();
+        const versions = entry ? entry.versions || [] : [];
+        const latest = versions[versions.length - 1];
+        const live = versions.filter(v => v.status === 'published').pop();
+
+        if (!latest) {
+            status.textContent = this.currentTemplate ? 'Not versioned yet - save to create a draft' : 'No template loaded';
+        } else {
+            status.innerHTML = `
+                <span class="status-badge ${latest.status}">${TemplateVersions.STATUSES[latest.status]}</span>
+                v${latest.version}${live && live.version !== latest.version ? ` · live: v${live.version}` : ''}
+            `;
+        }
+
+        document.getElementById('publishTemplate').disabled = !latest || latest.status === 'published';
+        document.getElementById('retireTemplate').disabled = !live;
+        document.getElementById('previewInPortal').disabled = !latest;
+        document.getElementById('deleteTemplate').disabled = !entry;
+    }
+
+    async publishTemplate() {
+        const entry = this.getCurrentTemplateEntry();
+        if (!entry || !entry.versions || entry.versions.length === 0) {
+            this.showMessage('Save the template before publishing it', 'error');
+            return;
+        }
+
+        const latest = entry.versions[entry.versions.length - 1];
+        const lint = this.lintTemplate(latest.fields || [], 'Publish');
+        if (lint.errors.length > 0) {
+            this.showMessage(`"${entry.name}" v${latest.version} has ${lint.errors.length} error(s) and cannot be published`, 'error');
+            return;
+        }
+
+        const saved = await this.updateTemplateRows(
+            { status: 'published' },
+            query => query.eq('template_id', entry.templateId).eq('template_version', latest.version)
+        );
+
+        latest.status = 'published';
+        this.saveTemplates();
+        this.updateLifecycleControls();
+        this.showMessage(`"${entry.name}" v${latest.version} is now live in the portal${saved ? '' : ' (saved locally only)'}`, saved ? 'success' : 'warning');
+    }
+
+    async retireTemplate() {
+        const entry = this.getCurrentTemplateEntry();
+        if (!entry || !confirm(`Retire "${entry.name}"? Submitters will no longer see it.`)) return;
+
+        const saved = await this.updateTemplateRows(
+            { status: 'retired' },
+            query => query.eq('template_id', entry.templateId).eq('status', 'published')
+        );
+
+        entry.versions.forEach(v => {
+            if (v.status === 'published') v.status = 'retired';
+        });
+        this.saveTemplates();
+        this.updateLifecycleControls();
+        this.showMessage(`"${entry.name}" retired${saved ? '' : ' (saved locally only)'}`, saved ? 'success' : 'warning');
+    }
+
+    /**
+     * Start a new template from the canvas; it gets its own identity and starts at v1
+     */
+    async duplicateTemplate() {
+        if (this.fields.length === 0) {
+            this.showMessage('Please add some fields to the form first', 'error');
+            return;
+        }
+
+        const source = this.currentTemplate ? this.currentTemplate.name : 'Template';
+        const name = prompt('Name for the copy:', `${source} (copy)`);
+        if (!name) return;
+
+        if (this.templates[name]) {
+            this.showMessage(`A template named "${name}" already exists`, 'error');
+            return;
         }
 
+        // A name that is not in the library yet gets a new identity
+        await this.saveTemplate(name);
+    }
+
+    async deleteTemplate() {
+        const entry = this.getCurrentTemplateEntry();
+        if (!entry) return;
+
+        const message = `Delete "${entry.name}" and all ${(entry.versions || []).length} version(s)? ` +
+            'Existing submissions keep their template id and version, but the questions they answered will be gone.';
+        if (!confirm(message)) return;
+
+        let saved = !window.supabaseClient;
+        if (window.supabaseClient) {
+            try {
+                const { error } = await window.supabaseClient
+                    .from('form_submissions')
+                    .delete()
+                    .eq('template_id', entry.templateId)
+                    .eq('is_template', true);
+                if (error) {
+                    console.error('Database delete error:', error);
+                } else {
+                    saved = true;
+                }
+            } catch (dbError) {
+                console.error('Database connection error:', dbError);
+            }
+        }
+
+        if (!saved) {
+            this.showMessage(`Could not delete "${entry.name}" from the database`, 'error');
+            return;
+        }
+
+        delete this.templates[entry.name];
+        this.saveTemplates();
+        this.clearForm();
         this.loadSavedTemplates();
+        this.updateLifecycleControls();
+        this.showMessage(`Template "${entry.name}" deleted`, 'success');
+    }
+
+    /**
+     * Open the loaded version in the portal; preview mode shows drafts but never submits
+     */
+    previewInPortal() {
+        const entry = this.getCurrentTemplateEntry();
+        if (!entry || !entry.versions || entry.versions.length === 0) return;
+
+        const latest = entry.versions[entry.versions.length - 1];
+        const params = new URLSearchParams({ preview: entry.templateId, version: latest.version });
+        window.open(`user-portal.html?${params.toString()}`, '_blank');
+    }
+
+    /**
+     * Update status columns on template rows; returns false when only local state changed
+     */
+    async updateTemplateRows(changes, filter) {
+        if (!window.supabaseClient) return false;
+
+        try {
+            const { error } = await filter(window.supabaseClient
+                .from('form_submissions')
+                .update(changes)
+                .eq('is_template', true));
+            if (error) {
+                console.error('Database update error:', error);
+                return false;
+            }
+            return true;
+        } catch (dbError) {
+            console.error('Database connection error:', dbError);
+            return false;
+        }
     }
+
     loadTemplate() {
         const templateSelect = document.getElementById('templateSelect');
         const selectedTemplate = templateSelect.value;
@@ -406,8 +1678,12 @@ class FlexFormBuilder {
         document.getElementById('formTitle').value = template.title || '';
         document.getElementById('formDescription').value = template.description || '';
         
-        this.fields = [...template.fields];
+        this.fields = JSON.parse(JSON.stringify(template.fields));
+        this.currentTemplate = template.templateId
+            ? { templateId: template.templateId, name: templateName, version: template.version }
+            : { templateId: null, name: templateName, version: 0 };
         this.renderAllFields();
+        this.updateLifecycleControls();
         
         this.showMessage(`Template "${templateName}" loaded successfully!`, 'success');
     }
@@ -425,11 +1701,13 @@ class FlexFormBuilder {
 
     clearForm() {
         this.fields = [];
+        this.currentTemplate = null;
         const formCanvas = document.getElementById('formCanvas');
         formCanvas.innerHTML = '';
         document.getElementById('formTitle').value = 'Dynamic Form';
         document.getElementById('formDescription').value = '';
         this.updateEmptyState();
+        this.updateLifecycleControls();
     }
 
     loadSavedTemplates() {
@@ -437,9 +1715,10 @@ class FlexFormBuilder {
         templateSelect.innerHTML = '<option value="">Select a template...</option>';
         
         Object.keys(this.templates).forEach(templateName => {
+            const version = this.templates[templateName].version;
             const option = document.createElement('option');
             option.value = templateName;
-            option.textContent = templateName;
+            option.textContent = version ? `${templateName} (v${version})` : templateName;
             templateSelect.appendChild(option);
         });
     }
@@ -451,14 +1730,251 @@ class FlexFormBuilder {
         }
         
         // If no saved templates, return empty object
-        // The default templates will be loaded by the DOMContentLoaded event
+        // Shared templates are added by loadRegistry()
         return {};
     }
 
+    /**
+     * Add templates from the shared registry (database, cache or bundled) to the
+     * local library. Local entries win, but pick up the registry's template id
+     * so new saves become versions of the shared template.
+     */
+    async loadRegistry() {
+        const { rows } = await TemplateRegistry.load(window.supabaseClient);
+        const byIdentity = new Map();
+
+        rows.forEach(row => {
+            const identity = TemplateVersions.identityOf(row);
+            byIdentity.set(identity, (byIdentity.get(identity) || []).concat(row));
+        });
+
+        byIdentity.forEach(versions => {
+            versions.sort(TemplateVersions.compare);
+            const latest = versions[versions.length - 1];
+            const name = latest.form_name || 'Untitled Form';
+            const existing = this.templates[name];
+
+            if (existing) {
+                if (!existing.templateId && latest.template_id) {
+                    existing.templateId = latest.template_id;
+                    existing.version = Math.max(existing.version || 0, TemplateVersions.versionOf(latest));
+                }
+                return;
+            }
+
+            this.templates[name] = {
+                name: name,
+                title: latest.form_title || name,
+                description: latest.form_description || '',
+                fields: TemplateRegistry.fieldsOf(latest),
+                created: latest.created_at || new Date().toISOString(),
+                templateId: latest.template_id || null,
+                version: TemplateVersions.versionOf(latest),
+                versions: versions.map(row => ({
+                    version: TemplateVersions.versionOf(row),
+                    status: TemplateVersions.statusOf(row),
+                    title: row.form_title || name,
+                    description: row.form_description || '',
+                    fields: TemplateRegistry.fieldsOf(row),
+                    created: row.created_at
+                }))
+            };
+        });
+
+        this.saveTemplates();
+        this.loadSavedTemplates();
+    }
+
     saveTemplates() {
         localStorage.setItem('flexform_templates', JSON.stringify(this.templates));
     }
 
+    /**
+     * Import definitions written by exportForm(). A single file can go to the canvas;
+     * several files (or a folder) go straight into the template library.
+     */
+    async importFiles(files) {
+        const jsonFiles = files.filter(file => /\.json$/i.test(file.name));
+        if (jsonFiles.length === 0) {
+            this.showMessage('No .json files selected', 'error');
+            return;
+        }
+
+        const imported = [];
+        const errors = [];
+        const warnings = [];
+
+        for (const file of jsonFiles) {
+            const result = FormImporter.parse(await file.text(), file.webkitRelativePath || file.name);
+            warnings.push(...result.warnings);
+            if (result.errors.length > 0) {
+                errors.push(...result.errors);
+            } else {
+                imported.push(result.template);
+            }
+        }
+
+        if (warnings.length > 0) {
+            console.warn('Import warnings:\n' + warnings.join('\n'));
+        }
+        if (errors.length > 0) {
+            console.error('Import errors:\n' + errors.join('\n'));
+            this.showMessage(`${errors.length} problem(s) found, first: ${errors[0]}`, 'error');
+        }
+        if (imported.length === 0) return;
+
+        if (imported.length === 1 && jsonFiles.length === 1 &&
+            confirm(`Load "${imported[0].title}" into the canvas?\nChoose Cancel to add it to the template library instead.`)) {
+            this.loadImportedTemplate(imported[0]);
+        } else {
+            const names = imported.map(template => this.addImportedTemplate(template));
+            this.saveTemplates();
+            this.loadSavedTemplates();
+            this.showMessage(`Imported ${names.length} template(s) into the library: ${names.join(', ')}`, 'success');
+        }
+
+        if (warnings.length > 0) {
+            this.showMessage(`Imported with ${warnings.length} adjustment(s), see the console for details`, 'warning');
+        }
+    }
+
+    loadImportedTemplate(template) {
+        if (this.fields.length > 0 && !confirm('This will replace the current form. Continue?')) {
+            return;
+        }
+
+        this.clearForm();
+        document.getElementById('formTitle').value = template.title;
+        document.getElementById('formDescription').value = template.description;
+        this.fields = template.fields;
+        this.renderAllFields();
+        this.showMessage(`"${template.title}" imported into the canvas. Save it to add it to the library.`, 'success');
+    }
+
+    /**
+     * Add to the library under a free name; returns the name used
+     */
+    addImportedTemplate(template) {
+        let name = template.title;
+        for (let copy = 2; this.templates[name]; copy++) {
+            name = `${template.title} (imported${copy > 2 ? ` ${copy - 1}` : ''})`;
+        }
+
+        // The template id travels with the file so records in both projects share it
+        this.templates[name] = {
+            name: name,
+            title: template.title,
+            description: template.description,
+            fields: template.fields,
+            created: new Date().toISOString(),
+            templateId: template.templateId || null,
+            version: template.version || 0,
+            versions: []
+        };
+        return name;
+    }
+
+    /**
+     * Supabase Auth session for the project in the database fields, or the config when they are empty
+     */
+    authSessionFor() {
+        const config = window.FLEXFORM_CONFIG || {};
+        const url = document.getElementById('databaseUrl').value.trim() || config.SUPABASE_URL || '';
+        const apiKey = document.getElementById('databaseKey').value.trim() || config.SUPABASE_ANON_KEY || '';
+        if (!url || !apiKey) {
+            throw new Error('Enter the database URL and API key first');
+        }
+
+        if (!this.authSession || this.authSession.anonKey !== apiKey) {
+            this.authSession = AuthSession.forProject(url, apiKey);
+            this.authSession.onChange(user => this.applySignIn(user));
+        }
+        return this.authSession;
+    }
+
+    async restoreSignIn() {
+        try {
+            await this.authSessionFor().restore();
+        } catch (error) {
+            // Nothing to restore until the database fields are filled in
+        }
+        this.renderSignIn();
+    }
+
+    applySignIn(user) {
+        if (this.secureConnector.connected) {
+            this.secureConnector.useSession(user, this.authSession.apiToken);
+        }
+        this.renderSignIn();
+    }
+
+    renderSignIn(message = '', type = '') {
+        const status = document.getElementById('signInStatus');
+        if (!status) return;
+
+        const user = this.authSession ? this.authSession.user : null;
+        document.getElementById('signInForm').style.display = user ? 'none' : '';
+        document.getElementById('signOut').style.display = user ? '' : 'none';
+
+        // The audit identity comes from the session while signed in
+        const emailInput = document.getElementById('userEmail');
+        const departmentInput = document.getElementById('userDepartment');
+        if (emailInput) {
+            emailInput.readOnly = !!user;
+            if (user) emailInput.value = user.email;
+        }
+        if (departmentInput) {
+            departmentInput.readOnly = !!user;
+            if (user) departmentInput.value = user.department;
+        }
+
+        status.innerHTML = `
+            ${message ? `<div class="status ${type}">${this.escapeAttr(message)}</div>` : ''}
+            <div class="status ${user ? 'connected' : ''}">
+                ${user ? `Signed in as ${this.escapeAttr(user.email)} · ${this.escapeAttr(user.role)} · ${this.escapeAttr(user.department)}` : 'Not signed in'}
+            </div>
+        `;
+    }
+
+    async signIn() {
+        const email = document.getElementById('signInEmail').value.trim();
+        const passwordInput = document.getElementById('signInPassword');
+        if (!email || !passwordInput.value) {
+            this.renderSignIn('Enter your email and password', 'error');
+            return;
+        }
+
+        try {
+            await this.authSessionFor().signInWithPassword(email, passwordInput.value);
+            passwordInput.value = '';
+            this.showMessage('Signed in', 'success');
+        } catch (error) {
+            this.renderSignIn(`Sign-in failed: ${error.message}`, 'error');
+        }
+    }
+
+    async sendSignInLink() {
+        const email = document.getElementById('signInEmail').value.trim();
+        if (!email) {
+            this.renderSignIn('Enter your email', 'error');
+            return;
+        }
+
+        try {
+            await this.authSessionFor().sendMagicLink(email);
+            this.renderSignIn(`Sign-in link sent to ${email}`, 'connected');
+        } catch (error) {
+            this.renderSignIn(`Could not send the link: ${error.message}`, 'error');
+        }
+    }
+
+    async signOut() {
+        if (this.authSession) {
+            await this.authSession.signOut();
+        }
+        this.showMessage('Signed out', 'success');
+    }
+
     async connectToDatabase() {
         const url = document.getElementById('databaseUrl').value.trim();
         const apiKey = document.getElementById('databaseKey').value.trim();
@@ -466,29 +1982,35 @@ class FlexFormBuilder {
         const department = document.getElementById('userDepartment').value.trim() || 'general';
         const userEmail = document.getElementById('userEmail').value.trim();
         const statusElement = document.getElementById('connectionStatus');
+        const user = this.authSession ? this.authSession.user : null;
 
         if (!url || !apiKey || !tableName) {
             statusElement.innerHTML = '<div class="status error">Please provide database URL, API key, and table name</div>';
             return;
         }
 
-        if (!userEmail) {
-            statusElement.innerHTML = '<div class="status error">User email required for security audit</div>';
+        if (!user && !userEmail) {
+            statusElement.innerHTML = '<div class="status error">Sign in, or enter your email for the security audit</div>';
             return;
         }
 
         statusElement.innerHTML = '<div class="status">🔐 Establishing secure connection... <span class="loading"></span></div>';
 
         try {
-            const userContext = {
+            // A typed email is only recorded in the audit log; roles need a signed-in session
+            const userContext = user || {
                 email: userEmail,
                 department: department,
-                role: 'user'
+                role: 'user',
+                authenticated: false
             };
 
             const result = await this.secureConnector.connectToSupabase(url, apiKey, userContext);
             
             if (result.success) {
+                if (user) {
+                    this.secureConnector.useSession(user, this.authSession.apiToken);
+                }
                 this.databaseConfig = {
                     type: 'supabase',
                     url: url,
@@ -501,22 +2023,210 @@ class FlexFormBuilder {
                     <div class="status connected">
                         ✅ Secure connection established!<br>
                         🛡️ Security Level: ${result.securityLevel}<br>
-                        🔐 Encryption: Enabled<br>
+                        👤 ${user ? `Signed in as ${this.escapeAttr(user.email)} (${this.escapeAttr(user.role)})` : `Not signed in; audit email ${this.escapeAttr(userEmail)}`}<br>
+                        🔐 Encryption: ${this.secureConnector.keyManager.hasActiveKey() ? 'Enabled' : 'No active key - create one under Encryption Keys'}<br>
                         📊 Audit Logging: Active
                     </div>
                 `;
+                if (document.getElementById('keyStatus')) {
+                    this.renderKeyStatus();
+                }
                 this.showMessage('Connected to secure database successfully!', 'success');
             } else {
                 statusElement.innerHTML = `<div class="status error">Connection failed: ${result.error}</div>`;
                 this.showMessage(`Connection failed: ${result.error}`, 'error');
             }
         } catch (error) {
-            statusElement.innerHTML = `<div class="status error">Connection failed: ${error.message}</div>`;
-            this.showMessage(`Connection failed: ${error.message}`, 'error');
+            statusElement.innerHTML = `<div class="status error">Connection failed: ${error.message}</div>`;
+            this.showMessage(`Connection failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * The key-encryption secret chosen in the Encryption Keys panel
+     */
+    async readKeySecret() {
+        if (document.getElementById('kekSource').value === 'server') {
+            const url = document.getElementById('kekServerUrl').value.trim();
+            if (!/^https:\/\/\S+$/.test(url)) {
+                throw new Error('Enter the key server URL (https://...)');
+            }
+            return { serverKek: await EncryptionKeyManager.serverKek(url, this.secureConnector.accessToken || this.secureConnector.supabaseKey) };
+        }
+
+        const passphraseInput = document.getElementById('keyPassphrase');
+        const passphrase = passphraseInput.value;
+        passphraseInput.value = '';
+        return { passphrase: passphrase };
+    }
+
+    renderKeyStatus(message = '', type = '') {
+        const keyManager = this.secureConnector.keyManager;
+        const keys = keyManager.keys.map(key => `
+            <li>
+                <span class="status-badge ${key.status === 'active' ? 'published' : 'retired'}">${key.status}</span>
+                ${this.escapeAttr(key.key_id)} · ${key.kek_type} · ${keyManager.isUnlocked(key.key_id) ? '🔓 unlocked' : '🔒 locked'}
+            </li>
+        `).join('');
+
+        document.getElementById('keyStatus').innerHTML = `
+            ${message ? `<div class="status ${type}">${this.escapeAttr(message)}</div>` : ''}
+            ${keys ? `<ul class="key-list">${keys}</ul>` : '<div class="status">No encryption keys yet</div>'}
+        `;
+    }
+
+    async unlockEncryptionKeys() {
+        if (!this.secureConnector.connected) {
+            this.renderKeyStatus('Connect to the database first', 'error');
+            return;
+        }
+
+        try {
+            const { unlocked, failed } = await this.secureConnector.unlockKeys(await this.readKeySecret());
+            this.renderKeyStatus(
+                unlocked.length > 0 ? `Unlocked ${unlocked.length} key(s)${failed.length ? `; ${failed.length} need a different secret` : ''}` : 'No key opens with this secret',
+                unlocked.length > 0 ? 'connected' : 'error'
+            );
+        } catch (error) {
+            this.renderKeyStatus(error.message, 'error');
+        }
+    }
+
+    async rotateEncryptionKey() {
+        if (!this.secureConnector.connected) {
+            this.renderKeyStatus('Connect to the database first', 'error');
+            return;
+        }
+
+        const previous = this.secureConnector.keyManager.activeKey();
+        if (previous && !confirm('Create a new active key? New submissions use it at once; run "Re-encrypt Table" to move existing rows onto it.')) return;
+
+        try {
+            const record = await this.secureConnector.rotateEncryptionKey(await this.readKeySecret());
+            this.renderKeyStatus(`Key ${record.key_id} is now active`, 'connected');
+        } catch (error) {
+            this.renderKeyStatus(`Could not create the key: ${error.message}`, 'error');
+        }
+    }
+
+    async reencryptTable() {
+        const tableName = document.getElementById('tableName').value.trim();
+        if (!this.secureConnector.connected || !tableName) {
+            this.renderKeyStatus('Connect to the database and enter the table name first', 'error');
+            return;
+        }
+        if (!confirm(`Re-encrypt every encrypted value in "${tableName}" with the active key?`)) return;
+
+        try {
+            const summary = await this.secureConnector.reencryptTable(tableName, {
+                onProgress: progress => this.renderKeyStatus(`Re-encrypting... ${progress.scanned} rows checked`)
+            });
+            const remaining = Object.entries(summary.remaining).map(([keyId, count]) => `${count} on ${keyId}`);
+            this.renderKeyStatus(
+                `${summary.updated} of ${summary.scanned} rows re-encrypted` +
+                (remaining.length ? `; still on locked keys: ${remaining.join(', ')}` : '') +
+                (summary.unrecoverable ? `; ${summary.unrecoverable} value(s) from before key management cannot be recovered` : ''),
+                remaining.length ? 'error' : 'connected'
+            );
+        } catch (error) {
+            this.renderKeyStatus(`Re-encryption stopped: ${error.message}`, 'error');
+        }
+    }
+
+    async reindexTable() {
+        const tableName = document.getElementById('tableName').value.trim();
+        if (!this.secureConnector.connected || !tableName) {
+            this.renderKeyStatus('Connect to the database and enter the table name first', 'error');
+            return;
+        }
+        if (!confirm(`Rebuild the search index of every encrypted field in "${tableName}"? The keys must be unlocked.`)) return;
+
+        try {
+            const summary = await this.secureConnector.reindexTable(tableName, {
+                onProgress: progress => this.renderKeyStatus(`Indexing... ${progress.scanned} rows checked`)
+            });
+            this.renderKeyStatus(
+                `${summary.updated} of ${summary.scanned} rows re-indexed` +
+                (summary.failed ? `; ${summary.failed} row(s) could not be decrypted` : ''),
+                summary.failed ? 'error' : 'connected'
+            );
+        } catch (error) {
+            this.renderKeyStatus(`Indexing stopped: ${error.message}`, 'error');
+        }
+    }
+
+    async verifyAuditTrail() {
+        const status = document.getElementById('auditStatus');
+        if (!this.secureConnector.connected) {
+            status.innerHTML = '<div class="status error">Connect to the database first</div>';
+            return;
+        }
+
+        status.innerHTML = '<div class="status">Verifying audit trail... <span class="loading"></span></div>';
+        try {
+            const submissionTable = document.getElementById('auditSubmissionTable').value.trim();
+            const result = await this.secureConnector.verifyAuditTrail({ submissionTable: submissionTable || null });
+
+            const problems = result.problems.slice(0, 20).map(problem => `
+                <li><strong>${problem.type}</strong> · ${this.escapeAttr(problem.chainId)} · ${this.escapeAttr(problem.message)}</li>
+            `).join('');
+            const unaudited = result.unaudited && result.unaudited.length > 0
+                ? `<li><strong>unaudited</strong> · ${result.unaudited.length} record(s) in ${this.escapeAttr(submissionTable)} have no audit entry: ${this.escapeAttr(result.unaudited.slice(0, 20).join(', '))}</li>`
+                : '';
+
+            status.innerHTML = `
+                <div class="status ${result.valid ? 'connected' : 'error'}">
+                    ${result.valid ? '✅ Audit trail intact' : '⚠️ Audit trail has problems'}:
+                    ${result.entries} entries in ${result.chains} chain(s)
+                </div>
+                ${problems || unaudited ? `<ul class="key-list">${problems}${unaudited}</ul>` : ''}
+                ${result.problems.length > 20 ? `<div class="status">...and ${result.problems.length - 20} more</div>` : ''}
+            `;
+        } catch (error) {
+            status.innerHTML = `<div class="status error">Verification failed: ${this.escapeAttr(error.message)}</div>`;
+        }
+    }
+
+    async connectToDataverse() {
+        const url = document.getElementById('dataverseUrl').value.trim();
+        const token = document.getElementById('dataverseToken').value.trim();
+        const prefix = document.getElementById('dataversePrefix').value.trim() || 'new';
+        const tableName = document.getElementById('dataverseTable').value.trim();
+        const statusElement = document.getElementById('dataverseStatus');
+
+        if (!url || !tableName) {
+            statusElement.innerHTML = '<div class="status error">Please provide the environment URL and a table name</div>';
+            return;
+        }
+
+        statusElement.innerHTML = '<div class="status">Connecting to Dataverse... <span class="loading"></span></div>';
+
+        const result = await this.sharepointConnector.connect(url, token, { prefix: prefix });
+        if (result.success) {
+            this.sharepointConfig = {
+                url: this.sharepointConnector.environmentUrl,
+                prefix: this.sharepointConnector.prefix,
+                tableName: tableName,
+                entitySetName: '',
+                connected: true
+            };
+            statusElement.innerHTML = `
+                <div class="status connected">
+                    ✅ Connected to ${result.mock ? 'the local Dataverse mock' : this.escapeAttr(this.sharepointConfig.url)}<br>
+                    📋 Table: ${this.escapeAttr(this.sharepointConnector.schemaName(tableName))}
+                </div>
+            `;
+            this.showMessage('Connected to Dataverse successfully!', 'success');
+        } else {
+            this.sharepointConfig.connected = false;
+            statusElement.innerHTML = `<div class="status error">Connection failed: ${this.escapeAttr(result.error)}</div>`;
+            this.showMessage(`Connection failed: ${result.error}`, 'error');
         }
     }
 
-    previewForm() {
+    async previewForm() {
+        // Lookup options come from the same reference tables the portal uses
+        const fields = await FormLookups.resolve(this.fields, window.supabaseClient);
         const previewContainer = document.getElementById('previewContainer');
         const formTitle = document.getElementById('formTitle').value || 'Dynamic Form';
         const formDescription = document.getElementById('formDescription').value;
@@ -526,13 +2236,24 @@ class FlexFormBuilder {
                 <h2 style="color: #2d3748; margin-bottom: 10px;">${formTitle}</h2>
                 ${formDescription ? `<p style="color: #4a5568; margin-bottom: 30px;">${formDescription}</p>` : ''}
                 <form id="previewForm">
+                    <div id="previewFields">
         `;
 
-        this.fields.forEach(field => {
+        fields.forEach(field => {
+            if (field.type === 'section') {
+                previewHTML += this.generateSectionHTML(field);
+                return;
+            }
+
+            if (field.type === 'info') {
+                previewHTML += `<div style="margin-bottom: 20px;" data-field-name="${field.name}">${FormWidgets.render(field)}</div>`;
+                return;
+            }
+
             previewHTML += `
-                <div style="margin-bottom: 20px;">
+                <div style="margin-bottom: 20px;" data-field-name="${field.name}">
                     <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #2d3748;">
-                        ${field.label}${field.required ? ' <span style="color: red;">*</span>' : ''}
+                        ${field.label}${this.generateRequiredMarkerHTML(field, 'style="color: red;"')}
                     </label>
                     ${this.generatePreviewFieldHTML(field)}
                 </div>
@@ -540,24 +2261,355 @@ class FlexFormBuilder {
         });
 
         previewHTML += `
+                    </div>
                     <button type="submit" style="width: 100%; padding: 15px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; border-radius: 8px; font-size: 1.1rem; font-weight: 600; cursor: pointer;">
                         Submit Form
                     </button>
                 </form>
+                <div style="display: flex; gap: 12px; align-items: center; justify-content: flex-end; margin-top: 15px;">
+                    <label style="display: flex; gap: 6px; align-items: center; color: #4a5568;">
+                        <input type="checkbox" id="prefillLock"> Lock prefilled fields
+                    </label>
+                    <button type="button" class="action-btn load" id="copyPrefillLink"><i class="fas fa-link"></i> Copy prefilled link</button>
+                </div>
             </div>
         `;
 
         previewContainer.innerHTML = previewHTML;
 
         // Add form submission handler for preview
-        document.getElementById('previewForm').addEventListener('submit', (e) => {
+        const previewFormElement = document.getElementById('previewForm');
+        let wizard = null;
+        previewFormElement.addEventListener('submit', (e) => {
             e.preventDefault();
+            if (!FormValidator.validateForm(previewFormElement, fields)) {
+                const firstError = previewFormElement.querySelector('.field-error');
+                if (wizard && firstError) {
+                    wizard.showField(firstError.closest('[data-field-name]').dataset.fieldName);
+                }
+                return;
+            }
             alert('This is a preview. In the actual form, this would submit to Dataverse.');
         });
 
+        document.getElementById('copyPrefillLink').addEventListener('click', () => {
+            this.copyPrefillLink(FormRules.getValues(previewFormElement, fields), document.getElementById('prefillLock').checked);
+        });
+
+        // Evaluate conditional rules live while the preview is filled in
+        FormRepeater.bind(previewFormElement, fields);
+        FormLookups.bind(previewFormElement, fields);
+        FormCalculator.bind(previewFormElement, fields);
+        FormRules.bind(previewFormElement, fields);
+
+        // Section fields split the preview into wizard steps, as in the portal
+        if (FormWizard.hasSections(fields)) {
+            wizard = new FormWizard(document.getElementById('previewFields'), { fields: fields });
+        }
+
         this.openModal('previewModal');
     }
 
+    /**
+     * Copy a portal link that opens this template with the values entered in the preview
+     */
+    async copyPrefillLink(values, lock) {
+        const templateId = this.currentTemplate && this.currentTemplate.templateId;
+        if (!templateId) {
+            this.showMessage('Save and publish the template before sharing links to it', 'error');
+            return;
+        }
+
+        const query = FormPrefill.buildQuery(templateId, values, this.fields, lock);
+        const link = new URL(`user-portal.html?${query}`, window.location.href).toString();
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showMessage('Prefilled link copied to the clipboard', 'success');
+        } catch (error) {
+            // Clipboard access needs a secure context; let the user copy it by hand
+            prompt('Copy this link:', link);
+        }
+    }
+
+    /**
+     * Only admins may write to field_snippets
+     */
+    canEditLibrary() {
+        const user = this.authSession ? this.authSession.user : null;
+        return !!(user && user.role === 'admin');
+    }
+
+    async openFieldLibrary() {
+        const editable = this.canEditLibrary();
+        document.getElementById('snippetEditor').style.display = editable ? '' : 'none';
+        document.getElementById('saveSnippet').style.display = editable ? '' : 'none';
+        document.getElementById('snippetAdminOnly').style.display = editable ? 'none' : '';
+
+        document.getElementById('snippetFieldChoices').innerHTML = this.fields.length > 0
+            ? this.fields.map(field => `
+                <label class="snippet-choice">
+                    <input type="checkbox" value="${this.escapeAttr(field.id)}">
+                    ${this.escapeAttr(field.label)} <span class="snippet-field-name">${this.escapeAttr(field.name)}</span>
+                </label>
+            `).join('')
+            : '<p class="snippet-empty">Add fields to the canvas to save them as a snippet.</p>';
+
+        this.openModal('fieldLibraryModal');
+        await this.renderSnippetList();
+    }
+
+    async renderSnippetList() {
+        const list = document.getElementById('snippetList');
+        list.innerHTML = '<p class="snippet-empty">Loading snippets...</p>';
+
+        const { snippets, source } = await FieldLibrary.load(window.supabaseClient);
+        this.snippets = snippets;
+        document.getElementById('snippetSource').textContent = source === 'database'
+            ? 'Shared with your team'
+            : 'Offline: showing the last saved library';
+
+        list.innerHTML = snippets.map((snippet, index) => `
+            <div class="snippet-item">
+                <div class="snippet-info">
+                    <strong>${this.escapeAttr(snippet.name)}</strong>${snippet.local ? ' <span class="status-badge draft">not uploaded</span>' : ''}
+                    ${snippet.description ? `<div class="snippet-description">${this.escapeAttr(snippet.description)}</div>` : ''}
+                    <div class="snippet-fields">${snippet.fields.map(field => this.escapeAttr(field.label)).join(' · ')}</div>
+                </div>
+                <div class="snippet-actions">
+                    <button class="action-btn load" data-insert="${index}"><i class="fas fa-plus"></i> Insert</button>
+                    ${snippet.bundled || !this.canEditLibrary() ? '' : `<button class="action-btn clear" data-delete="${index}"><i class="fas fa-trash"></i></button>`}
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-insert]').forEach(button => {
+            button.addEventListener('click', () => this.insertSnippet(snippets[button.dataset.insert]));
+        });
+        list.querySelectorAll('[data-delete]').forEach(button => {
+            button.addEventListener('click', () => this.deleteSnippet(snippets[button.dataset.delete]));
+        });
+    }
+
+    insertSnippet(snippet) {
+        const { fields, renamed, warnings } = FieldLibrary.instantiate(snippet.fields, this.fields);
+        this.fields.push(...fields);
+        this.renderAllFields();
+        this.closeModal('fieldLibraryModal');
+
+        const renames = Object.entries(renamed).map(([from, to]) => `${from} → ${to}`);
+        const notes = [...(renames.length > 0 ? [`renamed ${renames.join(', ')}`] : []), ...warnings];
+        this.showMessage(`Inserted "${snippet.name}"${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`, warnings.length > 0 ? 'warning' : 'success');
+    }
+
+    async saveSnippet() {
+        if (!this.canEditLibrary()) {
+            this.showMessage('Only admins can save snippets for everyone', 'error');
+            return;
+        }
+
+        const chosen = Array.from(document.querySelectorAll('#snippetFieldChoices input:checked')).map(input => input.value);
+        const fields = this.fields.filter(field => chosen.includes(String(field.id)));
+        const name = document.getElementById('snippetName').value.trim();
+
+        if (fields.length === 0) {
+            this.showMessage('Choose the fields to save in the snippet', 'error');
+            return;
+        }
+        if (!name) {
+            this.showMessage('Please enter a snippet name', 'error');
+            return;
+        }
+
+        const existing = (this.snippets || []).find(snippet => snippet.name === name);
+        if (existing && !confirm(`Replace the snippet "${name}" for everyone?`)) return;
+
+        const userEmail = document.getElementById('userEmail');
+        const { saved } = await FieldLibrary.save(window.supabaseClient, {
+            name: name,
+            description: document.getElementById('snippetDescription').value.trim(),
+            fields: JSON.parse(JSON.stringify(fields)),
+            createdBy: userEmail ? userEmail.value.trim() : ''
+        });
+
+        document.getElementById('snippetName').value = '';
+        document.getElementById('snippetDescription').value = '';
+        this.showMessage(`Snippet "${name}" saved${saved ? '' : ' locally only; it is uploaded once the database is reachable'}`, saved ? 'success' : 'warning');
+        await this.renderSnippetList();
+    }
+
+    async deleteSnippet(snippet) {
+        if (!confirm(`Delete the snippet "${snippet.name}" for everyone?`)) return;
+
+        try {
+            await FieldLibrary.remove(window.supabaseClient, snippet.name);
+            this.showMessage(`Snippet "${snippet.name}" deleted`, 'success');
+        } catch (error) {
+            this.showMessage(`Could not delete "${snippet.name}": ${error.message}`, 'error');
+        }
+        await this.renderSnippetList();
+    }
+
+    /**
+     * Printable QR codes that open this template with a building, room and asset filled in
+     */
+    openQrGenerator() {
+        if (!this.currentTemplate || !this.currentTemplate.templateId) {
+            this.showMessage('Save and publish the template before printing QR codes for it', 'error');
+            return;
+        }
+
+        const candidates = this.fields.filter(FormPrefill.isPrefillable);
+        const guesses = { qrBuildingField: /building/i, qrRoomField: /room/i, qrAssetField: /asset|equipment|machine/i };
+        Object.entries(guesses).forEach(([id, pattern]) => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = '<option value="">(not used)</option>' + candidates
+                .map(field => `<option value="${this.escapeAttr(field.name)}">${this.escapeAttr(field.label || field.name)}</option>`)
+                .join('');
+
+            const guess = candidates.find(field => pattern.test(field.name) || pattern.test(field.label || ''));
+            select.value = candidates.some(field => field.name === previous) ? previous : (guess ? guess.name : '');
+        });
+
+        this.openModal('qrModal');
+    }
+
+    /**
+     * Locations typed one per line as "building, room, asset"; tabs work too, so rows can be pasted from a spreadsheet
+     */
+    parseQrLocations(text) {
+        return text.split('\n')
+            .map(line => line.split(/[,\t]/).map(part => part.trim()))
+            .filter(parts => parts.some(part => part !== ''));
+    }
+
+    generateQrCodes() {
+        const mapping = ['qrBuildingField', 'qrRoomField', 'qrAssetField'].map(id => document.getElementById(id).value);
+        if (!mapping.some(Boolean)) {
+            this.showMessage('Choose at least one location field', 'error');
+            return;
+        }
+
+        const locations = this.parseQrLocations(document.getElementById('qrLocations').value);
+        if (locations.length === 0) {
+            this.showMessage('Enter at least one location', 'error');
+            return;
+        }
+
+        const templateId = this.currentTemplate.templateId;
+        const lock = document.getElementById('qrLock').checked;
+        const warnings = [];
+        this.qrCards = [];
+
+        locations.forEach((parts, line) => {
+            const values = {};
+            mapping.forEach((name, index) => {
+                const value = parts[index];
+                if (!name || !value) return;
+                values[name] = value;
+
+                // The portal skips values that are not among a field's fixed options
+                const field = this.fields.find(candidate => candidate.name === name);
+                if (!field.lookup && Array.isArray(field.options) && field.options.length > 0 && !field.options.includes(value)) {
+                    warnings.push(`Line ${line + 1}: "${value}" is not an option of ${field.label || field.name}`);
+                }
+            });
+
+            const link = new URL(`user-portal.html?${FormPrefill.buildQuery(templateId, values, this.fields, lock)}`, window.location.href).toString();
+            try {
+                this.qrCards.push({
+                    label: parts.filter(Boolean).join(' · '),
+                    link: link,
+                    svg: QRCode.toSVG(QRCode.encode(link, 'M'))
+                });
+            } catch (error) {
+                warnings.push(`Line ${line + 1}: ${error.message}`);
+            }
+        });
+
+        const report = document.getElementById('qrWarnings');
+        report.style.display = warnings.length > 0 ? 'block' : 'none';
+        report.innerHTML = warnings.length > 0
+            ? `<ul>${warnings.map(warning => `<li class="lint-warning">${this.escapeAttr(warning)}</li>`).join('')}</ul>`
+            : '';
+
+        document.getElementById('qrSheet').innerHTML = this.qrCards.map(card => `
+            <div class="qr-card" title="${this.escapeAttr(card.link)}">
+                ${card.svg}
+                <div class="qr-label">${this.escapeAttr(card.label)}</div>
+            </div>
+        `).join('');
+        document.getElementById('printQrCodes').disabled = this.qrCards.length === 0;
+    }
+
+    /**
+     * Open the codes on a page of their own, sized for labels, and print it
+     */
+    printQrSheet() {
+        if (!this.qrCards || this.qrCards.length === 0) return;
+
+        const title = this.escapeAttr(this.currentTemplate.name || this.currentTemplate.templateId);
+        const sheet = window.open('', '_blank');
+        if (!sheet) {
+            this.showMessage('Allow pop-ups for this page to print the QR sheet', 'error');
+            return;
+        }
+
+        sheet.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title} - QR Codes</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 10mm; color: #000; }
+        h1 { font-size: 14pt; margin: 0 0 6mm; }
+        .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm; }
+        .card { border: 1px dashed #999; padding: 4mm; text-align: center; break-inside: avoid; page-break-inside: avoid; }
+        .card svg { width: 45mm; height: 45mm; }
+        .label { font-size: 11pt; font-weight: 600; margin-top: 2mm; }
+        .form { font-size: 8pt; color: #444; }
+        @page { margin: 8mm; }
+        @media print { h1 { display: none; } }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <div class="sheet">
+        ${this.qrCards.map(card => `
+        <div class="card">
+            ${card.svg}
+            <div class="label">${this.escapeAttr(card.label)}</div>
+            <div class="form">Scan to report: ${title}</div>
+        </div>`).join('')}
+    </div>
+</body>
+</html>`);
+        sheet.document.close();
+        sheet.focus();
+        sheet.print();
+    }
+
+    generateSectionHTML(field) {
+        return `
+            <div class="form-section" data-section data-section-title="${this.escapeAttr(field.label)}">
+                <h3>${field.label}</h3>
+                ${field.placeholder ? `<p>${field.placeholder}</p>` : ''}
+            </div>
+        `;
+    }
+
+    generateRequiredMarkerHTML(field, attributes) {
+        // Fields with a required-if rule always carry the marker; FormRules toggles it
+        const conditional = field.rules && FormRules.isValidCondition(field.rules.requiredWhen);
+        if (!field.required && !conditional) return '';
+        return ` <span ${attributes} data-required-marker>*</span>`;
+    }
+
+    generateAcceptAttr(field) {
+        const fileTypes = field.validation && field.validation.fileTypes;
+        return fileTypes && fileTypes.length ? `accept="${this.escapeAttr(fileTypes.join(','))}"` : '';
+    }
+
     generatePreviewFieldHTML(field) {
         const requiredAttr = field.required ? 'required' : '';
         const style = 'width: 100%; padding: 12px; border: 2px solid #e2e8f0; border-radius: 6px; font-size: 1rem;';
@@ -567,7 +2619,18 @@ class FlexFormBuilder {
             case 'email':
             case 'number':
             case 'date':
+            case 'tel':
+            case 'url':
+            case 'time':
+            case 'datetime-local':
+            case 'month':
+            case 'week':
                 return `<input type="${field.type}" name="${field.name}" placeholder="${field.placeholder}" style="${style}" ${requiredAttr}>`;
+
+            case 'rating':
+            case 'yesno':
+            case 'multiselect':
+                return FormWidgets.render(field, 'preview_');
             
             case 'textarea':
                 return `<textarea name="${field.name}" placeholder="${field.placeholder}" style="${style} min-height: 100px; resize: vertical;" ${requiredAttr}></textarea>`;
@@ -603,7 +2666,13 @@ class FlexFormBuilder {
                 }
             
             case 'file':
-                return `<input type="file" name="${field.name}" style="${style}" ${requiredAttr}>`;
+                return `<input type="file" name="${field.name}" style="${style}" ${this.generateAcceptAttr(field)} ${requiredAttr}>`;
+
+            case 'group':
+                return FormRepeater.renderHTML(field);
+
+            case 'calculated':
+                return `<input type="text" name="${field.name}" style="${style} background: #f7fafc;" readonly data-calculated>`;
             
             default:
                 return `<input type="text" name="${field.name}" placeholder="${field.placeholder}" style="${style}" ${requiredAttr}>`;
@@ -611,10 +2680,17 @@ class FlexFormBuilder {
     }
 
     exportForm() {
+        const lint = this.lintTemplate(this.fields, 'Export');
+        if (lint.errors.length > 0 && !confirm(`This form has ${lint.errors.length} error(s):\n\n${TemplateLinter.format(lint)}\n\nExport anyway?`)) {
+            return;
+        }
+
         const formData = {
             title: document.getElementById('formTitle').value || 'Dynamic Form',
             description: document.getElementById('formDescription').value,
             fields: this.fields,
+            templateId: this.currentTemplate ? this.currentTemplate.templateId : null,
+            version: this.currentTemplate ? this.currentTemplate.version : null,
             sharepointConfig: this.sharepointConfig,
             exported: new Date().toISOString()
         };
@@ -651,19 +2727,26 @@ class FlexFormBuilder {
         submitBtn.disabled = true;
 
         try {
-            // Create list in SharePoint
-            const listResult = await this.sharepointConnector.createList(
-                this.sharepointConfig.listName, 
+            const lint = this.lintTemplate(this.fields, 'Create in Dataverse');
+            if (lint.errors.length > 0 && !confirm(`This form has ${lint.errors.length} error(s):\n\n${TemplateLinter.format(lint)}\n\nCreate the table anyway?`)) {
+                return;
+            }
+
+            // Create the table, or add new columns to the one made for an earlier version
+            const tableResult = await this.sharepointConnector.createTable(
+                this.sharepointConfig.tableName,
+                document.getElementById('formTitle').value || 'Dynamic Form',
                 this.fields
             );
-            
-            if (listResult.success) {
-                this.showMessage('Form structure created in SharePoint successfully!', 'success');
-                
+
+            if (tableResult.success) {
+                this.sharepointConfig.entitySetName = tableResult.entitySetName;
+                this.showMessage(`Table ${tableResult.logicalName} ${tableResult.created ? 'created' : 'updated'} in Dataverse (${tableResult.added.length} column(s) added)`, 'success');
+
                 // Generate integrated form HTML for deployment
-                this.generateIntegratedSharePointForm();
+                await this.generateIntegratedSharePointForm();
             } else {
-                throw new Error('Failed to create SharePoint list structure');
+                throw new Error(tableResult.error);
             }
             
         } catch (error) {
@@ -674,33 +2757,66 @@ class FlexFormBuilder {
         }
     }
 
-    generateIntegratedSharePointForm() {
-        const formConfig = {
-            title: document.getElementById('formTitle').value || 'Dynamic Form',
-            description: document.getElementById('formDescription').value,
-            fields: this.fields,
-            listName: this.sharepointConfig.listName
-        };
-        
-        // Generate integrated form using Dataverse connector
-        const formHTML = this.sharepointConnector.generateIntegratedForm(formConfig);
-        
-        // Download the generated form
-        const blob = new Blob([formHTML], {type: 'text/html'});
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${formConfig.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_integrated_form.html`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+    async generateIntegratedSharePointForm() {
+        // The access token is never written into the page; it signs in with the Dataverse session instead
+        await this.generateDataverseForm({
+            type: 'dataverse',
+            url: this.sharepointConfig.url,
+            prefix: this.sharepointConfig.prefix,
+            tableName: this.sharepointConfig.tableName,
+            entitySetName: this.sharepointConfig.entitySetName
+        });
+    }
+
+    /**
+     * Export a standalone form that submits to the endpoint picked in the export panel
+     */
+    async exportStandaloneForm() {
+        const type = document.getElementById('standaloneTarget').value;
+        let target = { type: type };
+
+        if (type === 'supabase') {
+            // Only the public anon key goes into the page; row level security decides what it may insert
+            const config = window.EMBEDDED_CONFIG || window.FLEXFORM_CONFIG || {};
+            target = { type: type, url: config.SUPABASE_URL, anonKey: config.SUPABASE_ANON_KEY, table: 'gemba_requests' };
+        } else if (type === 'webhook') {
+            target.url = document.getElementById('standaloneWebhookUrl').value.trim();
+        } else if (type === 'dataverse') {
+            target = { type: type, ...this.sharepointConfig };
+            delete target.connected;
+        }
+
+        const targetError = FormSubmitter.validateTarget(target);
+        if (targetError) {
+            this.showMessage(`Cannot export: ${targetError}`, 'error');
+            return;
+        }
+        await this.generateDataverseForm(target);
     }
 
-    generateDataverseForm() {
-        // This would generate the actual HTML form that integrates with Dataverse
+    /**
+     * Standalone form that sends submissions to target (see FormSubmitter)
+     */
+    async generateDataverseForm(target) {
+        const lint = this.lintTemplate(this.fields, 'Export');
+        if (lint.errors.length > 0 && !confirm(`This form has ${lint.errors.length} error(s):\n\n${TemplateLinter.format(lint)}\n\nExport anyway?`)) {
+            return;
+        }
+        // Lookup options are baked in, since the exported page has no database connection
+        const fields = await FormLookups.resolve(this.fields, window.supabaseClient);
         const formTitle = document.getElementById('formTitle').value || 'Dynamic Form';
         const formDescription = document.getElementById('formDescription').value;
+        target = {
+            ...target,
+            formName: formTitle,
+            templateId: this.currentTemplate ? this.currentTemplate.templateId : null,
+            templateVersion: this.currentTemplate ? this.currentTemplate.version : null
+        };
+        // gemba_requests only accepts submissions that name a stored template
+        if (target.type === 'supabase' && !target.templateId) {
+            this.showMessage('Save the template before exporting a form that submits to Supabase', 'error');
+            return;
+        }
         
         let formHTML = `<!DOCTYPE html>
 <html lang="en">
@@ -716,20 +2832,48 @@ class FlexFormBuilder {
         button { background: #0078d4; color: white; padding: 12px 30px; border: none; border-radius: 4px; cursor: pointer; }
         button:hover { background: #106ebe; }
         .required { color: red; }
+        .confirmation { padding: 15px; border-radius: 4px; margin-bottom: 20px; }
+        .confirmation.success { background: #e6ffed; border: 1px solid #38a169; }
+        .confirmation.queued { background: #fffbea; border: 1px solid #d69e2e; }
+        .confirmation.error { background: #fff5f5; border: 1px solid #e53e3e; }
+        .confirmation-detail { margin-top: 5px; font-family: monospace; word-break: break-all; }
+        .queue-status { color: #975a16; font-size: 0.9rem; margin-bottom: 20px; }
+        .queue-status p { margin: 0 0 8px; }
+        .queue-status .rejected { color: #c53030; }
+        .queue-status button { padding: 6px 14px; font-size: 0.85rem; }
     </style>
 </head>
 <body>
     <h1>${formTitle}</h1>
     ${formDescription ? `<p>${formDescription}</p>` : ''}
+
+    <div id="formConfirmation" class="confirmation" role="status" hidden>
+        <strong></strong>
+        <div class="confirmation-detail"></div>
+    </div>
+    <div id="queueStatus" class="queue-status" hidden></div>
     
     <form id="dataverseForm" action="#" method="POST">
+        <div id="formFields">
 `;
 
-        this.fields.forEach(field => {
+        fields.forEach(field => {
+            if (field.type === 'section') {
+                formHTML += this.generateSectionHTML(field);
+                return;
+            }
+
+            if (field.type === 'info') {
+                formHTML += `
+        <div class="form-group" data-field-name="${field.name}">${FormWidgets.render(field)}</div>
+`;
+                return;
+            }
+
             formHTML += `
-        <div class="form-group">
+        <div class="form-group" data-field-name="${field.name}">
             <label for="${field.name}">
-                ${field.label}${field.required ? ' <span class="required">*</span>' : ''}
+                ${field.label}${this.generateRequiredMarkerHTML(field, 'class="required"')}
             </label>
             ${this.generateDataverseFieldHTML(field)}
         </div>
@@ -737,20 +2881,166 @@ class FlexFormBuilder {
         });
 
         formHTML += `
-        <button type="submit">Submit to Dataverse</button>
+        </div>
+        <button type="submit">Submit</button>
     </form>
 
     <script>
-        document.getElementById('dataverseForm').addEventListener('submit', function(e) {
+        ${FormRules.toString()}
+
+        ${FormValidator.toString()}
+
+        ${FormWizard.toString()}
+
+        ${FormRepeater.toString()}
+
+        ${FormCalculator.toString()}
+
+        ${FormWidgets.toString()}
+
+        ${FormLookups.toString()}
+
+        ${FormSubmitter.toString()}
+        ${target.type === 'dataverse' ? DataverseConnector.toString() : ''}
+        ${target.type === 'dataverse' && DataverseConnector.isMock(target.url) ? DataverseMock.toString() : ''}
+
+        const formFields = ${JSON.stringify(fields).replace(/</g, '\\u003c')};
+        const target = ${JSON.stringify(target).replace(/</g, '\\u003c')};
+        const form = document.getElementById('dataverseForm');
+        const connector = target.type === 'dataverse' ? new DataverseConnector() : null;
+        let connecting = null;
+
+        FormWidgets.injectStyles();
+        FormRepeater.bind(form, formFields);
+        FormLookups.bind(form, formFields);
+        FormCalculator.bind(form, formFields);
+        FormRules.bind(form, formFields);
+        const wizard = FormWizard.hasSections(formFields)
+            ? new FormWizard(document.getElementById('formFields'), { fields: formFields })
+            : null;
+
+        // Connect once; a failed attempt is retried on the next submission
+        function connectTarget() {
+            if (!connector) return Promise.resolve();
+            connecting = connecting || connector.connect(target.url, '', { prefix: target.prefix }).then(async result => {
+                if (!result.success) throw new Error(result.error);
+                if (DataverseConnector.isMock(target.url)) {
+                    // A fresh mock per page load, so the table is created again here
+                    const table = await connector.createTable(target.tableName, target.formName, formFields);
+                    if (!table.success) throw new Error(table.error);
+                }
+            }).catch(error => {
+                connecting = null;
+                error.retryable = navigator.onLine === false;
+                throw error;
+            });
+            return connecting;
+        }
+
+        function showConfirmation(kind, message, detail) {
+            const box = document.getElementById('formConfirmation');
+            box.className = 'confirmation ' + kind;
+            box.querySelector('strong').textContent = message;
+            box.querySelector('.confirmation-detail').textContent = detail || '';
+            box.hidden = false;
+            box.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        function updateQueueStatus() {
+            const count = FormSubmitter.readQueue(target).length;
+            const rejected = FormSubmitter.readRejected(target).length;
+            const status = document.getElementById('queueStatus');
+            status.replaceChildren();
+            if (count > 0) {
+                const waiting = document.createElement('p');
+                waiting.textContent = count + ' submission(s) saved on this device, waiting to be sent';
+                status.appendChild(waiting);
+            }
+            if (rejected > 0) {
+                const line = document.createElement('p');
+                line.className = 'rejected';
+                line.textContent = rejected + ' saved submission(s) were rejected by the server. Export them to fix and send again. ';
+                const exportButton = document.createElement('button');
+                exportButton.type = 'button';
+                exportButton.textContent = 'Export rejected';
+                exportButton.addEventListener('click', function() {
+                    FormSubmitter.exportRejected(target);
+                    updateQueueStatus();
+                });
+                line.appendChild(exportButton);
+                status.appendChild(line);
+            }
+            status.hidden = count === 0 && rejected === 0;
+        }
+
+        function resetForm() {
+            form.reset();
+            form.dispatchEvent(new Event('change', { bubbles: true }));
+            if (wizard) {
+                wizard.showStep(Math.max(wizard.findStep(0, 1), 0));
+            }
+        }
+
+        async function sendQueued() {
+            if (FormSubmitter.readQueue(target).length === 0) return;
+            try {
+                await connectTarget();
+                const result = await FormSubmitter.flush(target, formFields, connector);
+                if (result.rejected.length > 0) {
+                    showConfirmation('error', result.rejected.length + ' saved submission(s) rejected by the server',
+                        result.rejected.map(item => item.reference + ': ' + item.error).join(', '));
+                } else if (result.sent.length > 0) {
+                    showConfirmation('success', result.sent.length + ' saved submission(s) sent',
+                        result.sent.map(item => item.reference + ' → record ' + item.recordId).join(', '));
+                }
+            } catch (error) {
+                console.warn('Queued submissions not sent yet:', error.message);
+            }
+            updateQueueStatus();
+        }
+
+        window.addEventListener('online', sendQueued);
+        updateQueueStatus();
+        sendQueued();
+
+        form.addEventListener('submit', async function(e) {
             e.preventDefault();
             
-            // Collect form data
+            if (!FormValidator.validateForm(this, formFields)) {
+                if (wizard) {
+                    const firstError = this.querySelector('.field-error');
+                    wizard.showField(firstError.closest('[data-field-name]').dataset.fieldName);
+                }
+                return;
+            }
+
+            // Collect form data (hidden fields are disabled, so they are not included)
             const formData = new FormData(this);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Submit to Dataverse (implement actual API call here)
-            console.log('Submitting to Dataverse:', data);
-            alert('Form submitted successfully!');
+            const values = FormRepeater.normalize(FormWidgets.readFormData(formData), formFields);
+            const data = FormRules.filterSubmission(FormCalculator.apply(values, formFields), formFields);
+            const payload = FormSubmitter.envelope(target, data);
+
+            const submitButton = this.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            try {
+                await connectTarget();
+                const result = await FormSubmitter.send(target, payload, formFields, connector);
+                showConfirmation('success', 'Thank you, your submission was received.',
+                    result.recordId ? 'Record id: ' + result.recordId : '');
+                resetForm();
+            } catch (error) {
+                if (error.retryable) {
+                    const reference = FormSubmitter.enqueue(target, payload);
+                    showConfirmation('queued', 'Saved on this device. It will be sent automatically once the connection is back.',
+                        'Reference: ' + reference);
+                    resetForm();
+                } else {
+                    showConfirmation('error', 'Submission failed: ' + error.message, 'Your answers are still in the form.');
+                }
+            } finally {
+                submitButton.disabled = false;
+                updateQueueStatus();
+            }
         });
     </script>
 </body>
@@ -761,7 +3051,7 @@ class FlexFormBuilder {
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
-        link.download = `${formTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_dataverse_form.html`;
+        link.download = `${formTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${target.type}_form.html`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
@@ -776,7 +3066,18 @@ class FlexFormBuilder {
             case 'email':
             case 'number':
             case 'date':
+            case 'tel':
+            case 'url':
+            case 'time':
+            case 'datetime-local':
+            case 'month':
+            case 'week':
                 return `<input type="${field.type}" id="${field.name}" name="${field.name}" placeholder="${field.placeholder}" ${requiredAttr}>`;
+
+            case 'rating':
+            case 'yesno':
+            case 'multiselect':
+                return FormWidgets.render(field);
             
             case 'textarea':
                 return `<textarea id="${field.name}" name="${field.name}" placeholder="${field.placeholder}" ${requiredAttr}></textarea>`;
@@ -812,7 +3113,13 @@ class FlexFormBuilder {
                 }
             
             case 'file':
-                return `<input type="file" id="${field.name}" name="${field.name}" ${requiredAttr}>`;
+                return `<input type="file" id="${field.name}" name="${field.name}" ${this.generateAcceptAttr(field)} ${requiredAttr}>`;
+
+            case 'group':
+                return FormRepeater.renderHTML(field);
+
+            case 'calculated':
+                return `<input type="text" id="${field.name}" name="${field.name}" readonly data-calculated>`;
             
             default:
                 return `<input type="text" id="${field.name}" name="${field.name}" placeholder="${field.placeholder}" ${requiredAttr}>`;
@@ -854,896 +3161,5 @@ class FlexFormBuilder {
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    const flexForm = new FlexFormBuilder();
-    
-    // Refresh templates after initialization to ensure new templates are visible
-    setTimeout(() => {
-        flexForm.templates = flexForm.loadTemplates();
-        flexForm.loadSavedTemplates();
-    }, 100);
-});
-
-// Add some default templates
-document.addEventListener('DOMContentLoaded', () => {
-    const defaultTemplates = {
-        'Contact Form': {
-            name: 'Contact Form',
-            title: 'Contact Us',
-            description: 'Get in touch with us',
-            fields: [
-                {
-                    id: 1,
-                    type: 'text',
-                    label: 'Full Name',
-                    name: 'full_name',
-                    placeholder: 'Enter your full name',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 2,
-                    type: 'email',
-                    label: 'Email Address',
-                    name: 'email',
-                    placeholder: 'Enter your email',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 3,
-                    type: 'text',
-                    label: 'Subject',
-                    name: 'subject',
-                    placeholder: 'Enter subject',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 4,
-                    type: 'textarea',
-                    label: 'Message',
-                    name: 'message',
-                    placeholder: 'Enter your message',
-                    required: true,
-                    options: []
-                }
-            ],
-            created: new Date().toISOString()
-        },
-        'Survey Form': {
-            name: 'Survey Form',
-            title: 'Customer Satisfaction Survey',
-            description: 'Help us improve our services',
-            fields: [
-                {
-                    id: 1,
-                    type: 'text',
-                    label: 'Name',
-                    name: 'name',
-                    placeholder: 'Your name (optional)',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 2,
-                    type: 'select',
-                    label: 'How did you hear about us?',
-                    name: 'source',
-                    placeholder: '',
-                    required: true,
-                    options: ['Social Media', 'Search Engine', 'Friend Referral', 'Advertisement', 'Other']
-                },
-                {
-                    id: 3,
-                    type: 'radio',
-                    label: 'Overall Satisfaction',
-                    name: 'satisfaction',
-                    placeholder: '',
-                    required: true,
-                    options: ['Very Satisfied', 'Satisfied', 'Neutral', 'Dissatisfied', 'Very Dissatisfied']
-                },
-                {
-                    id: 4,
-                    type: 'checkbox',
-                    label: 'Which services have you used?',
-                    name: 'services',
-                    placeholder: '',
-                    required: false,
-                    options: ['Consulting', 'Development', 'Support', 'Training']
-                },
-                {
-                    id: 5,
-                    type: 'textarea',
-                    label: 'Additional Comments',
-                    name: 'comments',
-                    placeholder: 'Any additional feedback...',
-                    required: false,
-                    options: []
-                }
-            ],
-            created: new Date().toISOString()
-        },
-        'Gemba Information Request': {
-            name: 'Gemba Information Request',
-            title: 'Framingham Gemba - Preliminary Information Request',
-            description: 'Comprehensive event reporting and documentation form for Gemba scheduling',
-            fields: [
-                {
-                    id: 1,
-                    type: 'text',
-                    label: 'Short Description / Title of Event',
-                    name: 'event_title',
-                    placeholder: 'Enter brief description of the event',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 2,
-                    type: 'email',
-                    label: 'Contact / Organizer',
-                    name: 'contact_organizer',
-                    placeholder: 'Enter a valid email address',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 3,
-                    type: 'text',
-                    label: 'Related SOP(s)/batch record/procedure/standard/EWI/form etc. and step #',
-                    name: 'related_documents',
-                    placeholder: 'List relevant SOPs, batch records, procedures, standards, and step numbers',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 4,
-                    type: 'file',
-                    label: 'Associated Documentation',
-                    name: 'documentation',
-                    placeholder: 'Upload supporting documentation or evidence',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 5,
-                    type: 'text',
-                    label: 'Batch Association (include RF if available)',
-                    name: 'batch_association',
-                    placeholder: 'Are any batches impacted by this event? List batch and part number(s)',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 6,
-                    type: 'text',
-                    label: 'Who is directly involved?',
-                    name: 'directly_involved',
-                    placeholder: 'List personnel directly involved in the event',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 7,
-                    type: 'text',
-                    label: 'Who discovered event? How was it detected?',
-                    name: 'event_discovery',
-                    placeholder: 'Describe who found the event and detection method',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 8,
-                    type: 'textarea',
-                    label: 'What happened?',
-                    name: 'what_happened',
-                    placeholder: 'What was the observation? What did we deviate from? What is the problem statement? Provide as much detail as possible.',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 9,
-                    type: 'text',
-                    label: 'Where (building/room #/lab)?',
-                    name: 'event_location',
-                    placeholder: 'Specify exact location where event occurred',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 10,
-                    type: 'date',
-                    label: 'When did the event occur?',
-                    name: 'occurrence_date',
-                    placeholder: '',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 11,
-                    type: 'text',
-                    label: 'Time of Occurrence',
-                    name: 'occurrence_time',
-                    placeholder: 'Enter time (e.g., 14:30, 2:30 PM)',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 12,
-                    type: 'date',
-                    label: 'When was the event detected?',
-                    name: 'detection_date',
-                    placeholder: '',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 13,
-                    type: 'text',
-                    label: 'Time of Detection',
-                    name: 'detection_time',
-                    placeholder: 'Enter time (e.g., 14:30, 2:30 PM)',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 14,
-                    type: 'textarea',
-                    label: 'Expected Results',
-                    name: 'expected_results',
-                    placeholder: 'List specific requirements and the document they\'re listed in. For example, per FBL-CST-012345 step 4.1, the temperature must be between 25-30C.',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 15,
-                    type: 'textarea',
-                    label: 'Immediate actions before Gemba',
-                    name: 'immediate_actions',
-                    placeholder: 'For example, equipment tagged out of service, emergency WO opened.',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 16,
-                    type: 'textarea',
-                    label: 'Justification (if > 24 hours)',
-                    name: 'justification',
-                    placeholder: 'Provide justification if Gemba is scheduled more than 24 hours after event',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 17,
-                    type: 'date',
-                    label: 'GEMBA scheduled Date',
-                    name: 'gemba_date',
-                    placeholder: '',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 18,
-                    type: 'select',
-                    label: 'GEMBA scheduled Time',
-                    name: 'gemba_time',
-                    placeholder: '',
-                    required: false,
-                    options: [
-                        '2400', '2430', '0100', '0130', '0200', '0230', '0300', '0330',
-                        '0400', '0430', '0500', '0530', '0600', '0630', '0700', '0730',
-                        '0800', '0830', '0900', '0930', '1000', '1030', '1100', '1130',
-                        '1200', '1230', '1300', '1330', '1400', '1430', '1500', '1530',
-                        '1600', '1630', '1700', '1730', '1800', '1830', '1900', '1930',
-                        '2000', '2030', '2100', '2130', '2200', '2230', '2300', '2330'
-                    ]
-                }
-            ],
-            created: new Date().toISOString()
-        },
-        'Gemba Intake Form': {
-            name: 'Gemba Intake Form',
-            title: 'Deviation Intake Form',
-            description: 'Complete form using information from Preliminary Info form and Gemba meeting - Upload to SmartSheet immediately following the Gemba',
-            fields: [
-                // Team Information
-                {
-                    id: 1,
-                    type: 'text',
-                    label: 'Gemba Coach',
-                    name: 'gemba_coach',
-                    placeholder: 'Enter Gemba Coach name',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 2,
-                    type: 'text',
-                    label: 'Gemba Facilitator',
-                    name: 'gemba_facilitator',
-                    placeholder: 'Enter Gemba Facilitator name',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 3,
-                    type: 'text',
-                    label: 'Gemba Scribe',
-                    name: 'gemba_scribe',
-                    placeholder: 'Enter Gemba Scribe name',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 4,
-                    type: 'textarea',
-                    label: 'Impacted/Discovering Department Reps',
-                    name: 'department_reps',
-                    placeholder: 'List department representatives present',
-                    required: true,
-                    options: []
-                },
-                
-                // SME Attendees
-                {
-                    id: 5,
-                    type: 'checkbox',
-                    label: 'Required SMEs Present at Start of Gemba',
-                    name: 'smes_present',
-                    placeholder: '',
-                    required: false,
-                    options: ['Manufacturing', 'Automation (DOT) / MES', 'QA Digital Compliance', 'Contamination Control', 'Facilities / Engineering', 'Cleaners', 'MSAT', 'Company Subject Matter Expert(s)', 'QA Ops & QA CDI', 'Other']
-                },
-                {
-                    id: 6,
-                    type: 'text',
-                    label: 'Other SMEs',
-                    name: 'other_smes',
-                    placeholder: 'Specify other SMEs if selected',
-                    required: false,
-                    options: []
-                },
-                
-                // Event Details
-                {
-                    id: 7,
-                    type: 'text',
-                    label: 'Title (Product - Lot - Building - Description)',
-                    name: 'title',
-                    placeholder: 'Include Product line, batch if applicable, Building, Deviating Event',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 8,
-                    type: 'textarea',
-                    label: 'Team',
-                    name: 'team',
-                    placeholder: 'Add Owner, Quality Approver. For Significant Deviations: Investigation Leader and Contributors',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 9,
-                    type: 'textarea',
-                    label: 'Description',
-                    name: 'description',
-                    placeholder: 'Tell the story of the event (Problem Statement) - concise while clearly describing the deviating situation',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 10,
-                    type: 'textarea',
-                    label: 'Additional Information',
-                    name: 'additional_info',
-                    placeholder: 'Key elements: dates/timeframe, procedures/batch records, excursion values, GPS team from GEMBA',
-                    required: false,
-                    options: []
-                },
-                
-                // 5W Analysis
-                {
-                    id: 11,
-                    type: 'textarea',
-                    label: 'Why (Expected Results vs What Happened)',
-                    name: 'why',
-                    placeholder: 'Document the expected results with details to describe the deviation',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 12,
-                    type: 'textarea',
-                    label: 'Who (People Involved)',
-                    name: 'who',
-                    placeholder: 'Who noticed the problem? Which employees performed the action? Which shifts? Who was contacted?',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 13,
-                    type: 'textarea',
-                    label: 'How (Process Description)',
-                    name: 'how',
-                    placeholder: 'How did the process step come about and how did it deviate from routine? How do we normally work vs what went differently?',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 14,
-                    type: 'textarea',
-                    label: 'How - Additional Information',
-                    name: 'how_additional',
-                    placeholder: 'Compare what went differently. What steps led to the problem? For Non-Significant Events: document the most assignable cause',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 15,
-                    type: 'textarea',
-                    label: 'How Much (Magnitude of Deviation)',
-                    name: 'how_much',
-                    placeholder: 'Quantity of product, number of process steps, batches, occurrences, procedures impacted, volume, vials, etc.',
-                    required: true,
-                    options: []
-                },
-                
-                // Location and Process
-                {
-                    id: 16,
-                    type: 'select',
-                    label: 'Reporter Entity',
-                    name: 'reporter_entity',
-                    placeholder: '',
-                    required: true,
-                    options: ['MA BioCampus']
-                },
-                {
-                    id: 17,
-                    type: 'text',
-                    label: 'Department',
-                    name: 'department',
-                    placeholder: 'Select department responsible for the impacted process',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 18,
-                    type: 'select',
-                    label: 'Owning Entity',
-                    name: 'owning_entity',
-                    placeholder: '',
-                    required: true,
-                    options: ['MA BioCampus']
-                },
-                {
-                    id: 19,
-                    type: 'text',
-                    label: 'Building',
-                    name: 'building',
-                    placeholder: 'Select building where event took place',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 20,
-                    type: 'text',
-                    label: 'Room',
-                    name: 'room',
-                    placeholder: 'Select room where event took place',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 21,
-                    type: 'text',
-                    label: 'Process',
-                    name: 'process',
-                    placeholder: 'Select the impacted process',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 22,
-                    type: 'text',
-                    label: 'Operation',
-                    name: 'operation',
-                    placeholder: 'Select the step (operation) of the process',
-                    required: true,
-                    options: []
-                },
-                
-                // Timing
-                {
-                    id: 23,
-                    type: 'datetime-local',
-                    label: 'Date Detected',
-                    name: 'date_detected',
-                    placeholder: '',
-                    required: true,
-                    options: []
-                },
-                {
-                    id: 24,
-                    type: 'textarea',
-                    label: 'Event Raised Late Justification',
-                    name: 'late_justification',
-                    placeholder: 'If event generated outside 24 hour requirement, document rationale and no impact statement',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 25,
-                    type: 'select',
-                    label: 'Date Occurred Known',
-                    name: 'date_occurred_known',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                
-                // Asset and Product
-                {
-                    id: 26,
-                    type: 'select',
-                    label: 'Asset Concerned',
-                    name: 'asset_concerned',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 27,
-                    type: 'select',
-                    label: 'Product Concerned',
-                    name: 'product_concerned',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                
-                // Product Impact Section (conditional)
-                {
-                    id: 28,
-                    type: 'text',
-                    label: 'Product (Part Number)',
-                    name: 'product',
-                    placeholder: 'Part Number for product; use DS part number if not specific step related',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 29,
-                    type: 'text',
-                    label: 'Batch',
-                    name: 'batch',
-                    placeholder: 'Select batch code(s) - Only for Significant deviations',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 30,
-                    type: 'select',
-                    label: 'Impact',
-                    name: 'impact',
-                    placeholder: '',
-                    required: false,
-                    options: ['Impacted', 'Not Impacted']
-                },
-                {
-                    id: 31,
-                    type: 'textarea',
-                    label: 'Impact Rationale',
-                    name: 'impact_rationale',
-                    placeholder: 'QA Field: Document QA Forward Processing Statement. Title as such and initial/date',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 32,
-                    type: 'select',
-                    label: 'Handling Unit Impacted',
-                    name: 'handling_unit_impacted',
-                    placeholder: '',
-                    required: false,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 33,
-                    type: 'textarea',
-                    label: 'Comment (Batch for NS events)',
-                    name: 'comment_batch',
-                    placeholder: 'Record batch here for Non-Significant events',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 34,
-                    type: 'textarea',
-                    label: 'Comment (Further Processing Decision)',
-                    name: 'comment_processing',
-                    placeholder: 'Under what conditions can processing continue? Justification for no restrictions',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 35,
-                    type: 'textarea',
-                    label: 'Comment (QI Status)',
-                    name: 'comment_qi_status',
-                    placeholder: 'When product in QI status, determine target date for removal',
-                    required: false,
-                    options: []
-                },
-                
-                // Actions
-                {
-                    id: 36,
-                    type: 'select',
-                    label: 'Immediate Action Needed',
-                    name: 'immediate_action_needed',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 37,
-                    type: 'textarea',
-                    label: 'Actions Required',
-                    name: 'actions_required',
-                    placeholder: 'List immediate actions taken to contain/temporarily solve the problem',
-                    required: false,
-                    options: []
-                },
-                
-                // Clinical and Third Party
-                {
-                    id: 38,
-                    type: 'select',
-                    label: 'Clinical Study Concerned',
-                    name: 'clinical_study_concerned',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 39,
-                    type: 'select',
-                    label: 'Third Party Concerned',
-                    name: 'third_party_concerned',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                
-                // Third Party Details (conditional)
-                {
-                    id: 40,
-                    type: 'text',
-                    label: 'TP Complaint Title',
-                    name: 'tp_complaint_title',
-                    placeholder: 'Structure as: TP complaint for QE-XXXXX',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 41,
-                    type: 'textarea',
-                    label: 'TP Description of Complaint',
-                    name: 'tp_description',
-                    placeholder: 'Include specification document, when issue found (pre/post-use inspection), PO number',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 42,
-                    type: 'text',
-                    label: 'Specification Document #',
-                    name: 'spec_document',
-                    placeholder: '',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 43,
-                    type: 'select',
-                    label: 'Issue Detected When',
-                    name: 'issue_detected_when',
-                    placeholder: '',
-                    required: false,
-                    options: ['Pre-use inspection', 'Post-use inspection']
-                },
-                {
-                    id: 44,
-                    type: 'text',
-                    label: 'PO Number',
-                    name: 'po_number',
-                    placeholder: 'Materials Management to provide',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 45,
-                    type: 'text',
-                    label: 'Third Party',
-                    name: 'third_party',
-                    placeholder: 'Refer to specification document and core material',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 46,
-                    type: 'text',
-                    label: 'Core Material(s)',
-                    name: 'core_materials',
-                    placeholder: 'Materials Management to identify Core Material Number',
-                    required: false,
-                    options: []
-                },
-                
-                // References and Comments
-                {
-                    id: 47,
-                    type: 'text',
-                    label: 'External References',
-                    name: 'external_references',
-                    placeholder: 'Include references to external documents, audit reports, contractor documents, etc.',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 48,
-                    type: 'textarea',
-                    label: 'Comments',
-                    name: 'comments',
-                    placeholder: 'Document owner conclusion information. Contact RA Liaison if potential dossier violation',
-                    required: true,
-                    options: []
-                },
-                
-                // Criticality Assessment
-                {
-                    id: 49,
-                    type: 'select',
-                    label: 'Impacted or Potential Impact on Product',
-                    name: 'product_impact_question',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 50,
-                    type: 'select',
-                    label: 'Safety, Patients, Data Reliability',
-                    name: 'safety_question',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 51,
-                    type: 'select',
-                    label: 'Is The Event Indicative Of A Trend',
-                    name: 'trend_question',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 52,
-                    type: 'select',
-                    label: 'Impact GxP And/Or Regulatory Compliance',
-                    name: 'gxp_question',
-                    placeholder: '',
-                    required: true,
-                    options: ['Yes', 'No']
-                },
-                {
-                    id: 53,
-                    type: 'select',
-                    label: 'Overall Criticality Assessment',
-                    name: 'overall_criticality',
-                    placeholder: '',
-                    required: true,
-                    options: ['Significant', 'Non-Significant']
-                },
-                
-                // Action Items
-                {
-                    id: 54,
-                    type: 'textarea',
-                    label: 'Action Item 1 Description',
-                    name: 'action_item_1_desc',
-                    placeholder: 'Describe required action',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 55,
-                    type: 'text',
-                    label: 'Action Item 1 Owner',
-                    name: 'action_item_1_owner',
-                    placeholder: 'Assign owner',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 56,
-                    type: 'date',
-                    label: 'Action Item 1 Due Date',
-                    name: 'action_item_1_due',
-                    placeholder: '',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 57,
-                    type: 'textarea',
-                    label: 'Action Item 2 Description',
-                    name: 'action_item_2_desc',
-                    placeholder: 'Describe required action',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 58,
-                    type: 'text',
-                    label: 'Action Item 2 Owner',
-                    name: 'action_item_2_owner',
-                    placeholder: 'Assign owner',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 59,
-                    type: 'date',
-                    label: 'Action Item 2 Due Date',
-                    name: 'action_item_2_due',
-                    placeholder: '',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 60,
-                    type: 'textarea',
-                    label: 'Action Item 3 Description',
-                    name: 'action_item_3_desc',
-                    placeholder: 'Describe required action',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 61,
-                    type: 'text',
-                    label: 'Action Item 3 Owner',
-                    name: 'action_item_3_owner',
-                    placeholder: 'Assign owner',
-                    required: false,
-                    options: []
-                },
-                {
-                    id: 62,
-                    type: 'date',
-                    label: 'Action Item 3 Due Date',
-                    name: 'action_item_3_due',
-                    placeholder: '',
-                    required: false,
-                    options: []
-                }
-            ],
-            created: new Date().toISOString()
-        }
-    };
-
-    // Save default templates and merge with existing ones
-    const existing = localStorage.getItem('flexform_templates');
-    let allTemplates = defaultTemplates;
-    
-    if (existing) {
-        const existingTemplates = JSON.parse(existing);
-        // Merge existing templates with default templates, giving priority to existing ones
-        allTemplates = { ...defaultTemplates, ...existingTemplates };
-    }
-    
-    localStorage.setItem('flexform_templates', JSON.stringify(allTemplates));
+    new FlexFormBuilder();
 });
@@ -8,9 +8,11 @@ class SecureSupabaseConnector {
         this.supabaseKey = '';
         this.supabase = null;
         this.connected = false;
-        this.encryptionKey = null;
+        this.keyManager = new EncryptionKeyManager(this);
         this.currentUser = null;
+        this.accessToken = null;
         this.auditLog = [];
+        this.auditTrail = new AuditTrail(this);
     }
 
     /**
@@ -37,6 +39,8 @@ class SecureSupabaseConnector {
                 this.connected = true;
                 await this.initializeEncryption();
                 this.logSecurityEvent('CONNECTION_SUCCESS', { url: url });
+                // Upload what was logged before there was a connection
+                this.auditTrail.flush();
                 
                 console.log('✅ Connected to Supabase securely');
                 return {
@@ -66,7 +70,7 @@ class SecureSupabaseConnector {
             const response = await fetch(`${this.supabaseUrl}/rest/v1/`, {
                 headers: {
                     'apikey': this.supabaseKey,
-                    'Authorization': `Bearer ${this.supabaseKey}`,
+                    'Authorization': this.authorization(),
                     'Content-Type': 'application/json'
                 }
             });
@@ -82,21 +86,162 @@ class SecureSupabaseConnector {
     }
 
     /**
-     * Initialize client-side encryption
+     * Requests carry the signed-in user's token when there is one, so RLS sees who they are
+     */
+    authorization() {
+        return `Bearer ${this.accessToken || this.supabaseKey}`;
+    }
+
+    /**
+     * Take the identity of a Supabase Auth session (see auth-session.js), or go back to
+     * an anonymous user with null. accessToken is null when requests should keep the anon key.
+     */
+    useSession(identity, accessToken = null) {
+        const previous = this.currentUser;
+        this.currentUser = identity || { email: 'anonymous', role: 'user', department: 'general', authenticated: false };
+        this.accessToken = identity ? accessToken : null;
+
+        if (identity && (!previous || previous.email !== identity.email)) {
+            this.logSecurityEvent('USER_SIGNED_IN', { role: identity.role, department: identity.department });
+        } else if (!identity && previous && previous.authenticated) {
+            this.logSecurityEvent('USER_SIGNED_OUT', { email: previous.email });
+        }
+    }
+
+    /**
+     * securityContext with the signed-in identity; callers cannot claim another user, department or role
+     */
+    withIdentity(securityContext = {}) {
+        const user = this.currentUser || {};
+        if (!user.authenticated) {
+            return { ...securityContext, role: user.role || 'user' };
+        }
+        return { ...securityContext, userEmail: user.email, department: user.department, role: user.role };
+    }
+
+    /**
+     * PostgREST request with this connection's key; resolves to the parsed body
+     */
+    async rest(path, options = {}) {
+        const response = await fetch(`${this.supabaseUrl}/rest/v1/${path}`, {
+            method: options.method || 'GET',
+            headers: {
+                'apikey': this.supabaseKey,
+                'Authorization': this.authorization(),
+                'Content-Type': 'application/json',
+                'Prefer': options.prefer || 'return=representation'
+            },
+            body: options.body === undefined ? undefined : JSON.stringify(options.body)
+        });
+
+        const text = await response.text();
+        const result = text ? JSON.parse(text) : null;
+        if (!response.ok) {
+            throw new Error((result && result.message) || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return result;
+    }
+
+    /**
+     * Load the encryption keys; see encryption-key-manager.js
      */
     async initializeEncryption() {
         try {
-            this.encryptionKey = await window.crypto.subtle.generateKey(
-                { name: 'AES-GCM', length: 256 },
-                false,
-                ['encrypt', 'decrypt']
-            );
-            console.log('🔐 Encryption initialized');
+            await this.keyManager.load();
+            if (this.keyManager.hasActiveKey()) {
+                console.log(`🔐 Encryption initialized (key ${this.keyManager.activeKey().key_id})`);
+            } else {
+                console.warn('⚠️ No active encryption key; sensitive fields cannot be saved until an admin creates one');
+            }
         } catch (error) {
             console.error('❌ Encryption initialization failed:', error);
         }
     }
 
+    /**
+     * Unwrap the private keys for decryption with { passphrase } or { serverKek }
+     */
+    async unlockKeys(secret) {
+        await this.keyManager.load();
+        const result = await this.keyManager.unlock(secret);
+        this.logSecurityEvent(result.unlocked.length > 0 ? 'KEYS_UNLOCKED' : 'KEY_UNLOCK_FAILED', result);
+        return result;
+    }
+
+    /**
+     * Create a new active key wrapped with the secret. Also the first step of a rotation;
+     * follow it with reencryptTable() for each table.
+     */
+    async rotateEncryptionKey(secret) {
+        await this.keyManager.load();
+        const previous = this.keyManager.activeKey();
+        const record = await this.keyManager.createKey(secret);
+        this.logSecurityEvent(previous ? 'KEY_ROTATED' : 'KEY_CREATED', {
+            keyId: record.key_id,
+            previousKeyId: previous ? previous.key_id : null,
+            kekType: record.kek_type
+        });
+        return record;
+    }
+
+    async reencryptTable(tableName, options = {}) {
+        if (!this.isValidTableName(tableName)) {
+            throw new Error('Invalid table name. Use only letters, numbers, and underscores.');
+        }
+
+        const summary = await this.keyManager.reencryptTable(tableName, options);
+        this.logSecurityEvent('TABLE_REENCRYPTED', { tableName: tableName, keyId: this.keyManager.activeKey().key_id, ...summary });
+        return summary;
+    }
+
+    /**
+     * A record with every *_encrypted column decrypted into its field. Returns { record, errors }
+     * where errors maps field names to the reason they stayed encrypted.
+     */
+    async decryptRecord(record) {
+        const decrypted = {};
+        const errors = {};
+
+        for (const [column, value] of Object.entries(record)) {
+            if (!column.endsWith('_encrypted')) {
+                decrypted[column] = value;
+                continue;
+            }
+
+            const field = column.slice(0, -'_encrypted'.length);
+            if (!value) {
+                decrypted[field] = null;
+                continue;
+            }
+            try {
+                decrypted[field] = await this.keyManager.decrypt(value, field);
+            } catch (error) {
+                decrypted[field] = null;
+                errors[field] = error.message;
+            }
+        }
+
+        return { record: decrypted, errors: errors };
+    }
+
+    /**
+     * Read rows and decrypt them; query is a PostgREST query string such as 'id=eq.42'
+     */
+    async fetchDecrypted(tableName, query = '') {
+        if (!this.isValidTableName(tableName)) {
+            throw new Error('Invalid table name. Use only letters, numbers, and underscores.');
+        }
+
+        const rows = await this.rest(`${tableName}?select=*${query ? `&${query}` : ''}`);
+        const results = await Promise.all((rows || []).map(row => this.decryptRecord(row)));
+        this.logSecurityEvent('DATA_DECRYPTED', {
+            tableName: tableName,
+            recordIds: (rows || []).map(row => row.id),
+            failedFields: results.reduce((count, result) => count + Object.keys(result.errors).length, 0)
+        });
+        return results;
+    }
+
     /**
      * Create secure table with Row Level Security
      */
@@ -175,48 +320,60 @@ class SecureSupabaseConnector {
     /**
      * Generate secure table schema with all security features
      */
-    generateSecureTableSchema(tableName, fields, options) {
+    generateSecureTableSchema(tableName, allFields, options) {
         const { enableAuditLog, enableEncryption, departmentLevel, accessLevel } = options;
 
-        // Main table creation
-        let createTable = `-- Create secure table: ${tableName}\n`;
-        createTable += `CREATE TABLE IF NOT EXISTS "${tableName}" (\n`;
-        createTable += `    id BIGSERIAL PRIMARY KEY,\n`;
-        createTable += `    created_at TIMESTAMPTZ DEFAULT NOW(),\n`;
-        createTable += `    updated_at TIMESTAMPTZ DEFAULT NOW(),\n`;
-        createTable += `    created_by TEXT DEFAULT auth.email(),\n`;
+        // Sections and other layout elements carry no data and get no column
+        const fields = allFields.filter(field => !this.isLayoutField(field));
+
+        // Columns are collected first and joined, so the list never ends in a comma
+        const columns = [
+            'id BIGSERIAL PRIMARY KEY',
+            'created_at TIMESTAMPTZ DEFAULT NOW()',
+            'updated_at TIMESTAMPTZ DEFAULT NOW()',
+            'created_by TEXT DEFAULT auth.email()'
+        ];
         
         if (departmentLevel) {
-            createTable += `    department TEXT NOT NULL DEFAULT 'general',\n`;
+            columns.push(`department TEXT NOT NULL DEFAULT 'general'`);
         }
         
-        createTable += `    security_classification TEXT DEFAULT '${accessLevel}',\n`;
-        createTable += `    data_hash TEXT,\n`;
+        columns.push(`security_classification TEXT DEFAULT '${accessLevel}'`);
+        columns.push('data_hash TEXT');
+
+        if (enableEncryption) {
+            // Values to index, cleared by the blind index trigger; the check fails inserts if the trigger is missing
+            columns.push(`${BlindIndex.TERMS_COLUMN} JSONB CHECK (${BlindIndex.TERMS_COLUMN} IS NULL)`);
+        }
         
         if (enableAuditLog) {
-            createTable += `    audit_log JSONB DEFAULT '[]'::jsonb,\n`;
+            columns.push(`audit_log JSONB DEFAULT '[]'::jsonb`);
         }
 
         // Add form fields
-        fields.forEach((field, index) => {
+        fields.forEach(field => {
             const columnName = this.sanitizeColumnName(field.name);
             const pgType = this.mapFieldTypeToPostgreSQL(field.type);
-            const nullable = field.required ? 'NOT NULL' : '';
+            const nullable = field.required ? ' NOT NULL' : '';
             
             // Check if field contains sensitive data
             if (enableEncryption && this.isSensitiveField(field)) {
-                createTable += `    "${columnName}_encrypted" TEXT,\n`;
-                createTable += `    "${columnName}_hash" TEXT,\n`;
+                columns.push(`"${columnName}_encrypted" TEXT`);
+                columns.push(`"${columnName}_hash" TEXT`);
+                columns.push(`"${columnName}_masked" TEXT`);
+            } else if (field.type === 'group') {
+                // Repeatable groups are stored as a JSON array of item objects
+                columns.push(`"${columnName}" JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof("${columnName}") = 'array')`);
             } else {
-                createTable += `    "${columnName}" ${pgType} ${nullable}`;
-                if (index < fields.length - 1 || enableAuditLog) {
-                    createTable += ',';
-                }
-                createTable += '\n';
+                columns.push(`"${columnName}" ${pgType}${nullable}`);
             }
         });
 
-        createTable += `);`;
+        // Main table creation
+        let createTable = `-- Create secure table: ${tableName}\n`;
+        createTable += `CREATE TABLE IF NOT EXISTS "${tableName}" (\n`;
+        createTable += columns.map(column => `    ${column}`).join(',\n');
+        createTable += `\n);`;
 
         // Enable Row Level Security
         createTable += `\n\n-- Enable Row Level Security\n`;
@@ -231,6 +388,18 @@ class SecureSupabaseConnector {
             createTable += `CREATE INDEX IF NOT EXISTS idx_${tableName}_department ON "${tableName}" (department);\n`;
         }
 
+        // Lookups on encrypted fields go through their blind index columns, which the database fills in
+        if (enableEncryption) {
+            fields.filter(field => this.isSensitiveField(field)).forEach(field => {
+                const columnName = this.sanitizeColumnName(field.name);
+                createTable += `CREATE INDEX IF NOT EXISTS idx_${tableName}_${columnName}_hash ON "${tableName}" ("${columnName}_hash");\n`;
+            });
+            createTable += `\n-- Blind indexes (blind_index_columns() and find_by_blind_index() are set up once, see the README)\n`;
+            createTable += `CREATE TRIGGER ${tableName}_blind_index BEFORE INSERT OR UPDATE ON "${tableName}"\n`;
+            createTable += `    FOR EACH ROW EXECUTE FUNCTION blind_index_columns();\n`;
+            createTable += `GRANT SELECT ON "${tableName}" TO blind_index_owner;\n`;
+        }
+
         // Audit trigger
         const auditTrigger = this.generateAuditTrigger(tableName);
 
@@ -253,8 +422,8 @@ class SecureSupabaseConnector {
             `CREATE POLICY "${tableName}_read_policy" ON "${tableName}"
              FOR SELECT USING (
                  auth.email() = created_by OR
-                 (department = (auth.jwt() ->> 'department') AND auth.role() = 'authenticated') OR
-                 (auth.jwt() ->> 'role' = 'admin')
+                 (department = (auth.jwt() -> 'app_metadata' ->> 'department') AND auth.role() = 'authenticated') OR
+                 (auth.jwt() -> 'app_metadata' ->> 'role' = 'admin')
              );`,
 
             // Insert policy - authenticated users can insert data
@@ -268,13 +437,13 @@ class SecureSupabaseConnector {
             `CREATE POLICY "${tableName}_update_policy" ON "${tableName}"
              FOR UPDATE USING (
                  auth.email() = created_by OR
-                 (auth.jwt() ->> 'role' = 'admin')
+                 (auth.jwt() -> 'app_metadata' ->> 'role' = 'admin')
              );`,
 
             // Delete policy - only admins can delete
             `CREATE POLICY "${tableName}_delete_policy" ON "${tableName}"
              FOR DELETE USING (
-                 auth.jwt() ->> 'role' = 'admin'
+                 auth.jwt() -> 'app_metadata' ->> 'role' = 'admin'
              );`
         ];
 
@@ -369,6 +538,12 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
                 throw new Error('Not connected to database. Please connect first.');
             }
 
+            securityContext = this.withIdentity(securityContext);
+
+            // Submissions are checked against the stored template, not fields the caller passed
+            const templateFields = await this.resolveTemplateFields(formData, securityContext);
+            securityContext = { ...securityContext, templateFields: templateFields };
+
             // Validate user permissions
             const validation = this.validateSubmission(formData, tableName, securityContext);
             if (!validation.isValid) {
@@ -386,15 +561,15 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
             // Encrypt sensitive fields
             const encryptedData = await this.encryptSensitiveData(secureData);
             
-            // Add data integrity hash
-            encryptedData.data_hash = await this.generateDataHash(formData);
+            // Add data integrity hash over what is stored, so it reveals nothing about the plain values
+            encryptedData.data_hash = await this.generateDataHash(this.hashedContent(encryptedData));
 
             // Submit to database
             const response = await fetch(`${this.supabaseUrl}/rest/v1/${tableName}`, {
                 method: 'POST',
                 headers: {
                     'apikey': this.supabaseKey,
-                    'Authorization': `Bearer ${this.supabaseKey}`,
+                    'Authorization': this.authorization(),
                     'Content-Type': 'application/json',
                     'Prefer': 'return=representation',
                     'X-User-Email': securityContext.userEmail || '',
@@ -440,71 +615,161 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
     }
 
     /**
-     * Encrypt sensitive data fields
+     * Insert a portal or kiosk submission into gemba_requests: { form_type, form_name, form_data,
+     * submitted_at, user_email }, with the values as JSON in form_data. The values are checked
+     * against the template they name before the row is sent. Anonymous submissions are allowed,
+     * as in the portal; the gemba_requests trigger repeats the template check in the database.
+     */
+    async submitRequest(record, tableName = 'gemba_requests') {
+        let values = {};
+        try {
+            if (!this.connected) {
+                throw new Error('Not connected to database. Please connect first.');
+            }
+
+            values = typeof record.form_data === 'string' ? JSON.parse(record.form_data) : (record.form_data || {});
+            const templateFields = await this.resolveTemplateFields(values);
+            const securityContext = { ...this.withIdentity(), templateFields: templateFields, allowAnonymous: true };
+
+            const validation = this.validateSubmission(values, tableName, securityContext);
+            if (!validation.isValid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            // The table's trigger writes the DATA_SUBMITTED audit entry, signed in or not
+            const rows = await this.rest(tableName, { method: 'POST', body: [record] });
+            const saved = Array.isArray(rows) ? rows[0] : null;
+
+            return {
+                success: true,
+                data: saved,
+                recordId: saved?.id,
+                message: 'Form submitted'
+            };
+        } catch (error) {
+            this.logSecurityEvent('DATA_SUBMISSION_FAILED', {
+                tableName: tableName,
+                error: error.message,
+                fieldCount: Object.keys(values).length
+            });
+            console.error('❌ Submission failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Encrypt sensitive data fields. Fails rather than storing a sensitive value in plain text.
      */
     async encryptSensitiveData(data) {
         const encryptedData = {};
+        const searchTerms = {};
         
         for (const [key, value] of Object.entries(data)) {
             if (this.isSensitiveField({ name: key }) && value) {
                 try {
-                    encryptedData[`${key}_encrypted`] = await this.encrypt(value.toString());
-                    encryptedData[`${key}_hash`] = await this.hash(value.toString());
+                    encryptedData[`${key}_encrypted`] = await this.encrypt(value.toString(), key);
+                    encryptedData[`${key}_masked`] = this.maskValue(value, key);
+                    const term = BlindIndex.term(key, value);
+                    if (term) searchTerms[key] = term;
                 } catch (error) {
-                    console.warn(`Failed to encrypt field ${key}:`, error);
-                    encryptedData[key] = value; // Fallback to plain text
+                    throw new Error(`Could not encrypt ${key}: ${error.message}`);
                 }
             } else {
                 encryptedData[key] = value;
             }
         }
+
+        // The database turns these into the <field>_hash blind indexes and does not store them
+        if (Object.keys(searchTerms).length > 0) {
+            encryptedData[BlindIndex.TERMS_COLUMN] = searchTerms;
+        }
         
         return encryptedData;
     }
 
     /**
-     * Client-side AES-GCM encryption
+     * Client-side encryption with the active key; field is the column the value is stored for
      */
-    async encrypt(data) {
-        if (!this.encryptionKey) {
+    async encrypt(data, field) {
+        if (!this.keyManager.hasActiveKey()) {
             await this.initializeEncryption();
         }
+        return this.keyManager.encrypt(data, field);
+    }
 
-        try {
-            const encoded = new TextEncoder().encode(data);
-            const iv = window.crypto.getRandomValues(new Uint8Array(12));
-            
-            const encrypted = await window.crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: iv },
-                this.encryptionKey,
-                encoded
-            );
-
-            // Combine IV and encrypted data
-            const combined = new Uint8Array(iv.length + encrypted.byteLength);
-            combined.set(iv);
-            combined.set(new Uint8Array(encrypted), iv.length);
-            
-            return btoa(String.fromCharCode(...combined));
-        } catch (error) {
-            console.error('Encryption failed:', error);
-            return data; // Return original data if encryption fails
+    /**
+     * Preview stored next to an encrypted value for users who may not reveal it,
+     * e.g. j***@company.com or ***42 for a phone number
+     */
+    maskValue(value, field = '') {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        if (!text) return '';
+
+        const email = text.match(/^([^@\s]+)@([^@\s]+)$/);
+        if (email) {
+            return `${email[1][0]}***@${email[2]}`;
         }
+
+        const digits = text.replace(/\D/g, '');
+        if (/phone|tel|mobile/i.test(field) || (digits.length >= 7 && digits.length >= text.length - 4)) {
+            return `***${digits.slice(-2)}`;
+        }
+
+        return text.length > 1 ? `${text[0]}***` : '***';
     }
 
     /**
-     * Generate SHA-256 hash for searchable encrypted data
+     * Records whose encrypted field exactly matches value (after the field's normalization),
+     * found through the blind index without reading the rest of the table; see blind-index.js.
+     * Returns the rows as stored, or { record, errors } results when options.decrypt is set and
+     * the keys are unlocked.
      */
-    async hash(data) {
-        try {
-            const encoded = new TextEncoder().encode(data + 'salt-' + this.supabaseUrl);
-            const hashBuffer = await window.crypto.subtle.digest('SHA-256', encoded);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        } catch (error) {
-            console.error('Hashing failed:', error);
-            return data;
+    async findByEncryptedField(tableName, field, value, options = {}) {
+        if (!this.isValidTableName(tableName)) {
+            throw new Error('Invalid table name. Use only letters, numbers, and underscores.');
+        }
+
+        const column = this.sanitizeColumnName(field);
+        const rows = await BlindIndex.find(this, tableName, column, value);
+        this.logSecurityEvent('ENCRYPTED_FIELD_SEARCHED', {
+            tableName: tableName,
+            field: column,
+            matches: rows.length,
+            decrypted: !!options.decrypt
+        });
+
+        if (!options.decrypt) return rows;
+        return Promise.all(rows.map(row => this.decryptRecord(row)));
+    }
+
+    /**
+     * Rebuild a table's blind indexes from its decrypted values; needs unlocked keys
+     */
+    async reindexTable(tableName, options = {}) {
+        if (!this.isValidTableName(tableName)) {
+            throw new Error('Invalid table name. Use only letters, numbers, and underscores.');
         }
+
+        const summary = await BlindIndex.reindexTable(this, tableName, options);
+        this.logSecurityEvent('TABLE_REINDEXED', { tableName: tableName, ...summary });
+        return summary;
+    }
+
+    /**
+     * The part of a row that data_hash covers: what was submitted, without the columns the database
+     * fills in, the blind indexes it computes, or empty columns. A row read back therefore hashes the
+     * same as it did when it was submitted, and code that rewrites stored values (re-encryption) can
+     * recompute data_hash from the updated row.
+     */
+    hashedContent(row) {
+        const managed = ['id', 'created_at', 'updated_at', 'data_hash', 'audit_log', BlindIndex.TERMS_COLUMN];
+        return Object.fromEntries(Object.entries(row).filter(([column, value]) => {
+            if (managed.includes(column) || value === null || value === undefined) return false;
+            return !(column.endsWith('_hash') && `${column.slice(0, -'_hash'.length)}_encrypted` in row);
+        }));
     }
 
     /**
@@ -512,13 +777,21 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
      */
     async generateDataHash(data) {
         const dataString = JSON.stringify(data, Object.keys(data).sort());
-        return await this.hash(dataString);
+        const hashBuffer = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(dataString));
+        return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
     }
 
     /**
      * Identify sensitive fields
      */
     isSensitiveField(field) {
+        return this.sensitivePatternFor(field) !== null;
+    }
+
+    /**
+     * The pattern that marks a field as sensitive, or null
+     */
+    sensitivePatternFor(field) {
         const sensitivePatterns = [
             /email/i, /phone/i, /ssn/i, /social/i, /id$/i,
             /name$/i, /address/i, /dob/i, /birth/i, /medical/i,
@@ -528,9 +801,9 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
         const fieldName = field.name || '';
         const fieldLabel = field.label || '';
         
-        return sensitivePatterns.some(pattern => 
+        return sensitivePatterns.find(pattern => 
             pattern.test(fieldName) || pattern.test(fieldLabel)
-        );
+        ) || null;
     }
 
     /**
@@ -585,8 +858,8 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
             warnings: []
         };
 
-        // Check if user is authenticated
-        if (!securityContext.userEmail) {
+        // Check if user is authenticated, unless the table takes anonymous submissions
+        if (!securityContext.userEmail && !securityContext.allowAnonymous) {
             validation.isValid = false;
             validation.errors.push('User authentication required');
         }
@@ -605,6 +878,15 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
             }
         }
 
+        // Re-check the template's field validation rules so a tampered client cannot skip them
+        if (Array.isArray(securityContext.templateFields)) {
+            const templateCheck = this.validateAgainstTemplate(formData, securityContext.templateFields);
+            if (!templateCheck.isValid) {
+                validation.isValid = false;
+                validation.errors.push(...templateCheck.errors);
+            }
+        }
+
         // Log validation attempt
         this.logSecurityEvent('VALIDATION_ATTEMPT', {
             tableName: tableName,
@@ -617,6 +899,59 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
         return validation;
     }
 
+    /**
+     * Fields of the template a submission names, read from form_submissions, or from the bundled
+     * definitions when the database has no version of it. The template is named by template_id and
+     * template_version in the data, or by securityContext.template for tables without those columns.
+     * Throws when the submission names no template or the template cannot be found.
+     */
+    async resolveTemplateFields(formData, securityContext = {}) {
+        const stamp = formData.template_id ? formData : securityContext.template;
+        if (!stamp || !stamp.template_id) {
+            throw new Error('Submission names no template');
+        }
+
+        if (typeof TemplateRegistry === 'undefined' || typeof TemplateVersions === 'undefined') {
+            throw new Error('Template registry not loaded; templated submissions cannot be checked');
+        }
+
+        const identity = String(stamp.template_id);
+        const version = TemplateVersions.versionOf(stamp);
+        // Templates saved before versioning are named legacy:<form_name>
+        const filter = identity.startsWith('legacy:')
+            ? `form_name=eq.${encodeURIComponent(identity.slice('legacy:'.length))}&template_id=is.null`
+            : `template_id=eq.${encodeURIComponent(identity)}`;
+
+        let stored;
+        try {
+            stored = await this.rest(`form_submissions?select=form_name,form_fields,template_id,template_version,status,created_at&is_template=eq.true&${filter}`) || [];
+        } catch (error) {
+            throw new Error(`Template ${identity} could not be read: ${error.message}`);
+        }
+
+        const rows = TemplateRegistry.merge(stored, TemplateRegistry.bundledRows())
+            .filter(row => TemplateVersions.identityOf(row) === identity && TemplateVersions.versionOf(row) === version);
+        if (rows.length === 0) {
+            throw new Error(`Unknown template ${identity} version ${version}`);
+        }
+        return TemplateRegistry.fieldsOf(rows[0]);
+    }
+
+    /**
+     * Validate submitted values against the template's field rules
+     */
+    validateAgainstTemplate(formData, templateFields) {
+        if (!window.FormValidator) {
+            // Fail closed: never accept a templated submission we could not check
+            return { isValid: false, errors: ['Form validator not loaded'] };
+        }
+
+        const result = window.FormValidator.validateData(templateFields, formData);
+        const errors = Object.values(result.errors).reduce((all, messages) => all.concat(messages), []);
+
+        return { isValid: errors.length === 0, errors: errors };
+    }
+
     /**
      * Execute SQL with error handling
      */
@@ -650,8 +985,11 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
         };
 
         this.auditLog.push(logEntry);
+
+        // Chained and uploaded to the audit table; see audit-trail.js
+        this.auditTrail.record(logEntry);
         
-        // Store in localStorage (in production, send to secure logging service)
+        // Local copy for getSecurityReport()
         const existingLogs = JSON.parse(localStorage.getItem('flexform_security_log') || '[]');
         existingLogs.push(logEntry);
         
@@ -665,6 +1003,26 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
         console.log('🔍 Security Event:', event, details);
     }
 
+    /**
+     * Check the stored audit trail for edits and gaps; see AuditTrail.verifyStored()
+     */
+    async verifyAuditTrail(options = {}) {
+        if (options.submissionTable && !this.isValidTableName(options.submissionTable)) {
+            throw new Error('Invalid table name. Use only letters, numbers, and underscores.');
+        }
+
+        await this.auditTrail.flush();
+        const result = await this.auditTrail.verifyStored(options);
+        this.logSecurityEvent('AUDIT_VERIFIED', {
+            valid: result.valid,
+            chains: result.chains,
+            entries: result.entries,
+            problems: result.problems.length,
+            unaudited: result.unaudited ? result.unaudited.length : null
+        });
+        return result;
+    }
+
     /**
      * Get security audit report
      */
@@ -677,9 +1035,12 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
             recentEvents: logs.slice(-50),
             eventSummary: this.summarizeEvents(logs),
             securityStatus: {
-                encryptionEnabled: !!this.encryptionKey,
+                encryptionEnabled: this.keyManager.hasActiveKey(),
+                activeKeyId: this.keyManager.hasActiveKey() ? this.keyManager.activeKey().key_id : null,
                 connectionSecure: this.connected,
                 auditingEnabled: true,
+                auditChainId: this.auditTrail.chainId,
+                auditEntriesPending: this.auditTrail.pendingCount(),
                 lastActivity: logs[logs.length - 1]?.timestamp
             }
         };
@@ -711,6 +1072,27 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
         return name.replace(/[^a-zA-Z0-9_]/g, '_').replace(/^[0-9]/, '_$&').toLowerCase();
     }
 
+    /**
+     * Columns generateSecureTableSchema adds to every table. The value names
+     * the option that adds the column, or is null when it is always there.
+     */
+    getSystemColumns() {
+        return {
+            id: null,
+            created_at: null,
+            updated_at: null,
+            created_by: null,
+            department: 'departmentLevel',
+            security_classification: null,
+            data_hash: null,
+            audit_log: 'enableAuditLog'
+        };
+    }
+
+    isLayoutField(field) {
+        return ['section', 'info'].includes(field.type);
+    }
+
     mapFieldTypeToPostgreSQL(fieldType) {
         const typeMap = {
             'text': 'TEXT',
@@ -727,7 +1109,12 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
             'url': 'TEXT',
             'time': 'TIME',
             'month': 'TEXT',
-            'week': 'TEXT'
+            'week': 'TEXT',
+            'rating': 'SMALLINT',
+            'yesno': 'TEXT',
+            'multiselect': 'TEXT[]',
+            'group': 'JSONB',
+            'calculated': 'TEXT'
         };
         
         return typeMap[fieldType] || 'TEXT';
@@ -769,9 +1156,12 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
             }
             
             if (supabaseUrl && supabaseKey && supabaseKey !== 'your-anon-key-here') {
+                // Anonymous until a Supabase Auth session is applied with useSession()
                 const result = await this.connectToSupabase(supabaseUrl, supabaseKey, {
-                    email: 'admin@company.com',
-                    role: 'admin'
+                    email: 'anonymous',
+                    role: 'user',
+                    department: 'general',
+                    authenticated: false
                 });
                 
                 if (result.success) {
@@ -803,8 +1193,10 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
         this.connected = false;
         this.supabaseUrl = '';
         this.supabaseKey = '';
-        this.encryptionKey = null;
+        this.keyManager.lock();
+        this.keyManager.keys = [];
         this.currentUser = null;
+        this.accessToken = null;
         
         this.logSecurityEvent('DISCONNECTED');
         console.log('🔒 Secure connection closed');
@@ -820,6 +1212,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('🚀 Auto-initializing database connection for GitHub Pages...');
         const connector = new SecureSupabaseConnector();
         await connector.autoConnect();
+        // The page may have restored a sign-in while the connection was being made
+        if (window.authSession && window.authSession.user) {
+            connector.useSession(window.authSession.user, window.authSession.apiToken);
+        }
         window.secureConnector = connector;
     }
 });
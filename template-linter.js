@@ -0,0 +1,156 @@
+/**
+ * Template Linter for FLEX-FORM
+ * Checks a template's fields before it is saved, exported or published, using
+ * the same column rules as SecureSupabaseConnector.generateSecureTableSchema.
+ *
+ * lint() returns { errors, warnings }, each a list of { field, code, message }.
+ * Errors block publishing; warnings are shown but never block.
+ */
+class TemplateLinter {
+    /**
+     * Keys the portal adds to every submission; a field with one of these names would be overwritten
+     */
+    static get SUBMISSION_KEYS() {
+        return ['form_type', 'form_name', 'submitted_at', 'user_email', 'template_id', 'template_version'];
+    }
+
+    /**
+     * Issues about a field's name, checked as soon as the field is saved
+     */
+    static get NAME_CODES() {
+        return ['name-empty', 'name-duplicate', 'name-reserved', 'column-duplicate', 'column-system', 'column-too-long'];
+    }
+
+    static get OPTION_TYPES() {
+        return ['select', 'radio', 'multiselect'];
+    }
+
+    static lint(fields, connector) {
+        const errors = [];
+        const warnings = [];
+        const error = (field, code, message) => errors.push({ field: field.name, code, message });
+        const warning = (field, code, message) => warnings.push({ field: field.name, code, message });
+
+        const layoutField = field => connector.isLayoutField(field);
+        const names = new Set(fields.map(field => field.name));
+        const systemColumns = connector.getSystemColumns();
+        const seenNames = new Map();
+        const seenColumns = new Map();
+        const seenLabels = new Map();
+
+        fields.forEach(field => {
+            const label = `"${field.label || field.name}"`;
+
+            if (!field.name || !String(field.name).trim()) {
+                error(field, 'name-empty', `${label} has no field name`);
+                return;
+            }
+
+            if (seenNames.has(field.name)) {
+                error(field, 'name-duplicate', `${label} uses the name "${field.name}", already used by "${seenNames.get(field.name)}"`);
+            }
+            seenNames.set(field.name, field.label || field.name);
+
+            if (TemplateLinter.SUBMISSION_KEYS.includes(field.name)) {
+                error(field, 'name-reserved', `${label}: "${field.name}" is set by the portal on every submission`);
+            }
+
+            if (!layoutField(field)) {
+                TemplateLinter.lintColumn(field, label, connector, systemColumns, seenColumns, error, warning);
+            }
+
+            const labelKey = String(field.label || '').trim().toLowerCase();
+            if (labelKey && !layoutField(field)) {
+                if (seenLabels.has(labelKey)) {
+                    warning(field, 'label-duplicate', `${label} has the same label as "${seenLabels.get(labelKey)}"`);
+                }
+                seenLabels.set(labelKey, field.name);
+            }
+
+            TemplateLinter.lintType(field, label, fields, error);
+
+            // Rules and lookups must point at fields in this template
+            if (field.rules) {
+                ['showWhen', 'requiredWhen'].forEach(key => {
+                    const condition = field.rules[key];
+                    if (condition && condition.field && !names.has(condition.field)) {
+                        error(field, 'rule-missing-field', `${label}: ${key} rule refers to missing field "${condition.field}"`);
+                    }
+                });
+            }
+            if (field.lookup && field.lookup.dependsOn && !names.has(field.lookup.dependsOn)) {
+                error(field, 'lookup-missing-field', `${label}: lookup depends on missing field "${field.lookup.dependsOn}"`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    static lintColumn(field, label, connector, systemColumns, seenColumns, error, warning) {
+        const column = connector.sanitizeColumnName(field.name);
+        const sensitive = connector.sensitivePatternFor(field);
+        // Sensitive fields are stored as <column>_encrypted, <column>_hash and <column>_masked instead of <column>
+        const columns = sensitive ? [`${column}_encrypted`, `${column}_hash`, `${column}_masked`] : [column];
+
+        if (column !== field.name) {
+            warning(field, 'column-renamed', `${label} is stored in column "${column}"`);
+        }
+
+        columns.forEach(name => {
+            if (name.length > 63) {
+                error(field, 'column-too-long', `${label}: column "${name}" is longer than PostgreSQL's 63 character limit`);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(systemColumns, name)) {
+                const option = systemColumns[name];
+                if (option) {
+                    warning(field, 'column-system', `${label}: column "${name}" clashes with the one added when ${option} is enabled`);
+                } else {
+                    error(field, 'column-system', `${label}: column "${name}" is already used by every generated table`);
+                }
+            }
+
+            if (seenColumns.has(name)) {
+                error(field, 'column-duplicate', `${label} and "${seenColumns.get(name)}" both map to column "${name}"`);
+            }
+            seenColumns.set(name, field.label || field.name);
+        });
+
+        if (sensitive) {
+            warning(field, 'sensitive', `${label} will be encrypted because it matches ${sensitive}`);
+        }
+    }
+
+    static lintType(field, label, fields, error) {
+        const hasOptions = Array.isArray(field.options) && field.options.some(option => String(option).trim() !== '');
+
+        if (TemplateLinter.OPTION_TYPES.includes(field.type) && !hasOptions && !field.lookup) {
+            error(field, 'options-empty', `${label} has no options`);
+        }
+
+        if (field.type === 'group' && (!Array.isArray(field.children) || field.children.length === 0)) {
+            error(field, 'group-empty', `${label} has no fields in each item`);
+        }
+
+        if (field.type === 'calculated' && typeof FormCalculator !== 'undefined') {
+            const others = fields.filter(other => other !== field).map(other => other.name);
+            const formulaError = FormCalculator.validateFormula(field.formula || '', others, field.name);
+            if (formulaError) {
+                error(field, 'formula-invalid', `${label}: ${formulaError}`);
+            }
+        }
+    }
+
+    /**
+     * One line per issue, for confirm() dialogs and the console
+     */
+    static format(result) {
+        return [
+            ...result.errors.map(issue => `✖ ${issue.message}`),
+            ...result.warnings.map(issue => `⚠ ${issue.message}`)
+        ].join('\n');
+    }
+}
+
+// Export for use in other modules
+window.TemplateLinter = TemplateLinter;
@@ -0,0 +1,1059 @@
+/**
+ * Template Registry for FLEX-FORM
+ * The one list of form templates shared by FlexFormBuilder and the user portal.
+ * Templates are read from form_submissions (is_template = true); the last
+ * successful read is cached for offline use and the bundled definitions below
+ * fill in any template the database does not have yet.
+ *
+ * Rows use the form_submissions shape, so TemplateVersions works on them:
+ *   { form_name, form_title, form_description, form_fields, template_id, template_version, status }
+ */
+class TemplateRegistry {
+    static get CACHE_KEY() {
+        return 'flexform_template_registry';
+    }
+
+    /**
+     * Bundled definitions, keyed by template name. The Gemba forms are
+     * published; the samples are drafts that only show up in the builder.
+     */
+    static get BUNDLED() {
+        return {
+            'Contact Form': {
+                name: 'Contact Form',
+                templateId: 'sample_contact',
+                version: 1,
+                status: 'draft',
+                title: 'Contact Us',
+                description: 'Get in touch with us',
+                fields: [
+                    {
+                        id: 1,
+                        type: 'text',
+                        label: 'Full Name',
+                        name: 'full_name',
+                        placeholder: 'Enter your full name',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 2,
+                        type: 'email',
+                        label: 'Email Address',
+                        name: 'email',
+                        placeholder: 'Enter your email',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 3,
+                        type: 'text',
+                        label: 'Subject',
+                        name: 'subject',
+                        placeholder: 'Enter subject',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 4,
+                        type: 'textarea',
+                        label: 'Message',
+                        name: 'message',
+                        placeholder: 'Enter your message',
+                        required: true,
+                        options: []
+                    }
+                ],
+                created: '2025-10-01T00:00:00.000Z'
+            },
+            'Survey Form': {
+                name: 'Survey Form',
+                templateId: 'sample_survey',
+                version: 1,
+                status: 'draft',
+                title: 'Customer Satisfaction Survey',
+                description: 'Help us improve our services',
+                fields: [
+                    {
+                        id: 1,
+                        type: 'text',
+                        label: 'Name',
+                        name: 'name',
+                        placeholder: 'Your name (optional)',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 2,
+                        type: 'select',
+                        label: 'How did you hear about us?',
+                        name: 'source',
+                        placeholder: '',
+                        required: true,
+                        options: ['Social Media', 'Search Engine', 'Friend Referral', 'Advertisement', 'Other']
+                    },
+                    {
+                        id: 3,
+                        type: 'radio',
+                        label: 'Overall Satisfaction',
+                        name: 'satisfaction',
+                        placeholder: '',
+                        required: true,
+                        options: ['Very Satisfied', 'Satisfied', 'Neutral', 'Dissatisfied', 'Very Dissatisfied']
+                    },
+                    {
+                        id: 4,
+                        type: 'checkbox',
+                        label: 'Which services have you used?',
+                        name: 'services',
+                        placeholder: '',
+                        required: false,
+                        options: ['Consulting', 'Development', 'Support', 'Training']
+                    },
+                    {
+                        id: 5,
+                        type: 'textarea',
+                        label: 'Additional Comments',
+                        name: 'comments',
+                        placeholder: 'Any additional feedback...',
+                        required: false,
+                        options: []
+                    }
+                ],
+                created: '2025-10-01T00:00:00.000Z'
+            },
+            'Gemba Information Request': {
+                name: 'Gemba Information Request',
+                templateId: 'gemba_request',
+                version: 1,
+                status: 'published',
+                title: 'Framingham Gemba - Preliminary Information Request',
+                description: 'Comprehensive event reporting and documentation form for Gemba scheduling',
+                fields: [
+                    {
+                        id: 1,
+                        type: 'text',
+                        label: 'Short Description / Title of Event',
+                        name: 'event_title',
+                        placeholder: 'Enter brief description of the event',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 2,
+                        type: 'email',
+                        label: 'Contact / Organizer',
+                        name: 'contact_organizer',
+                        placeholder: 'Enter a valid email address',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 3,
+                        type: 'text',
+                        label: 'Related SOP(s)/batch record/procedure/standard/EWI/form etc. and step #',
+                        name: 'related_documents',
+                        placeholder: 'List relevant SOPs, batch records, procedures, standards, and step numbers',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 4,
+                        type: 'file',
+                        label: 'Associated Documentation',
+                        name: 'documentation',
+                        placeholder: 'Upload supporting documentation or evidence',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 5,
+                        type: 'text',
+                        label: 'Batch Association (include RF if available)',
+                        name: 'batch_association',
+                        placeholder: 'Are any batches impacted by this event? List batch and part number(s)',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 6,
+                        type: 'text',
+                        label: 'Who is directly involved?',
+                        name: 'directly_involved',
+                        placeholder: 'List personnel directly involved in the event',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 7,
+                        type: 'text',
+                        label: 'Who discovered event? How was it detected?',
+                        name: 'event_discovery',
+                        placeholder: 'Describe who found the event and detection method',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 8,
+                        type: 'textarea',
+                        label: 'What happened?',
+                        name: 'what_happened',
+                        placeholder: 'What was the observation? What did we deviate from? What is the problem statement? Provide as much detail as possible.',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 9,
+                        type: 'text',
+                        label: 'Where (building/room #/lab)?',
+                        name: 'event_location',
+                        placeholder: 'Specify exact location where event occurred',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 10,
+                        type: 'date',
+                        label: 'When did the event occur?',
+                        name: 'occurrence_date',
+                        placeholder: '',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 11,
+                        type: 'text',
+                        label: 'Time of Occurrence',
+                        name: 'occurrence_time',
+                        placeholder: 'Enter time (e.g., 14:30, 2:30 PM)',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 12,
+                        type: 'date',
+                        label: 'When was the event detected?',
+                        name: 'detection_date',
+                        placeholder: '',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 13,
+                        type: 'text',
+                        label: 'Time of Detection',
+                        name: 'detection_time',
+                        placeholder: 'Enter time (e.g., 14:30, 2:30 PM)',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 63,
+                        type: 'calculated',
+                        label: 'Detection Delay (days)',
+                        name: 'detection_delay_days',
+                        placeholder: '',
+                        required: false,
+                        options: [],
+                        formula: 'if(empty(occurrence_date) or empty(detection_date), "", datediff(detection_date, occurrence_date, "days"))'
+                    },
+                    {
+                        id: 14,
+                        type: 'textarea',
+                        label: 'Expected Results',
+                        name: 'expected_results',
+                        placeholder: 'List specific requirements and the document they\'re listed in. For example, per FBL-CST-012345 step 4.1, the temperature must be between 25-30C.',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 15,
+                        type: 'textarea',
+                        label: 'Immediate actions before Gemba',
+                        name: 'immediate_actions',
+                        placeholder: 'For example, equipment tagged out of service, emergency WO opened.',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 16,
+                        type: 'textarea',
+                        label: 'Justification (if > 24 hours)',
+                        name: 'justification',
+                        placeholder: 'Provide justification if Gemba is scheduled more than 24 hours after event',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 17,
+                        type: 'date',
+                        label: 'GEMBA scheduled Date',
+                        name: 'gemba_date',
+                        placeholder: '',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 18,
+                        type: 'select',
+                        label: 'GEMBA scheduled Time',
+                        name: 'gemba_time',
+                        placeholder: '',
+                        required: false,
+                        options: [
+                            '2400', '2430', '0100', '0130', '0200', '0230', '0300', '0330',
+                            '0400', '0430', '0500', '0530', '0600', '0630', '0700', '0730',
+                            '0800', '0830', '0900', '0930', '1000', '1030', '1100', '1130',
+                            '1200', '1230', '1300', '1330', '1400', '1430', '1500', '1530',
+                            '1600', '1630', '1700', '1730', '1800', '1830', '1900', '1930',
+                            '2000', '2030', '2100', '2130', '2200', '2230', '2300', '2330'
+                        ]
+                    }
+                ],
+                created: '2025-10-01T00:00:00.000Z'
+            },
+            'Gemba Intake Form': {
+                name: 'Gemba Intake Form',
+                templateId: 'gemba_intake',
+                version: 1,
+                status: 'published',
+                title: 'Deviation Intake Form',
+                description: 'Complete form using information from Preliminary Info form and Gemba meeting - Upload to SmartSheet immediately following the Gemba',
+                fields: [
+                    // Team Information
+                    {
+                        id: 101,
+                        type: 'section',
+                        label: 'Team Information',
+                        name: 'section_team',
+                        placeholder: 'Gemba team and subject matter experts present',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 1,
+                        type: 'text',
+                        label: 'Gemba Coach',
+                        name: 'gemba_coach',
+                        placeholder: 'Enter Gemba Coach name',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 2,
+                        type: 'text',
+                        label: 'Gemba Facilitator',
+                        name: 'gemba_facilitator',
+                        placeholder: 'Enter Gemba Facilitator name',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 3,
+                        type: 'text',
+                        label: 'Gemba Scribe',
+                        name: 'gemba_scribe',
+                        placeholder: 'Enter Gemba Scribe name',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 4,
+                        type: 'textarea',
+                        label: 'Impacted/Discovering Department Reps',
+                        name: 'department_reps',
+                        placeholder: 'List department representatives present',
+                        required: true,
+                        options: []
+                    },
+                
+                    // SME Attendees
+                    {
+                        id: 5,
+                        type: 'checkbox',
+                        label: 'Required SMEs Present at Start of Gemba',
+                        name: 'smes_present',
+                        placeholder: '',
+                        required: false,
+                        options: ['Manufacturing', 'Automation (DOT) / MES', 'QA Digital Compliance', 'Contamination Control', 'Facilities / Engineering', 'Cleaners', 'MSAT', 'Company Subject Matter Expert(s)', 'QA Ops & QA CDI', 'Other']
+                    },
+                    {
+                        id: 6,
+                        type: 'text',
+                        label: 'Other SMEs',
+                        name: 'other_smes',
+                        placeholder: 'Specify other SMEs if selected',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'smes_present', operator: 'contains', value: 'Other' }, requiredWhen: { field: 'smes_present', operator: 'contains', value: 'Other' } }
+                    },
+                
+                    // Event Details
+                    {
+                        id: 102,
+                        type: 'section',
+                        label: 'Event Details',
+                        name: 'section_event',
+                        placeholder: 'Title, team and story of the event',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 7,
+                        type: 'text',
+                        label: 'Title (Product - Lot - Building - Description)',
+                        name: 'title',
+                        placeholder: 'Include Product line, batch if applicable, Building, Deviating Event',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 8,
+                        type: 'textarea',
+                        label: 'Team',
+                        name: 'team',
+                        placeholder: 'Add Owner, Quality Approver. For Significant Deviations: Investigation Leader and Contributors',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 9,
+                        type: 'textarea',
+                        label: 'Description',
+                        name: 'description',
+                        placeholder: 'Tell the story of the event (Problem Statement) - concise while clearly describing the deviating situation',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 10,
+                        type: 'textarea',
+                        label: 'Additional Information',
+                        name: 'additional_info',
+                        placeholder: 'Key elements: dates/timeframe, procedures/batch records, excursion values, GPS team from GEMBA',
+                        required: false,
+                        options: []
+                    },
+                
+                    // 5W Analysis
+                    {
+                        id: 103,
+                        type: 'section',
+                        label: '5W Analysis',
+                        name: 'section_5w',
+                        placeholder: 'Why, who, how and how much',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 11,
+                        type: 'textarea',
+                        label: 'Why (Expected Results vs What Happened)',
+                        name: 'why',
+                        placeholder: 'Document the expected results with details to describe the deviation',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 12,
+                        type: 'textarea',
+                        label: 'Who (People Involved)',
+                        name: 'who',
+                        placeholder: 'Who noticed the problem? Which employees performed the action? Which shifts? Who was contacted?',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 13,
+                        type: 'textarea',
+                        label: 'How (Process Description)',
+                        name: 'how',
+                        placeholder: 'How did the process step come about and how did it deviate from routine? How do we normally work vs what went differently?',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 14,
+                        type: 'textarea',
+                        label: 'How - Additional Information',
+                        name: 'how_additional',
+                        placeholder: 'Compare what went differently. What steps led to the problem? For Non-Significant Events: document the most assignable cause',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 15,
+                        type: 'textarea',
+                        label: 'How Much (Magnitude of Deviation)',
+                        name: 'how_much',
+                        placeholder: 'Quantity of product, number of process steps, batches, occurrences, procedures impacted, volume, vials, etc.',
+                        required: true,
+                        options: []
+                    },
+                
+                    // Location and Process
+                    {
+                        id: 104,
+                        type: 'section',
+                        label: 'Location and Process',
+                        name: 'section_location',
+                        placeholder: 'Where the event happened and which process it affected',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 16,
+                        type: 'select',
+                        label: 'Reporter Entity',
+                        name: 'reporter_entity',
+                        placeholder: '',
+                        required: true,
+                        options: ['MA BioCampus'],
+                        lookup: { table: 'reporter_entities', column: 'name' }
+                    },
+                    {
+                        id: 17,
+                        type: 'select',
+                        label: 'Department',
+                        name: 'department',
+                        placeholder: 'Select department responsible for the impacted process',
+                        required: true,
+                        options: ['Manufacturing', 'Quality Control', 'Engineering', 'Operations', 'Maintenance', 'Safety', 'Regulatory', 'Other'],
+                        lookup: { table: 'departments', column: 'name' }
+                    },
+                    {
+                        id: 18,
+                        type: 'select',
+                        label: 'Owning Entity',
+                        name: 'owning_entity',
+                        placeholder: '',
+                        required: true,
+                        options: ['MA BioCampus'],
+                        lookup: { table: 'reporter_entities', column: 'name' }
+                    },
+                    {
+                        id: 19,
+                        type: 'select',
+                        label: 'Building',
+                        name: 'building',
+                        placeholder: 'Select building where event took place',
+                        required: true,
+                        options: [],
+                        lookup: { table: 'buildings', column: 'name' }
+                    },
+                    {
+                        id: 20,
+                        type: 'select',
+                        label: 'Room',
+                        name: 'room',
+                        placeholder: 'Select room where event took place',
+                        required: true,
+                        options: [],
+                        lookup: { table: 'rooms', column: 'name', filterColumn: 'building', dependsOn: 'building' }
+                    },
+                    {
+                        id: 21,
+                        type: 'select',
+                        label: 'Process',
+                        name: 'process',
+                        placeholder: 'Select the impacted process',
+                        required: true,
+                        options: [],
+                        lookup: { table: 'processes', column: 'name' }
+                    },
+                    {
+                        id: 22,
+                        type: 'text',
+                        label: 'Operation',
+                        name: 'operation',
+                        placeholder: 'Select the step (operation) of the process',
+                        required: true,
+                        options: []
+                    },
+                
+                    // Timing
+                    {
+                        id: 105,
+                        type: 'section',
+                        label: 'Timing, Asset and Product',
+                        name: 'section_timing',
+                        placeholder: 'When the event was detected and what it concerns',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 23,
+                        type: 'datetime-local',
+                        label: 'Date Detected',
+                        name: 'date_detected',
+                        placeholder: '',
+                        required: true,
+                        options: []
+                    },
+                    {
+                        id: 24,
+                        type: 'textarea',
+                        label: 'Event Raised Late Justification',
+                        name: 'late_justification',
+                        placeholder: 'If event generated outside 24 hour requirement, document rationale and no impact statement',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 25,
+                        type: 'select',
+                        label: 'Date Occurred Known',
+                        name: 'date_occurred_known',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                
+                    // Asset and Product
+                    {
+                        id: 26,
+                        type: 'select',
+                        label: 'Asset Concerned',
+                        name: 'asset_concerned',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 27,
+                        type: 'select',
+                        label: 'Product Concerned',
+                        name: 'product_concerned',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                
+                    // Product Impact Section (conditional)
+                    {
+                        id: 106,
+                        type: 'section',
+                        label: 'Product Impact',
+                        name: 'section_product_impact',
+                        placeholder: 'Only shown when a product is concerned',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 28,
+                        type: 'text',
+                        label: 'Product (Part Number)',
+                        name: 'product',
+                        placeholder: 'Part Number for product; use DS part number if not specific step related',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 29,
+                        type: 'text',
+                        label: 'Batch',
+                        name: 'batch',
+                        placeholder: 'Select batch code(s) - Only for Significant deviations',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 30,
+                        type: 'select',
+                        label: 'Impact',
+                        name: 'impact',
+                        placeholder: '',
+                        required: false,
+                        options: ['Impacted', 'Not Impacted'],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 31,
+                        type: 'textarea',
+                        label: 'Impact Rationale',
+                        name: 'impact_rationale',
+                        placeholder: 'QA Field: Document QA Forward Processing Statement. Title as such and initial/date',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 32,
+                        type: 'select',
+                        label: 'Handling Unit Impacted',
+                        name: 'handling_unit_impacted',
+                        placeholder: '',
+                        required: false,
+                        options: ['Yes', 'No'],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 33,
+                        type: 'textarea',
+                        label: 'Comment (Batch for NS events)',
+                        name: 'comment_batch',
+                        placeholder: 'Record batch here for Non-Significant events',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 34,
+                        type: 'textarea',
+                        label: 'Comment (Further Processing Decision)',
+                        name: 'comment_processing',
+                        placeholder: 'Under what conditions can processing continue? Justification for no restrictions',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 35,
+                        type: 'textarea',
+                        label: 'Comment (QI Status)',
+                        name: 'comment_qi_status',
+                        placeholder: 'When product in QI status, determine target date for removal',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'product_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                
+                    // Actions
+                    {
+                        id: 107,
+                        type: 'section',
+                        label: 'Actions and Third Parties',
+                        name: 'section_actions',
+                        placeholder: 'Immediate actions, clinical studies and third party complaints',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 36,
+                        type: 'select',
+                        label: 'Immediate Action Needed',
+                        name: 'immediate_action_needed',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 37,
+                        type: 'textarea',
+                        label: 'Actions Required',
+                        name: 'actions_required',
+                        placeholder: 'List immediate actions taken to contain/temporarily solve the problem',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'immediate_action_needed', operator: 'equals', value: 'Yes' }, requiredWhen: { field: 'immediate_action_needed', operator: 'equals', value: 'Yes' } }
+                    },
+                
+                    // Clinical and Third Party
+                    {
+                        id: 38,
+                        type: 'select',
+                        label: 'Clinical Study Concerned',
+                        name: 'clinical_study_concerned',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 39,
+                        type: 'select',
+                        label: 'Third Party Concerned',
+                        name: 'third_party_concerned',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                
+                    // Third Party Details (conditional)
+                    {
+                        id: 40,
+                        type: 'text',
+                        label: 'TP Complaint Title',
+                        name: 'tp_complaint_title',
+                        placeholder: 'Structure as: TP complaint for QE-XXXXX',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 41,
+                        type: 'textarea',
+                        label: 'TP Description of Complaint',
+                        name: 'tp_description',
+                        placeholder: 'Include specification document, when issue found (pre/post-use inspection), PO number',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 42,
+                        type: 'text',
+                        label: 'Specification Document #',
+                        name: 'spec_document',
+                        placeholder: '',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 43,
+                        type: 'select',
+                        label: 'Issue Detected When',
+                        name: 'issue_detected_when',
+                        placeholder: '',
+                        required: false,
+                        options: ['Pre-use inspection', 'Post-use inspection'],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 44,
+                        type: 'text',
+                        label: 'PO Number',
+                        name: 'po_number',
+                        placeholder: 'Materials Management to provide',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 45,
+                        type: 'text',
+                        label: 'Third Party',
+                        name: 'third_party',
+                        placeholder: 'Refer to specification document and core material',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                    {
+                        id: 46,
+                        type: 'text',
+                        label: 'Core Material(s)',
+                        name: 'core_materials',
+                        placeholder: 'Materials Management to identify Core Material Number',
+                        required: false,
+                        options: [],
+                        rules: { showWhen: { field: 'third_party_concerned', operator: 'equals', value: 'Yes' } }
+                    },
+                
+                    // References and Comments
+                    {
+                        id: 108,
+                        type: 'section',
+                        label: 'References and Comments',
+                        name: 'section_references',
+                        placeholder: '',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 47,
+                        type: 'text',
+                        label: 'External References',
+                        name: 'external_references',
+                        placeholder: 'Include references to external documents, audit reports, contractor documents, etc.',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 48,
+                        type: 'textarea',
+                        label: 'Comments',
+                        name: 'comments',
+                        placeholder: 'Document owner conclusion information. Contact RA Liaison if potential dossier violation',
+                        required: true,
+                        options: []
+                    },
+                
+                    // Criticality Assessment
+                    {
+                        id: 109,
+                        type: 'section',
+                        label: 'Criticality Assessment',
+                        name: 'section_criticality',
+                        placeholder: '',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 49,
+                        type: 'select',
+                        label: 'Impacted or Potential Impact on Product',
+                        name: 'product_impact_question',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 50,
+                        type: 'select',
+                        label: 'Safety, Patients, Data Reliability',
+                        name: 'safety_question',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 51,
+                        type: 'select',
+                        label: 'Is The Event Indicative Of A Trend',
+                        name: 'trend_question',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 52,
+                        type: 'select',
+                        label: 'Impact GxP And/Or Regulatory Compliance',
+                        name: 'gxp_question',
+                        placeholder: '',
+                        required: true,
+                        options: ['Yes', 'No']
+                    },
+                    {
+                        id: 53,
+                        type: 'calculated',
+                        label: 'Overall Criticality Assessment',
+                        name: 'overall_criticality',
+                        placeholder: '',
+                        required: false,
+                        options: [],
+                        formula: 'if(safety_question == "Yes" or gxp_question == "Yes" or trend_question == "Yes", "Significant", "Non-Significant")'
+                    },
+                
+                    // Action Items
+                    {
+                        id: 110,
+                        type: 'section',
+                        label: 'Action Items',
+                        name: 'section_action_items',
+                        placeholder: '',
+                        required: false,
+                        options: []
+                    },
+                    {
+                        id: 54,
+                        type: 'group',
+                        label: 'Action Items',
+                        name: 'action_items',
+                        placeholder: '',
+                        required: false,
+                        options: [],
+                        addLabel: 'Add action item',
+                        minItems: 0,
+                        maxItems: 10,
+                        children: [
+                            { type: 'textarea', label: 'Description', name: 'description', placeholder: 'Describe required action', required: true, options: [] },
+                            { type: 'text', label: 'Owner', name: 'owner', placeholder: 'Assign owner', required: true, options: [] },
+                            { type: 'date', label: 'Due Date', name: 'due_date', placeholder: '', required: false, options: [] }
+                        ]
+                    }
+                ],
+                created: '2025-10-01T00:00:00.000Z'
+            }
+        };
+    }
+
+    static toRow(template) {
+        return {
+            form_name: template.name,
+            form_title: template.title || template.name,
+            form_description: template.description || '',
+            form_fields: JSON.stringify(template.fields || []),
+            is_template: true,
+            template_id: template.templateId,
+            template_version: template.version || 1,
+            status: template.status || 'published',
+            created_at: template.created
+        };
+    }
+
+    static bundledRows() {
+        return Object.values(TemplateRegistry.BUNDLED).map(template => TemplateRegistry.toRow(template));
+    }
+
+    /**
+     * Database rows win; a bundled template is only used when no row shares its identity.
+     * Otherwise a retired template would come back as the bundled published version.
+     */
+    static merge(rows, bundled) {
+        const identities = new Set(rows.map(row => TemplateVersions.identityOf(row)));
+        return rows.concat(bundled.filter(row => !identities.has(TemplateVersions.identityOf(row))));
+    }
+
+    /**
+     * All template rows, every version and status. Returns { rows, source }
+     * where source is 'database', 'cache' or 'bundled'.
+     */
+    static async load(client) {
+        const bundled = TemplateRegistry.bundledRows();
+
+        if (client) {
+            try {
+                const { data, error } = await client
+                    .from('form_submissions')
+                    .select('*')
+                    .eq('is_template', true)
+                    .order('created_at', { ascending: true });
+
+                if (error) throw error;
+
+                TemplateRegistry.writeCache(data || []);
+                return { rows: TemplateRegistry.merge(data || [], bundled), source: 'database' };
+            } catch (error) {
+                console.warn('Could not load templates from the database, using cached templates:', error.message || error);
+            }
+        }
+
+        const cached = TemplateRegistry.readCache();
+        if (cached) {
+            return { rows: TemplateRegistry.merge(cached, bundled), source: 'cache' };
+        }
+        return { rows: bundled, source: 'bundled' };
+    }
+
+    static readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(TemplateRegistry.CACHE_KEY) || 'null');
+            return cached && Array.isArray(cached.rows) ? cached.rows : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static writeCache(rows) {
+        try {
+            localStorage.setItem(TemplateRegistry.CACHE_KEY, JSON.stringify({ rows: rows, fetchedAt: new Date().toISOString() }));
+        } catch (error) {
+            console.warn('Could not cache templates:', error);
+        }
+    }
+
+    static fieldsOf(row) {
+        if (Array.isArray(row.form_fields)) return row.form_fields;
+        try {
+            return JSON.parse(row.form_fields || '[]');
+        } catch (error) {
+            console.warn(`Template ${row.form_name} has invalid form_fields`);
+            return [];
+        }
+    }
+
+    /**
+     * Questions a submitter answers: sections and info blocks are not counted
+     */
+    static fieldCount(fields) {
+        const layoutTypes = typeof FormWidgets !== 'undefined' ? FormWidgets.LAYOUT_TYPES : ['section', 'info'];
+        return fields.filter(field => !layoutTypes.includes(field.type)).length;
+    }
+}
+
+// Export for use in other modules
+window.TemplateRegistry = TemplateRegistry;
@@ -0,0 +1,97 @@
+/**
+ * Template Versions for FLEX-FORM
+ * Every save of a template inserts a new, immutable row in form_submissions:
+ *   { template_id: 'tpl_…', template_version: 3, is_template: true, ... }
+ * Rows sharing a template_id are versions of the same template. Rows saved
+ * before versioning have no template_id and are grouped by form_name instead.
+ *
+ * Each version has a status: new saves are drafts, publishing makes a version
+ * visible to submitters and retiring hides the template again. Only the
+ * status changes; a version's fields never do.
+ */
+class TemplateVersions {
+    static get STATUSES() {
+        return {
+            draft: 'Draft',
+            published: 'Published',
+            retired: 'Retired'
+        };
+    }
+
+    /**
+     * Rows saved before the lifecycle existed were always visible, so treat them as published
+     */
+    static statusOf(row) {
+        return TemplateVersions.STATUSES[row.status] ? row.status : 'published';
+    }
+
+    static generateId() {
+        const random = Math.random().toString(36).substring(2, 8);
+        return `tpl_${Date.now().toString(36)}${random}`;
+    }
+
+    /**
+     * Identity used to group rows into one template
+     */
+    static identityOf(row) {
+        return row.template_id || `legacy:${row.form_name || 'untitled'}`;
+    }
+
+    static versionOf(row) {
+        return Number(row.template_version) || 1;
+    }
+
+    /**
+     * Newest version of every template, in first-seen order
+     */
+    static latest(rows) {
+        const byIdentity = new Map();
+
+        (rows || []).forEach(row => {
+            const identity = TemplateVersions.identityOf(row);
+            const current = byIdentity.get(identity);
+            if (!current || TemplateVersions.compare(row, current) > 0) {
+                byIdentity.set(identity, row);
+            }
+        });
+
+        return Array.from(byIdentity.values());
+    }
+
+    /**
+     * Newest published version of every template; drafts and retired templates are left out
+     */
+    static latestPublished(rows) {
+        return TemplateVersions.latest((rows || []).filter(row => TemplateVersions.statusOf(row) === 'published'));
+    }
+
+    /**
+     * Order by version, then by creation time for rows without versions
+     */
+    static compare(a, b) {
+        const diff = TemplateVersions.versionOf(a) - TemplateVersions.versionOf(b);
+        if (diff !== 0) return diff;
+        return (Date.parse(a.created_at) || 0) - (Date.parse(b.created_at) || 0);
+    }
+
+    static nextVersion(rows, templateId) {
+        const versions = (rows || [])
+            .filter(row => row.template_id === templateId)
+            .map(row => TemplateVersions.versionOf(row));
+        return versions.length > 0 ? Math.max(...versions) + 1 : 1;
+    }
+
+    /**
+     * Metadata stored with every submission so old records can be matched
+     * to the question wording they answered
+     */
+    static submissionStamp(templateId, version) {
+        return {
+            template_id: templateId,
+            template_version: Number(version) || 1
+        };
+    }
+}
+
+// Export for use in other modules
+window.TemplateVersions = TemplateVersions;